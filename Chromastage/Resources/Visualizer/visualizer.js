@@ -1,4 +1,6 @@
-const FFT_SIZE = 2048;
+const DEFAULT_FFT_SIZE = 1024;
+// Rate of the native audio when it doesn't say, as older app builds captured.
+const DEFAULT_SOURCE_SAMPLE_RATE = 44100;
 const canvas = document.getElementById('output');
 const AUTO_SWITCH_INTERVAL_MS = 15000;
 const WATCHDOG_INTERVAL_MS = 5000;
@@ -47,28 +49,43 @@ let presets = {};
 let basePresets = {};
 let presetKeys = [];
 let blockedPresetNames = new Set();
+let failedPresetNames = new Set();
 let playlistPresetSet = null;
 let presetIndex = 0;
 let autoSwitchTimer = null;
 let autoSwitchEnabled = true;
 let autoSwitchRandomized = false;
 let autoSwitchIntervalMs = AUTO_SWITCH_INTERVAL_MS;
+// Transitions the auto-switch picks from, null for all the engine has.
+let autoSwitchTransitions = null;
 let currentPresetName = null;
+let requestedPresetName = null;
+let presetNames = new WeakMap();
 let paletteColors = [];
 let lastRenderTime = 0;
 let renderLoopActive = false;
 let watchdogTimer = null;
 let isContextLost = false;
 let isRebuilding = false;
-let audioLevels = {
-  timeByteArray: new Uint8Array(FFT_SIZE),
-  timeByteArrayL: new Uint8Array(FFT_SIZE),
-  timeByteArrayR: new Uint8Array(FFT_SIZE),
-};
+// Samples the engine analyses per frame, see setFFTSize.
+let fftSize = DEFAULT_FFT_SIZE;
+let audioLevels = createAudioLevels(fftSize);
 let audioCtx = null;
 let analysisGain = null;
 let muteGain = null;
 let nextPlayTime = 0;
+// Plays pushed audio as one stream through an AudioWorklet; null until it is
+// registered, or for good where AudioWorklet is missing (pcmSourceFailed), in
+// which case chunks are scheduled as buffers.
+let pcmSource = null;
+let pcmSourcePending = null;
+let pcmSourceFailed = false;
+let audioStats = null;
+// Decodes updateAudioFrame's frames and counts the ones lost on the way.
+let audioFrameReceiver = null;
+let reportedTransport = null;
+let sourceSampleRate = DEFAULT_SOURCE_SAMPLE_RATE;
+let recorder = null;
 
 function nowMs() {
   if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
@@ -77,6 +94,26 @@ function nowMs() {
   return Date.now();
 }
 
+function createAudioLevels(size) {
+  return {
+    timeByteArray: new Uint8Array(size),
+    timeByteArrayL: new Uint8Array(size),
+    timeByteArrayR: new Uint8Array(size),
+  };
+}
+
+function isValidFFTSize(size) {
+  return Number.isInteger(size) && size >= 64 && size <= 32768 && (size & (size - 1)) === 0;
+}
+
+// One pass over the string where the engine has Uint8Array.fromBase64.
+function decodeBase64(b64) {
+  if (typeof Uint8Array.fromBase64 === 'function') {
+    return Uint8Array.fromBase64(b64);
+  }
+  return decodeBase64Into(b64, new Uint8Array(0));
+}
+
 function decodeBase64Into(b64, target) {
   const binary = atob(b64);
   const len = binary.length;
@@ -95,8 +132,7 @@ function log(level, message) {
   }
 }
 
-canvas.addEventListener('webglcontextlost', (event) => {
-  event.preventDefault();
+function handleContextLost() {
   isContextLost = true;
   if (autoSwitchTimer) {
     clearTimeout(autoSwitchTimer);
@@ -104,15 +140,66 @@ canvas.addEventListener('webglcontextlost', (event) => {
   }
   setStatus('Visualizer paused (WebGL context lost).');
   log('warn', 'webglcontextlost');
-});
+}
 
-canvas.addEventListener('webglcontextrestored', () => {
+function handleContextRestored() {
   isContextLost = false;
   setStatus('');
   log('info', 'webglcontextrestored');
   rebuildVisualizer('context-restored');
+}
+
+// The engine rebuilds its own GL resources and keeps the current preset, so
+// only resume the glue state instead of recreating the visualizer.
+function handleEngineContextRestored() {
+  isContextLost = false;
+  setStatus('');
+  log('info', 'webglcontextrestored (engine recovered)');
+  resetAutoSwitchTimer();
+}
+
+canvas.addEventListener('webglcontextlost', (event) => {
+  event.preventDefault();
+  handleContextLost();
+});
+
+canvas.addEventListener('webglcontextrestored', () => {
+  handleContextRestored();
 });
 
+function postNativeEvent(type, payload) {
+  if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.nativeVisualizerEvent) {
+    window.webkit.messageHandlers.nativeVisualizerEvent.postMessage({ type, ...payload });
+  }
+}
+
+function subscribeToVisualizer(target) {
+  if (!target || !target.on) {
+    return;
+  }
+  const current = (handler) => (payload) => {
+    if (target === visualizer) {
+      handler(payload || {});
+    }
+  };
+  target.on('presetLoaded', current(handlePresetLoaded));
+  target.on('presetLoadFailed', current(handlePresetLoadFailed));
+  target.on('contextLost', current(handleContextLost));
+  target.on('contextRestored', current(handleEngineContextRestored));
+  target.on('blendStarted', current(({ duration, transition }) => {
+    postNativeEvent('blendStarted', { duration, transition });
+  }));
+  target.on('blendComplete', current(() => {
+    postNativeEvent('blendComplete', { name: currentPresetName });
+  }));
+  target.on('fpsChanged', current(({ fps }) => {
+    postNativeEvent('fpsChanged', { fps: Math.round(fps) });
+  }));
+  target.on('titleAnimFinished', current(({ text }) => {
+    postNativeEvent('titleAnimFinished', { text });
+  }));
+}
+
 async function loadPresetMap() {
   const presetUrl = '../Presets/presets.json';
   try {
@@ -290,11 +377,9 @@ function ensureAudioGraph() {
     log('warn', 'AudioContext not available; Chromastage will not react to audio.');
     return;
   }
-  try {
-    audioCtx = new Ctor({ sampleRate: 44100 });
-  } catch {
-    audioCtx = new Ctor();
-  }
+  // Runs at the output device's rate, buffers at the capture rate are
+  // resampled to it by Web Audio.
+  audioCtx = new Ctor();
   analysisGain = audioCtx.createGain();
   muteGain = audioCtx.createGain();
   muteGain.gain.value = 0.0;
@@ -302,6 +387,7 @@ function ensureAudioGraph() {
   muteGain.connect(audioCtx.destination);
   nextPlayTime = audioCtx.currentTime;
   log('info', `AudioContext created: sampleRate=${audioCtx.sampleRate}, state=${audioCtx.state}`);
+  ensurePCMSource();
 
   document.addEventListener('click', () => {
     if (audioCtx && audioCtx.state !== 'running') {
@@ -322,31 +408,104 @@ async function ensureAudioRunning() {
   }
 }
 
+function ensurePCMSource() {
+  if (pcmSource || pcmSourcePending || pcmSourceFailed || !audioCtx) {
+    return;
+  }
+  const PCMStreamSource = window.butterchurn?.PCMStreamSource;
+  if (!PCMStreamSource || !PCMStreamSource.isSupported(audioCtx)) {
+    pcmSourceFailed = true;
+    log('warn', 'AudioWorklet not available; scheduling audio as buffers');
+    return;
+  }
+  pcmSourcePending = PCMStreamSource.create(audioCtx)
+    .then((source) => {
+      pcmSource = source;
+      pcmSource.node.connect(analysisGain);
+      pcmSource.on('stats', handleAudioStats);
+      log('info', 'PCM stream source attached');
+    })
+    .catch((error) => {
+      pcmSourceFailed = true;
+      log('warn', `PCM stream source failed, scheduling audio as buffers: ${error?.message || error}`);
+    })
+    .finally(() => {
+      pcmSourcePending = null;
+    });
+}
+
+function handleAudioStats(stats) {
+  const previous = audioStats;
+  audioStats = stats;
+  if (previous && stats.underruns > previous.underruns) {
+    log('warn', `audio underrun (${stats.underruns} total), latency=${Math.round(stats.latency * 1000)}ms`);
+  }
+  if (previous && stats.overflows > previous.overflows) {
+    log('warn', `audio overflow (${stats.overflows} total), dropped to ${Math.round(stats.latency * 1000)}ms`);
+  }
+}
+
+function setSourceSampleRate(sampleRate) {
+  if (!Number.isFinite(sampleRate) || sampleRate < 8000 || sampleRate > 96000) {
+    return;
+  }
+  if (sampleRate !== sourceSampleRate) {
+    log('info', `native audio sampleRate=${sampleRate}`);
+  }
+  sourceSampleRate = sampleRate;
+}
+
+// Logs lost and reordered frames, at most once a second.
+function reportAudioTransport() {
+  const now = nowMs();
+  if (reportedTransport && now - reportedTransport.time < 1000) {
+    return;
+  }
+  const stats = audioFrameReceiver.getStats();
+  const previous = reportedTransport?.stats || { dropped: 0, outOfOrder: 0 };
+  reportedTransport = { time: now, stats };
+  log('warn', `audio frames: ${stats.dropped - previous.dropped} dropped, ${stats.outOfOrder - previous.outOfOrder} out of order (${stats.received} received)`);
+}
+
 function byteToFloat(value) {
   return (value - 128) / 128;
 }
 
-function scheduleStereoFromBytes(leftBytes, rightBytes) {
-  if (!audioCtx || !analysisGain) {
+function bytesToFloats(bytes) {
+  const floats = new Float32Array(bytes.length);
+  for (let i = 0; i < bytes.length; i += 1) {
+    floats[i] = byteToFloat(bytes[i]);
+  }
+  return floats;
+}
+
+function playStereo(left, right, sampleRate) {
+  if (left.length === 0 || right.length === 0) {
     return;
   }
-  const frames = Math.min(leftBytes.length, rightBytes.length);
-  if (frames <= 0) {
+  if (pcmSource) {
+    pcmSource.push(left, right, sampleRate);
+  } else if (pcmSourceFailed) {
+    scheduleStereo(left, right, sampleRate);
+  }
+}
+
+// Fallback without AudioWorklet: each chunk is its own buffer source, so
+// chunks that arrive late or early leave gaps or overlap.
+function scheduleStereo(left, right, sampleRate) {
+  if (!audioCtx || !analysisGain) {
     return;
   }
+  const frames = Math.min(left.length, right.length);
   const now = audioCtx.currentTime;
   const maxAhead = 0.25;
   if (nextPlayTime < now || (nextPlayTime - now) > maxAhead) {
     nextPlayTime = now;
   }
 
-  const buffer = audioCtx.createBuffer(2, frames, audioCtx.sampleRate);
-  const l = buffer.getChannelData(0);
-  const r = buffer.getChannelData(1);
-  for (let i = 0; i < frames; i += 1) {
-    l[i] = byteToFloat(leftBytes[i]);
-    r[i] = byteToFloat(rightBytes[i]);
-  }
+  const buffer = audioCtx.createBuffer(2, frames, sampleRate);
+  buffer.copyToChannel(left.subarray(0, frames), 0);
+  buffer.copyToChannel(right.subarray(0, frames), 1);
 
   const src = audioCtx.createBufferSource();
   src.buffer = buffer;
@@ -380,18 +539,89 @@ function logWebGLDiagnostics() {
   }
 }
 
-function loadPresetByIndex(index, transition = 2.5) {
+function loadPresetByIndex(index, blendTime = 2.5, options = {}) {
   if (!visualizer || presetKeys.length === 0) {
     return;
   }
   const clamped = ((index % presetKeys.length) + presetKeys.length) % presetKeys.length;
   presetIndex = clamped;
   const presetName = presetKeys[presetIndex];
-  visualizer.loadPreset(presets[presetName], transition);
+  const preset = presets[presetName];
+  presetNames.set(preset, presetName);
+  requestedPresetName = presetName;
+  // The outcome is reported through the presetLoaded/presetLoadFailed events.
+  Promise.resolve(visualizer.loadPreset(preset, blendTime, options)).catch(() => {});
+  if (!visualizer.on) {
+    notifyPresetChanged(presetName, 'index');
+  }
+}
+
+function presetNameFor(preset) {
+  return presetNames.get(preset) || preset?.name || null;
+}
+
+function handlePresetLoaded({ preset, result }) {
+  const presetName = presetNameFor(preset);
+  if (!presetName) {
+    return;
+  }
+  if (result && Array.isArray(result.warnings)) {
+    for (const warning of result.warnings) {
+      log('warn', `preset ${presetName}: ${warning}`);
+    }
+  }
+  for (const line of describePresetLoadErrors(result?.errors)) {
+    log('warn', `preset ${presetName} ${line}`);
+  }
   notifyPresetChanged(presetName, 'index');
 }
 
-function loadPresetByName(name, transition = 2.5) {
+function describePresetLoadErrors(errors) {
+  if (!errors) {
+    return [];
+  }
+  const lines = [];
+  const describe = (section, error) => {
+    if (!error) {
+      return;
+    }
+    const where = Number.isFinite(error.line) ? ` (line ${error.line})` : '';
+    lines.push(`${section}${where}: ${error.message}`);
+  };
+  describe('per-frame', errors.perFrame);
+  describe('per-pixel', errors.perPixel);
+  (errors.shapes || []).forEach((error, i) => describe(`shapes[${i}]`, error));
+  (errors.waves || []).forEach((error, i) => describe(`waves[${i}]`, error));
+  describe('warp', errors.warp);
+  describe('comp', errors.comp);
+  return lines;
+}
+
+function handlePresetLoadFailed({ preset, error }) {
+  const name = presetNameFor(preset);
+  if (!name) {
+    return;
+  }
+  const message = error?.message || String(error);
+  const details = describePresetLoadErrors(error?.result?.errors);
+  failedPresetNames.add(name);
+  log('error', `preset ${name} failed to load: ${message}`);
+  for (const line of details) {
+    log('error', `preset ${name} ${line}`);
+  }
+  if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.nativePresetFailed) {
+    window.webkit.messageHandlers.nativePresetFailed.postMessage({ name, message, details });
+  }
+  if (name !== requestedPresetName) {
+    return;
+  }
+  const nextName = nextAutoPresetName();
+  if (nextName && nextName !== name) {
+    loadPresetByName(nextName, 0.0);
+  }
+}
+
+function loadPresetByName(name, blendTime = 2.5, options = {}) {
   if (!name) {
     return;
   }
@@ -400,7 +630,7 @@ function loadPresetByName(name, transition = 2.5) {
     log('warn', `preset not found: ${name}`);
     return;
   }
-  loadPresetByIndex(idx, transition);
+  loadPresetByIndex(idx, blendTime, options);
 }
 
 function setBlockedPresets(names) {
@@ -423,7 +653,7 @@ function setPlaylistPresets(names) {
 }
 
 function isPresetBlocked(name) {
-  return blockedPresetNames.has(name);
+  return blockedPresetNames.has(name) || failedPresetNames.has(name);
 }
 
 function activePresetKeys() {
@@ -493,6 +723,17 @@ function nextAutoPresetName() {
   return choice;
 }
 
+function nextAutoTransition() {
+  const available = visualizer && visualizer.getTransitionNames ? visualizer.getTransitionNames() : [];
+  const names = autoSwitchTransitions
+    ? autoSwitchTransitions.filter((name) => available.includes(name))
+    : available;
+  if (names.length === 0) {
+    return undefined;
+  }
+  return names[Math.floor(Math.random() * names.length)];
+}
+
 function resetAutoSwitchTimer() {
   if (autoSwitchTimer) {
     clearTimeout(autoSwitchTimer);
@@ -505,7 +746,7 @@ function resetAutoSwitchTimer() {
   autoSwitchTimer = setTimeout(() => {
     const nextName = nextAutoPresetName();
     if (nextName) {
-      loadPresetByName(nextName, 2.5);
+      loadPresetByName(nextName, 2.5, { transition: nextAutoTransition() });
     }
     resetAutoSwitchTimer();
   }, autoSwitchIntervalMs);
@@ -537,12 +778,19 @@ async function setupVisualizer({ reloadPresets } = {}) {
 
     const { width, height, pixelRatio } = getCanvasMetrics();
     ensureAudioGraph();
+    disposeVisualizer();
     visualizer = butterchurn.createVisualizer(audioCtx, canvas, {
       width,
       height,
       pixelRatio,
       textureRatio: 1,
+      fftSize,
+      // System audio comes in at whatever level the source plays at; keep
+      // the waves the same size for quiet and loud tracks.
+      agc: true,
     });
+    audioLevels = createAudioLevels(fftSize);
+    subscribeToVisualizer(visualizer);
     log('info', `render.length=${visualizer?.render?.length}, hasConnectAudio=${!!visualizer?.connectAudio}`);
     if (visualizer?.connectAudio && analysisGain) {
       visualizer.connectAudio(analysisGain);
@@ -622,6 +870,150 @@ function startWatchdog() {
   }, WATCHDOG_INTERVAL_MS);
 }
 
+function disposeVisualizer() {
+  if (!visualizer) {
+    return;
+  }
+  if (recorder) {
+    // the recorder is bound to this instance, save what we have so far
+    stopRecording();
+  }
+  const previous = visualizer;
+  visualizer = null;
+  if (typeof previous.dispose === 'function') {
+    try {
+      previous.dispose();
+    } catch (err) {
+      log('warn', `visualizer dispose failed: ${err?.message || err}`);
+    }
+  } else if (previous.disconnectAudio && analysisGain) {
+    try {
+      previous.disconnectAudio(analysisGain);
+    } catch (err) {
+      // older bundles without dispose() may already be detached
+    }
+  }
+}
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = String(reader.result || '');
+      resolve(result.slice(result.indexOf(',') + 1));
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function startRecording(options = {}) {
+  if (recorder) {
+    log('warn', 'recording already in progress');
+    return;
+  }
+  if (!visualizer || !visualizer.createRecorder) {
+    log('warn', 'recording not supported by this engine build');
+    return;
+  }
+  try {
+    recorder = visualizer.createRecorder({
+      audioNode: analysisGain,
+      width: options.width,
+      height: options.height,
+      videoBitsPerSecond: options.videoBitsPerSecond,
+      audioBitsPerSecond: options.audioBitsPerSecond,
+    });
+    recorder.start(1000);
+    log('info', `recording started (${recorder.mimeType || 'default type'}, ${recorder.width}x${recorder.height})`);
+    postNativeEvent('recordingStarted', { mimeType: recorder.mimeType });
+  } catch (error) {
+    recorder = null;
+    log('error', `recording failed to start: ${error?.message || error}`);
+  }
+}
+
+async function stopRecording() {
+  if (!recorder) {
+    return;
+  }
+  const active = recorder;
+  recorder = null;
+  try {
+    const blob = await active.stop();
+    const data = await blobToBase64(blob);
+    log('info', `recording finished: ${blob.size} bytes`);
+    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.nativeRecordingFinished) {
+      window.webkit.messageHandlers.nativeRecordingFinished.postMessage({
+        mimeType: blob.type,
+        size: blob.size,
+        data,
+      });
+    }
+  } catch (error) {
+    log('error', `recording failed: ${error?.message || error}`);
+  }
+}
+
+// Records the audio analysis of every rendered frame, in the format of the
+// engine's test/fixtures/audioAnalysisData.json, so a preset that misbehaves
+// can be replayed against the exact same audio.
+function startAudioRecording(options = {}) {
+  if (!visualizer || !visualizer.startAudioRecording) {
+    log('warn', 'audio recording not supported by this engine build');
+    return;
+  }
+  visualizer.startAudioRecording({ maxFrames: options.maxFrames });
+  log('info', 'audio recording started');
+}
+
+async function stopAudioRecording() {
+  if (!visualizer || !visualizer.stopAudioRecording) {
+    return;
+  }
+  try {
+    const frames = await visualizer.stopAudioRecording();
+    if (frames.length === 0) {
+      log('warn', 'audio recording finished without frames');
+      return;
+    }
+    log('info', `audio recording finished: ${frames.length} frames`);
+    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.nativeAudioRecorded) {
+      window.webkit.messageHandlers.nativeAudioRecorded.postMessage({
+        preset: currentPresetName,
+        text: JSON.stringify(frames),
+      });
+    }
+  } catch (error) {
+    log('error', `audio recording failed: ${error?.message || error}`);
+  }
+}
+
+function exportPreset(name) {
+  const presetName = name || currentPresetName;
+  const preset = presetName ? presets[presetName] : null;
+  if (!preset) {
+    log('warn', `export: unknown preset ${presetName}`);
+    return null;
+  }
+  const butterchurn = window.butterchurn;
+  if (!butterchurn || !butterchurn.serializeMilk) {
+    log('warn', 'preset export not supported by this engine build');
+    return null;
+  }
+  try {
+    // palette edits are already applied to presets, so they're exported too
+    const text = butterchurn.serializeMilk(preset);
+    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.nativePresetExported) {
+      window.webkit.messageHandlers.nativePresetExported.postMessage({ name: presetName, text });
+    }
+    return text;
+  } catch (error) {
+    log('error', `export of ${presetName} failed: ${error?.message || error}`);
+    return null;
+  }
+}
+
 function rebuildVisualizer(reason) {
   if (isRebuilding) {
     return;
@@ -631,7 +1023,37 @@ function rebuildVisualizer(reason) {
 }
 
 window.butterchurnNative = {
-  updateAudio(monoB64, leftB64, rightB64) {
+  // One binary audio frame (see butterchurn.encodeAudioFrame), base64
+  // encoded as evaluateJavaScript only carries strings.
+  updateAudioFrame(frameB64) {
+    if (!audioFrameReceiver) {
+      const AudioFrameReceiver = window.butterchurn?.AudioFrameReceiver;
+      if (!AudioFrameReceiver) {
+        return;
+      }
+      audioFrameReceiver = new AudioFrameReceiver();
+    }
+    let frame;
+    try {
+      frame = audioFrameReceiver.receive(decodeBase64(frameB64));
+    } catch (error) {
+      log('warn', `bad audio frame: ${error?.message || error}`);
+      return;
+    }
+    if (!frame || frame.dropped > 0) {
+      reportAudioTransport();
+    }
+    if (!frame) {
+      return;
+    }
+    setSourceSampleRate(frame.sampleRate);
+    ensureAudioGraph();
+    ensureAudioRunning();
+    playStereo(frame.left, frame.right, sourceSampleRate);
+  },
+  // Legacy transport: 8 bit mono, left and right as three base64 strings.
+  updateAudio(monoB64, leftB64, rightB64, sampleRate) {
+    setSourceSampleRate(sampleRate);
     if (monoB64) {
       audioLevels.timeByteArray = decodeBase64Into(monoB64, audioLevels.timeByteArray);
     }
@@ -643,9 +1065,23 @@ window.butterchurnNative = {
     }
     ensureAudioGraph();
     ensureAudioRunning();
-    if (audioLevels.timeByteArrayL && audioLevels.timeByteArrayR) {
-      scheduleStereoFromBytes(audioLevels.timeByteArrayL, audioLevels.timeByteArrayR);
+    if (!audioLevels.timeByteArrayL || !audioLevels.timeByteArrayR) {
+      return;
     }
+    playStereo(
+      bytesToFloats(audioLevels.timeByteArrayL),
+      bytesToFloats(audioLevels.timeByteArrayR),
+      sourceSampleRate
+    );
+  },
+  // Underruns, overflows and latency of the audio stream, once the worklet
+  // reports them, and in transport the frames lost or reordered on the way
+  // from native. null before any of those.
+  getAudioStats() {
+    if (!audioStats && !audioFrameReceiver) {
+      return null;
+    }
+    return { ...audioStats, transport: audioFrameReceiver?.getStats() ?? null };
   },
   setPreset(name) {
     loadPresetByName(name, 2.5);
@@ -663,12 +1099,67 @@ window.butterchurnNative = {
   setAutoSwitch(enabled, intervalMs, randomized) {
     applyAutoSwitch(enabled, intervalMs, randomized);
   },
+  setFFTSize(size) {
+    if (!isValidFFTSize(size)) {
+      log('warn', `invalid FFT size ${size}, keeping ${fftSize}`);
+      return;
+    }
+    if (size === fftSize) {
+      return;
+    }
+    fftSize = size;
+    rebuildVisualizer(`fft size ${size}`);
+  },
+  setAutoSwitchTransitions(names) {
+    autoSwitchTransitions = Array.isArray(names) && names.length > 0 ? names : null;
+  },
   setBlockedPresets(names) {
     setBlockedPresets(names);
   },
   setPlaylistPresets(names) {
     setPlaylistPresets(names);
   },
+  startRecording(options) {
+    startRecording(options);
+  },
+  pauseRecording() {
+    if (recorder) {
+      recorder.pause();
+    }
+  },
+  resumeRecording() {
+    if (recorder) {
+      recorder.resume();
+    }
+  },
+  stopRecording() {
+    stopRecording();
+  },
+  startAudioRecording(options) {
+    startAudioRecording(options);
+  },
+  stopAudioRecording() {
+    stopAudioRecording();
+  },
+  exportPreset(name) {
+    return exportPreset(name);
+  },
+  setOverrides(overrides, persist) {
+    if (!visualizer || !visualizer.setOverrides) {
+      log('warn', 'overrides not supported by this engine build');
+      return;
+    }
+    try {
+      visualizer.setOverrides(overrides || {}, { persist: !!persist });
+    } catch (error) {
+      log('error', `overrides rejected: ${error?.message || error}`);
+    }
+  },
+  clearOverrides(keys) {
+    if (visualizer && visualizer.clearOverrides) {
+      visualizer.clearOverrides(keys);
+    }
+  },
 };
 
 window.addEventListener('error', (event) => {
@@ -58,7 +58,7 @@ final class AudioCapture: NSObject, ObservableObject {
       let config = SCStreamConfiguration()
       config.capturesAudio = true
       config.excludesCurrentProcessAudio = true
-      config.sampleRate = 44_100
+      config.sampleRate = 48_000
       config.channelCount = 2
       config.minimumFrameInterval = CMTime(value: 1, timescale: 60)
       config.queueDepth = 8
@@ -207,10 +207,52 @@ final class AudioCapture: NSObject, ObservableObject {
     return (Data(monoBytes), Data(leftBytes), Data(rightBytes))
   }
 
+  /// The samples captured since `cursor` as one binary audio frame (the
+  /// page's butterchurn.decodeAudioFrame): a 20 byte little endian header
+  /// with the sample rate and `sequence`, then interleaved Int16 stereo.
+  /// Consecutive frames form one continuous stream; pass the returned cursor
+  /// back on the next call. Empty when nothing new was captured.
+  nonisolated func audioFrame(since cursor: Int?, maxCount: Int, sequence: UInt32) -> (data: Data, cursor: Int) {
+    let (leftSamples, rightSamples, end) = ringBuffer.samples(since: cursor, maxCount: maxCount)
+    let frames = leftSamples.count
+    guard frames > 0 else { return (Data(), end) }
+
+    var data = Data(capacity: Self.audioFrameHeaderSize + frames * 4)
+    func append<T: FixedWidthInteger>(_ value: T) {
+      withUnsafeBytes(of: value.littleEndian) { data.append(contentsOf: $0) }
+    }
+    append(Self.audioFrameMagic)
+    append(UInt8(1)) // version
+    append(UInt8(2)) // Int16 samples
+    append(UInt8(2)) // channels
+    append(UInt8(0))
+    append(UInt32(sampleRate.rounded()))
+    append(sequence)
+    append(UInt32(frames))
+    for i in 0..<frames {
+      append(Self.floatToInt16(leftSamples[i]))
+      append(Self.floatToInt16(rightSamples[i]))
+    }
+    return (data, end)
+  }
+
   nonisolated func latestSamples(count: Int) -> (left: [Float], right: [Float]) {
     ringBuffer.snapshot(count: count)
   }
 
+  /// Rate of the captured samples as the stream delivers them.
+  nonisolated var sampleRate: Double {
+    ringBuffer.sampleRate
+  }
+
+  nonisolated private static let audioFrameMagic: UInt32 = 0x4641_4342 // "BCAF"
+  nonisolated private static let audioFrameHeaderSize = 20
+
+  nonisolated private static func floatToInt16(_ sample: Float) -> Int16 {
+    let clamped = max(-1.0, min(1.0, sample))
+    return Int16(max(-32768, min(32767, (clamped * 32768.0).rounded())))
+  }
+
   nonisolated private static func floatToByte(_ sample: Float) -> UInt8 {
     let clamped = max(-1.0, min(1.0, sample))
     let scaled = (clamped * 127.0) + 128.0
@@ -233,6 +275,7 @@ extension AudioCapture: SCStreamOutput, SCStreamDelegate {
     if channelCount == 0 {
       return
     }
+    ringBuffer.updateSampleRate(asbd.pointee.mSampleRate)
 
     let isFloat = (asbd.pointee.mFormatFlags & kAudioFormatFlagIsFloat) != 0
     let isNonInterleaved = (asbd.pointee.mFormatFlags & kAudioFormatFlagIsNonInterleaved) != 0
@@ -317,6 +360,8 @@ final class AudioRingBuffer {
   private var left: [Float]
   private var right: [Float]
   private var writeIndex = 0
+  private var framesWritten = 0
+  private var rate: Double = 48_000
   private let queue = DispatchQueue(label: "Chromastage.AudioRingBuffer")
 
   init(capacity: Int) {
@@ -367,10 +412,20 @@ final class AudioRingBuffer {
     }
   }
 
+  var sampleRate: Double {
+    queue.sync { rate }
+  }
+
+  func updateSampleRate(_ sampleRate: Double) {
+    guard sampleRate > 0 else { return }
+    queue.sync { rate = sampleRate }
+  }
+
   private func write(left l: Float, right r: Float) {
     left[writeIndex] = l
     right[writeIndex] = r
     writeIndex = (writeIndex + 1) % capacity
+    framesWritten += 1
   }
 
   func snapshot(count: Int) -> ([Float], [Float]) {
@@ -390,4 +445,25 @@ final class AudioRingBuffer {
 
     return (leftCopy, rightCopy)
   }
+
+  /// Samples written after `cursor` (a previous `end`), at most `maxCount` of
+  /// the newest. A nil cursor, or one the buffer has since overwritten,
+  /// starts from the newest `maxCount`.
+  func samples(since cursor: Int?, maxCount: Int) -> (left: [Float], right: [Float], end: Int) {
+    queue.sync {
+      let end = framesWritten
+      let start = max(cursor ?? 0, end - min(maxCount, capacity))
+      let count = max(0, end - start)
+      var leftCopy = [Float](repeating: 0, count: count)
+      var rightCopy = [Float](repeating: 0, count: count)
+      var idx = writeIndex - count
+      if idx < 0 { idx += capacity }
+      for i in 0..<count {
+        leftCopy[i] = left[idx]
+        rightCopy[i] = right[idx]
+        idx = (idx + 1) % capacity
+      }
+      return (leftCopy, rightCopy, end)
+    }
+  }
 }
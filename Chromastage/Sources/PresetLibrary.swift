@@ -21,6 +21,9 @@ struct PresetDefinition: Codable {
   let shapes: [PresetShape]?
   let waves: [PresetWave]?
   let version: Int?
+  // Paths relative to presets.json, from scripts/render-previews.mjs
+  let thumbnail: String?
+  let preview: String?
 }
 
 struct PresetShape: Codable {
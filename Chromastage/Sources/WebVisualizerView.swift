@@ -28,6 +28,11 @@ struct WebVisualizerView: NSViewRepresentable {
     contentController.add(context.coordinator, name: "nativeReady")
     contentController.add(context.coordinator, name: "nativeLog")
     contentController.add(context.coordinator, name: "nativePresetChanged")
+    contentController.add(context.coordinator, name: "nativePresetFailed")
+    contentController.add(context.coordinator, name: "nativeVisualizerEvent")
+    contentController.add(context.coordinator, name: "nativeRecordingFinished")
+    contentController.add(context.coordinator, name: "nativePresetExported")
+    contentController.add(context.coordinator, name: "nativeAudioRecorded")
     configuration.userContentController = contentController
     configuration.preferences.setValue(true, forKey: "developerExtrasEnabled")
 
@@ -81,6 +86,10 @@ struct WebVisualizerView: NSViewRepresentable {
     private let autoSwitchIntervalMs = 15_000
     private let audioWorkQueue = DispatchQueue(label: "Chromastage.WebAudioWork", qos: .userInitiated)
     private var isAudioPushInFlight = false
+    // Last sample pushed to the page and the next frame's sequence number;
+    // only touched on audioWorkQueue.
+    private var audioCursor: Int?
+    private var audioSequence: UInt32 = 0
 
     init(audioCapture: AudioCapture, logStore: WebLogStore, activePresetName: Binding<String?>) {
       self.audioCapture = audioCapture
@@ -129,6 +138,26 @@ struct WebVisualizerView: NSViewRepresentable {
         handlePresetChanged(message.body)
         return
       }
+      if message.name == "nativePresetFailed" {
+        handlePresetFailed(message.body)
+        return
+      }
+      if message.name == "nativeVisualizerEvent" {
+        handleVisualizerEvent(message.body)
+        return
+      }
+      if message.name == "nativeRecordingFinished" {
+        handleRecordingFinished(message.body)
+        return
+      }
+      if message.name == "nativePresetExported" {
+        handlePresetExported(message.body)
+        return
+      }
+      if message.name == "nativeAudioRecorded" {
+        handleAudioRecorded(message.body)
+        return
+      }
       if message.name == "nativeLog" {
         log("JS: \(message.body)")
       }
@@ -183,11 +212,17 @@ struct WebVisualizerView: NSViewRepresentable {
       isAudioPushInFlight = true
       audioWorkQueue.async { [weak self, weak webView] in
         guard let self else { return }
-        let audio = self.audioCapture.latestAudioBytes(count: 2048)
-        let mono = audio.mono.base64EncodedString()
-        let left = audio.left.base64EncodedString()
-        let right = audio.right.base64EncodedString()
-        let js = "window.butterchurnNative?.updateAudio('\(mono)','\(left)','\(right)');"
+        // The page plays pushes back to back, so only send what is new.
+        let frame = self.audioCapture.audioFrame(since: self.audioCursor, maxCount: 4096, sequence: self.audioSequence)
+        self.audioCursor = frame.cursor
+        if frame.data.isEmpty {
+          DispatchQueue.main.async { [weak self] in
+            self?.isAudioPushInFlight = false
+          }
+          return
+        }
+        self.audioSequence &+= 1
+        let js = "window.butterchurnNative?.updateAudioFrame('\(frame.data.base64EncodedString())');"
         DispatchQueue.main.async { [weak self, weak webView] in
           guard let self else { return }
           self.isAudioPushInFlight = false
@@ -396,5 +431,108 @@ struct WebVisualizerView: NSViewRepresentable {
         self?.activePresetName.wrappedValue = name
       }
     }
+
+    private func handleVisualizerEvent(_ body: Any) {
+      guard let dict = body as? [String: Any], let type = dict["type"] as? String else { return }
+      if type == "fpsChanged" {
+        return
+      }
+      log("Visualizer event: \(type) \(dict)")
+    }
+
+    private func handlePresetFailed(_ body: Any) {
+      guard let dict = body as? [String: Any], let name = dict["name"] as? String else { return }
+      let message = dict["message"] as? String ?? "unknown error"
+      let details = dict["details"] as? [String] ?? []
+      log("Preset failed: \(name): \(message)")
+      for line in details {
+        log("Preset failed: \(name): \(line)")
+      }
+    }
+
+    private func handleRecordingFinished(_ body: Any) {
+      guard let dict = body as? [String: Any],
+            let encoded = dict["data"] as? String else { return }
+      let mimeType = dict["mimeType"] as? String ?? ""
+      DispatchQueue.global(qos: .utility).async { [weak self] in
+        guard let data = Data(base64Encoded: encoded) else {
+          self?.log("Recording could not be decoded")
+          return
+        }
+        do {
+          let url = try Coordinator.recordingURL(mimeType: mimeType)
+          try data.write(to: url)
+          self?.log("Recording saved: \(url.path)")
+        } catch {
+          self?.log("Recording save failed: \(error.localizedDescription)")
+        }
+      }
+    }
+
+    private func handlePresetExported(_ body: Any) {
+      guard let dict = body as? [String: Any],
+            let name = dict["name"] as? String,
+            let text = dict["text"] as? String else { return }
+      DispatchQueue.global(qos: .utility).async { [weak self] in
+        do {
+          let url = try Coordinator.presetExportURL(name: name)
+          try text.write(to: url, atomically: true, encoding: .utf8)
+          self?.log("Preset exported: \(url.path)")
+        } catch {
+          self?.log("Preset export failed: \(error.localizedDescription)")
+        }
+      }
+    }
+
+    private func handleAudioRecorded(_ body: Any) {
+      guard let dict = body as? [String: Any],
+            let text = dict["text"] as? String else { return }
+      let preset = dict["preset"] as? String
+      DispatchQueue.global(qos: .utility).async { [weak self] in
+        do {
+          let url = try Coordinator.audioRecordingURL(preset: preset)
+          try text.write(to: url, atomically: true, encoding: .utf8)
+          self?.log("Audio recording saved: \(url.path)")
+        } catch {
+          self?.log("Audio recording save failed: \(error.localizedDescription)")
+        }
+      }
+    }
+
+    private static func audioRecordingURL(preset: String?) throws -> URL {
+      let documents = FileManager.default.urls(for: .documentDirectory, in: .userDomainMask).first
+        ?? FileManager.default.homeDirectoryForCurrentUser
+      let directory = documents.appendingPathComponent("Chromastage/Audio Recordings", isDirectory: true)
+      try FileManager.default.createDirectory(at: directory, withIntermediateDirectories: true)
+      let formatter = DateFormatter()
+      formatter.dateFormat = "yyyyMMdd-HHmmss"
+      var fileName = "Chromastage-\(formatter.string(from: Date()))"
+      if let preset, !preset.isEmpty {
+        // preset names can contain path separators
+        fileName += " " + preset.replacingOccurrences(of: "/", with: "-").replacingOccurrences(of: ":", with: "-")
+      }
+      return directory.appendingPathComponent("\(fileName).json")
+    }
+
+    private static func presetExportURL(name: String) throws -> URL {
+      let documents = FileManager.default.urls(for: .documentDirectory, in: .userDomainMask).first
+        ?? FileManager.default.homeDirectoryForCurrentUser
+      let directory = documents.appendingPathComponent("Chromastage/Presets", isDirectory: true)
+      try FileManager.default.createDirectory(at: directory, withIntermediateDirectories: true)
+      // preset names can contain path separators
+      let fileName = name.replacingOccurrences(of: "/", with: "-").replacingOccurrences(of: ":", with: "-")
+      return directory.appendingPathComponent("\(fileName).milk")
+    }
+
+    private static func recordingURL(mimeType: String) throws -> URL {
+      let movies = FileManager.default.urls(for: .moviesDirectory, in: .userDomainMask).first
+        ?? FileManager.default.homeDirectoryForCurrentUser
+      let directory = movies.appendingPathComponent("Chromastage", isDirectory: true)
+      try FileManager.default.createDirectory(at: directory, withIntermediateDirectories: true)
+      let formatter = DateFormatter()
+      formatter.dateFormat = "yyyyMMdd-HHmmss"
+      let fileExtension = mimeType.hasPrefix("video/mp4") ? "mp4" : "webm"
+      return directory.appendingPathComponent("Chromastage-\(formatter.string(from: Date())).\(fileExtension)")
+    }
   }
 }
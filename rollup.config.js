@@ -39,6 +39,24 @@ const configs = [
       ...(isProduction ? [terser()] : []),
     ],
   },
+  // Worker entry for Butterchurn.createWorkerVisualizer
+  {
+    ...baseConfig,
+    input: 'src/worker/visualizerWorker.js',
+    output: [
+      {
+        file: isProduction
+          ? 'dist/butterchurnWorker.min.js'
+          : 'dist/butterchurnWorker.js',
+        format: 'es',
+        sourcemap: true,
+      },
+    ],
+    plugins: [
+      ...baseConfig.plugins,
+      ...(isProduction ? [terser()] : []),
+    ],
+  },
   // isSupported bundle
   {
     ...baseConfig,
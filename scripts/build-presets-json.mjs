@@ -1,23 +1,62 @@
 #!/usr/bin/env node
 import fs from "fs";
 import path from "path";
+import { readPresetSources, reportPresets } from "./preset-sources.mjs";
 
 const root = path.resolve("PresetsSource");
 const outDir = path.resolve("Chromastage/Resources/Presets");
 const outFile = path.join(outDir, "presets.json");
+// written by scripts/render-previews.mjs
+const previewsDir = path.join(outDir, "Previews");
+const previewsManifest = path.join(previewsDir, "manifest.json");
 
-const files = fs
-  .readdirSync(root)
-  .filter((file) => file.endsWith(".json"))
-  .sort((a, b) => a.localeCompare(b));
+function readPreviews() {
+  if (!fs.existsSync(previewsManifest)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(previewsManifest, "utf8")).presets || {};
+}
 
-const presets = files.map((file) => {
-  const fullPath = path.join(root, file);
-  const raw = fs.readFileSync(fullPath, "utf8");
-  const data = JSON.parse(raw);
+// Paths relative to presets.json
+function previewPaths(entry) {
+  if (!entry || entry.error) {
+    return {};
+  }
+  const relative = (file) =>
+    path
+      .relative(outDir, path.join(previewsDir, file))
+      .split(path.sep)
+      .join("/");
   return {
-    name: path.basename(file, ".json"),
+    thumbnail: relative(entry.thumbnail),
+    preview: relative(entry.preview),
+  };
+}
+
+const sources = readPresetSources(root);
+
+// --no-validate skips the checks in scripts/validate-presets.mjs
+if (!process.argv.includes("--no-validate")) {
+  const { errors } = reportPresets(sources);
+  if (errors > 0) {
+    console.error(`Not writing ${outFile}, fix the errors above first`);
+    process.exit(1);
+  }
+}
+
+const previews = readPreviews();
+const presets = sources.map(({ file, name, preset: data }) => {
+  if (data.unsupportedHlsl) {
+    ["warp", "comp"].forEach((shader) => {
+      data.unsupportedHlsl[shader].forEach(({ line, message }) => {
+        console.warn(`${file}: ${shader} line ${line}: ${message}`);
+      });
+    });
+  }
+  return {
+    name,
     ...data,
+    ...previewPaths(previews[name]),
   };
 });
 
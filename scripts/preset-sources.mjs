@@ -0,0 +1,63 @@
+import fs from "fs";
+import path from "path";
+import parseMilk from "../src/milkdrop/milkParser.js";
+import validatePreset from "../src/milkdrop/presetValidator.js";
+
+// Converted .json presets, plus raw MilkDrop .milk files dropped in as-is
+export function readPresetSources(root) {
+  return fs
+    .readdirSync(root)
+    .filter((file) => file.endsWith(".json") || file.endsWith(".milk"))
+    .sort((a, b) => a.localeCompare(b))
+    .map((file) => {
+      const raw = fs.readFileSync(path.join(root, file), "utf8");
+      const ext = path.extname(file);
+      return {
+        file,
+        name: path.basename(file, ext),
+        preset: ext === ".milk" ? parseMilk(raw) : JSON.parse(raw),
+      };
+    });
+}
+
+function formatIssue({ severity, section, message, line, column }) {
+  let location = section;
+  if (line !== null) {
+    location += column !== null ? ` ${line}:${column}` : ` line ${line}`;
+  }
+  return `  ${severity.padEnd(8)}${location}: ${message}`;
+}
+
+// Validates every source and prints the presets that have problems, or the
+// whole report as JSON. Returns the error and warning counts.
+export function reportPresets(sources, { json = false } = {}) {
+  const report = sources.map(({ file, preset }) => ({
+    file,
+    issues: validatePreset(preset),
+  }));
+
+  const count = (severity) =>
+    report.reduce(
+      (total, { issues }) =>
+        total + issues.filter((issue) => issue.severity === severity).length,
+      0
+    );
+  const errors = count("error");
+  const warnings = count("warning");
+
+  if (json) {
+    console.log(JSON.stringify({ errors, warnings, presets: report }, null, 2));
+  } else {
+    report
+      .filter(({ issues }) => issues.length > 0)
+      .forEach(({ file, issues }) => {
+        console.log(file);
+        issues.forEach((issue) => console.log(formatIssue(issue)));
+      });
+    console.log(
+      `Checked ${report.length} presets: ${errors} errors, ${warnings} warnings`
+    );
+  }
+
+  return { errors, warnings };
+}
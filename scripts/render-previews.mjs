@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { readPresetSources } from "./preset-sources.mjs";
+import encodeAnimatedWebP from "./webp-animation.mjs";
+import TestServer from "../test/visual/utils/testServer.js";
+import { createPage, closeBrowser } from "../test/visual/utils/puppeteer.js";
+
+// Renders a PNG thumbnail and a short animated WebP preview of every preset
+// in PresetsSource, headless through the same browser setup as the visual
+// tests, and writes manifest.json next to them for build-presets-json.mjs.
+// Presets render against a fixed audio recording with a fixed seed, so the
+// output only changes when the preset (or these settings) do. Presets whose
+// images are up to date are skipped.
+//
+//   --audio <file>  audio frames, as test/fixtures/audioAnalysisData.json
+//   --out <dir>     default Chromastage/Resources/Presets/Previews
+//   --size <WxH>    default 320x240
+//   --seed <n>      default 12345
+//   --only <text>   only presets whose name contains text
+//   --force         render everything again
+//
+// Needs the engine build (yarn build) in dist/.
+
+const fps = 60;
+// 3s in, after most presets have built up their feedback
+const thumbnailFrame = 180;
+// 2s from 1s in, shown at 15fps
+const previewStart = 60;
+const previewFrames = 30;
+const previewStep = 4;
+const previewQuality = 0.8;
+
+function getArg(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index > -1 && index + 1 < args.length ? args[index + 1] : fallback;
+}
+
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .substring(0, 80);
+}
+
+// File names for every preset, numbered where two names slugify the same
+function getSlugs(sources) {
+  const slugs = new Map();
+  const used = new Set();
+  sources.forEach(({ name }) => {
+    const base = slugify(name) || "preset";
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    used.add(slug);
+    slugs.set(name, slug);
+  });
+  return slugs;
+}
+
+function hash(value) {
+  return crypto.createHash("sha1").update(value).digest("hex");
+}
+
+function fromDataURL(dataURL) {
+  return Buffer.from(dataURL.substring(dataURL.indexOf(",") + 1), "base64");
+}
+
+function readManifest(file, settings) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  // anything rendered with other settings is stale
+  if (JSON.stringify(manifest.settings) !== JSON.stringify(settings)) {
+    return {};
+  }
+  return manifest.presets || {};
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const root = path.resolve("PresetsSource");
+  const audioFile = path.resolve(
+    getArg(args, "--audio", "test/fixtures/audioAnalysisData.json")
+  );
+  const outDir = path.resolve(
+    getArg(args, "--out", "Chromastage/Resources/Presets/Previews")
+  );
+  const [width, height] = getArg(args, "--size", "320x240")
+    .split("x")
+    .map((n) => parseInt(n, 10));
+  const seed = parseInt(getArg(args, "--seed", "12345"), 10);
+  const only = getArg(args, "--only", null);
+  const force = args.includes("--force");
+
+  if (!fs.existsSync(path.resolve("dist/butterchurn.js"))) {
+    throw new Error("Butterchurn build not found, run yarn build first");
+  }
+  if (!fs.existsSync(audioFile)) {
+    throw new Error(`Audio analysis file not found: ${audioFile}`);
+  }
+
+  const recording = JSON.parse(fs.readFileSync(audioFile, "utf8"));
+  const numFrames = Math.max(
+    thumbnailFrame + 1,
+    previewStart + previewFrames * previewStep
+  );
+  // loop recordings shorter than the render
+  const audio = Array.from({ length: numFrames }, (_, i) => {
+    const frame = recording[i % recording.length];
+    return {
+      timeByteArray: frame.timeByteArray,
+      timeByteArrayL: frame.timeByteArrayL,
+      timeByteArrayR: frame.timeByteArrayR,
+    };
+  });
+
+  const settings = {
+    width,
+    height,
+    seed,
+    fps,
+    thumbnailFrame,
+    previewStart,
+    previewFrames,
+    previewStep,
+    previewQuality,
+    audio: hash(JSON.stringify(audio)),
+  };
+
+  const sources = readPresetSources(root);
+  const slugs = getSlugs(sources);
+  const manifestFile = path.join(outDir, "manifest.json");
+  const previous = readManifest(manifestFile, settings);
+  const presets = {};
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const server = new TestServer();
+  await server.start();
+  let failed = 0;
+
+  try {
+    const page = await createPage();
+    await page.goto(`${server.getUrl()}/scripts/render-previews.html`);
+    await page.waitForFunction(() => window.ready === true);
+    await page.evaluate((params) => window.setup(params), {
+      width,
+      height,
+      seed,
+      audio,
+    });
+
+    for (let i = 0; i < sources.length; i++) {
+      const { name, preset } = sources[i];
+      const slug = slugs.get(name);
+      const presetHash = hash(JSON.stringify(preset));
+      const entry = previous[name];
+
+      const upToDate =
+        entry &&
+        entry.hash === presetHash &&
+        !entry.error &&
+        fs.existsSync(path.join(outDir, entry.thumbnail)) &&
+        fs.existsSync(path.join(outDir, entry.preview));
+      const selected = !only || name.includes(only);
+      if (!selected || (upToDate && !force)) {
+        if (entry) {
+          presets[name] = entry;
+        }
+        continue;
+      }
+
+      console.log(`[${i + 1}/${sources.length}] ${name}`);
+      try {
+        const rendered = await page.evaluate(
+          (params) => window.renderPreset(params),
+          {
+            preset,
+            seed,
+            fps,
+            thumbnailFrame,
+            previewStart,
+            previewFrames,
+            previewStep,
+            previewQuality,
+          }
+        );
+
+        const thumbnail = `${slug}.png`;
+        const preview = `${slug}.webp`;
+        fs.writeFileSync(
+          path.join(outDir, thumbnail),
+          fromDataURL(rendered.thumbnail)
+        );
+        fs.writeFileSync(
+          path.join(outDir, preview),
+          encodeAnimatedWebP(rendered.preview.map(fromDataURL), {
+            width,
+            height,
+            duration: Math.round((1000 * previewStep) / fps),
+          })
+        );
+        presets[name] = { thumbnail, preview, hash: presetHash };
+      } catch (err) {
+        failed += 1;
+        console.error(`  ${err.message || err}`);
+        presets[name] = { error: String(err.message || err), hash: presetHash };
+      }
+    }
+  } finally {
+    await closeBrowser();
+    await server.stop();
+  }
+
+  fs.writeFileSync(
+    manifestFile,
+    JSON.stringify({ version: 1, settings, presets }, null, 2)
+  );
+  console.log(`Wrote ${manifestFile}`);
+
+  if (failed > 0) {
+    console.error(`${failed} presets failed to render`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
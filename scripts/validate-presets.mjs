@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+import path from "path";
+import { readPresetSources, reportPresets } from "./preset-sources.mjs";
+
+// Checks every preset in PresetsSource (see src/milkdrop/presetValidator.js)
+// and exits non-zero if any has errors.
+//   --json    print the full report as JSON
+//   --strict  fail on warnings too
+
+const args = process.argv.slice(2);
+const root = path.resolve("PresetsSource");
+
+const { errors, warnings } = reportPresets(readPresetSources(root), {
+  json: args.includes("--json"),
+});
+
+if (errors > 0 || (args.includes("--strict") && warnings > 0)) {
+  process.exit(1);
+}
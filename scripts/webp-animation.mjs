@@ -0,0 +1,106 @@
+// Muxes still WebP images, as canvas.toDataURL("image/webp") makes them,
+// into one looping animated WebP. Only the container is written here, the
+// frames keep Chrome's encoding.
+// https://developers.google.com/speed/webp/docs/riff_container
+
+const imageChunks = ["ALPH", "VP8 ", "VP8L"];
+
+// VP8X flags
+const alphaFlag = 0x10;
+const animationFlag = 0x02;
+// ANMF flags: draw over the canvas instead of alpha-blending onto it
+const noBlendFlag = 0x02;
+
+function uint24(value) {
+  const buffer = Buffer.alloc(3);
+  buffer.writeUIntLE(value, 0, 3);
+  return buffer;
+}
+
+function uint32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value, 0);
+  return buffer;
+}
+
+function chunk(fourcc, data) {
+  const padding = Buffer.alloc(data.length % 2);
+  return Buffer.concat([
+    Buffer.from(fourcc, "ascii"),
+    uint32(data.length),
+    data,
+    padding,
+  ]);
+}
+
+function readChunks(webp) {
+  if (
+    webp.toString("ascii", 0, 4) !== "RIFF" ||
+    webp.toString("ascii", 8, 12) !== "WEBP"
+  ) {
+    throw new Error("Not a WebP image");
+  }
+
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= webp.length) {
+    const fourcc = webp.toString("ascii", offset, offset + 4);
+    const size = webp.readUInt32LE(offset + 4);
+    chunks.push({ fourcc, data: webp.subarray(offset + 8, offset + 8 + size) });
+    offset += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+// frames are WebP buffers of width x height, each shown for duration ms
+export default function encodeAnimatedWebP(
+  frames,
+  { width, height, duration }
+) {
+  let flags = animationFlag;
+
+  const anmfChunks = frames.map((frame) => {
+    const chunks = readChunks(frame).filter(({ fourcc }) =>
+      imageChunks.includes(fourcc)
+    );
+    if (!chunks.some(({ fourcc }) => fourcc !== "ALPH")) {
+      throw new Error("WebP frame has no image data");
+    }
+    if (chunks.some(({ fourcc }) => fourcc !== "VP8 ")) {
+      flags |= alphaFlag;
+    }
+
+    return chunk(
+      "ANMF",
+      Buffer.concat([
+        uint24(0),
+        uint24(0),
+        uint24(width - 1),
+        uint24(height - 1),
+        uint24(duration),
+        Buffer.from([noBlendFlag]),
+        ...chunks.map(({ fourcc, data }) => chunk(fourcc, data)),
+      ])
+    );
+  });
+
+  const vp8x = Buffer.concat([
+    Buffer.from([flags, 0, 0, 0]),
+    uint24(width - 1),
+    uint24(height - 1),
+  ]);
+  // opaque black background, loop forever
+  const anim = Buffer.from([0, 0, 0, 0xff, 0, 0]);
+
+  const body = Buffer.concat([
+    Buffer.from("WEBP", "ascii"),
+    chunk("VP8X", vp8x),
+    chunk("ANIM", anim),
+    ...anmfChunks,
+  ]);
+  return Buffer.concat([
+    Buffer.from("RIFF", "ascii"),
+    uint32(body.length),
+    body,
+  ]);
+}
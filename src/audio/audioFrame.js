@@ -0,0 +1,146 @@
+// A compact binary frame for pushing audio across a bridge (a native app's
+// WebView, a WebSocket, ...), decoded in one pass into Float32Arrays that
+// pushPCM and PCMStreamSource.push take as they are.
+//
+// Layout, little endian:
+//    0  u32  magic, "BCAF"
+//    4  u8   version, 1
+//    5  u8   sample format, see sampleFormats
+//    6  u8   channels, 1 or 2
+//    7  u8   reserved, 0
+//    8  u32  sample rate in Hz
+//   12  u32  sequence number, one more than the previous frame's, wrapping
+//   16  u32  frames (samples per channel)
+//   20       samples, interleaved when stereo
+
+const magic = 0x46414342; // "BCAF" read as a little endian u32
+const version = 1;
+export const headerSize = 20;
+
+export const sampleFormats = {
+  // 128 is silence, as from AnalyserNode.getByteTimeDomainData
+  uint8: { id: 1, size: 1 },
+  int16: { id: 2, size: 2 },
+  float32: { id: 3, size: 4 },
+};
+
+function formatById(id) {
+  return Object.values(sampleFormats).find((format) => format.id === id);
+}
+
+function readSample(view, offset, formatId) {
+  switch (formatId) {
+    case 1:
+      return (view.getUint8(offset) - 128) / 128;
+    case 2:
+      return view.getInt16(offset, true) / 32768;
+    default:
+      return view.getFloat32(offset, true);
+  }
+}
+
+function writeSample(view, offset, formatId, value) {
+  const sample = Math.min(Math.max(value, -1), 1);
+  switch (formatId) {
+    case 1:
+      view.setUint8(offset, Math.min(Math.round(sample * 128) + 128, 255));
+      break;
+    case 2:
+      view.setInt16(offset, Math.min(Math.round(sample * 32768), 32767), true);
+      break;
+    default:
+      view.setFloat32(offset, value, true);
+  }
+}
+
+// Float32 samples from -1 to 1 to a frame, mono when right is left (or
+// missing). Returns a Uint8Array.
+export function encodeAudioFrame(
+  left,
+  right = left,
+  { sampleRate, sequence = 0, format = "int16" } = {}
+) {
+  const sampleFormat = sampleFormats[format];
+  if (!sampleFormat) {
+    throw new Error(`Unknown audio frame sample format ${format}`);
+  }
+  const channels = right === left ? 1 : 2;
+  const frames = Math.min(left.length, right.length);
+
+  const bytes = new Uint8Array(
+    headerSize + frames * channels * sampleFormat.size
+  );
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, magic, true);
+  view.setUint8(4, version);
+  view.setUint8(5, sampleFormat.id);
+  view.setUint8(6, channels);
+  view.setUint32(8, sampleRate, true);
+  view.setUint32(12, sequence >>> 0, true);
+  view.setUint32(16, frames, true);
+
+  let offset = headerSize;
+  for (let i = 0; i < frames; i++) {
+    writeSample(view, offset, sampleFormat.id, left[i]);
+    offset += sampleFormat.size;
+    if (channels === 2) {
+      writeSample(view, offset, sampleFormat.id, right[i]);
+      offset += sampleFormat.size;
+    }
+  }
+  return bytes;
+}
+
+// An ArrayBuffer or Uint8Array holding one frame to
+// { sequence, sampleRate, channels, left, right }, where right is left for
+// mono frames. Throws on anything that isn't a whole frame.
+export function decodeAudioFrame(data) {
+  const view = ArrayBuffer.isView(data)
+    ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+    : new DataView(data);
+
+  if (view.byteLength < headerSize || view.getUint32(0, true) !== magic) {
+    throw new Error("Not an audio frame");
+  }
+  if (view.getUint8(4) !== version) {
+    throw new Error(`Unsupported audio frame version ${view.getUint8(4)}`);
+  }
+  const formatId = view.getUint8(5);
+  const sampleFormat = formatById(formatId);
+  if (!sampleFormat) {
+    throw new Error(`Unknown audio frame sample format ${formatId}`);
+  }
+  const channels = view.getUint8(6);
+  if (channels !== 1 && channels !== 2) {
+    throw new Error(
+      `Audio frames are mono or stereo, got ${channels} channels`
+    );
+  }
+  const frames = view.getUint32(16, true);
+  const expectedLength = headerSize + frames * channels * sampleFormat.size;
+  if (view.byteLength !== expectedLength) {
+    throw new Error(
+      `Audio frame of ${frames} frames should be ${expectedLength} bytes, got ${view.byteLength}`
+    );
+  }
+
+  const left = new Float32Array(frames);
+  const right = channels === 2 ? new Float32Array(frames) : left;
+  let offset = headerSize;
+  for (let i = 0; i < frames; i++) {
+    left[i] = readSample(view, offset, formatId);
+    offset += sampleFormat.size;
+    if (channels === 2) {
+      right[i] = readSample(view, offset, formatId);
+      offset += sampleFormat.size;
+    }
+  }
+
+  return {
+    sequence: view.getUint32(12, true),
+    sampleRate: view.getUint32(8, true),
+    channels,
+    left,
+    right,
+  };
+}
@@ -0,0 +1,60 @@
+import { decodeAudioFrame } from "./audioFrame";
+
+// Decodes a stream of audio frames (see audioFrame) and keeps count of the
+// ones lost on the way by their sequence numbers.
+//
+// A frame older than the last one received arrived out of order and is
+// dropped, its audio has been overtaken already. More than maxReorder behind
+// means the sender started over, and counting restarts from that frame.
+export default class AudioFrameReceiver {
+  constructor({ maxReorder = 64 } = {}) {
+    this.maxReorder = maxReorder;
+    this.lastSequence = null;
+    this.received = 0;
+    this.dropped = 0;
+    this.outOfOrder = 0;
+    this.restarts = 0;
+  }
+
+  // The decoded frame with the number of frames missing right before it as
+  // dropped, or null for a frame that arrived out of order
+  receive(data) {
+    const frame = decodeAudioFrame(data);
+
+    let dropped = 0;
+    if (this.lastSequence !== null) {
+      // distances modulo 2^32, so the sequence can wrap
+      const ahead = (frame.sequence - this.lastSequence) >>> 0;
+      const behind = (this.lastSequence - frame.sequence) >>> 0;
+      if (behind <= this.maxReorder) {
+        this.outOfOrder += 1;
+        return null;
+      }
+      if (ahead <= behind) {
+        dropped = ahead - 1;
+      } else {
+        this.restarts += 1;
+      }
+    }
+
+    this.lastSequence = frame.sequence;
+    this.received += 1;
+    this.dropped += dropped;
+    frame.dropped = dropped;
+    return frame;
+  }
+
+  getStats() {
+    return {
+      received: this.received,
+      dropped: this.dropped,
+      outOfOrder: this.outOfOrder,
+      restarts: this.restarts,
+    };
+  }
+
+  // Takes the next frame as the start of a new stream
+  reset() {
+    this.lastSequence = null;
+  }
+}
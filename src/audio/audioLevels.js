@@ -2,12 +2,22 @@ export default class AudioLevels {
   constructor(audio) {
     this.audio = audio;
 
-    let sampleRate;
-    if (this.audio.audioContext) {
-      sampleRate = this.audio.audioContext.sampleRate;
-    } else {
-      sampleRate = 44100;
-    }
+    this.updateBands(this.audio.sampleRate);
+
+    this.val = new Float32Array(3);
+    this.imm = new Float32Array(3);
+    this.att = new Float32Array(3);
+    this.avg = new Float32Array(3);
+    this.longAvg = new Float32Array(3);
+
+    this.att.fill(1);
+    this.avg.fill(1);
+    this.longAvg.fill(1);
+  }
+
+  // Bins of the bass, mid and treble bands for audio at sampleRate
+  updateBands(sampleRate) {
+    this.sampleRate = sampleRate;
 
     const bucketHz = sampleRate / this.audio.fftSize;
 
@@ -34,16 +44,6 @@ export default class AudioLevels {
 
     this.starts = [bassLow, bassHigh, midHigh];
     this.stops = [bassHigh, midHigh, trebHigh];
-
-    this.val = new Float32Array(3);
-    this.imm = new Float32Array(3);
-    this.att = new Float32Array(3);
-    this.avg = new Float32Array(3);
-    this.longAvg = new Float32Array(3);
-
-    this.att.fill(1);
-    this.avg.fill(1);
-    this.longAvg.fill(1);
   }
 
   /* eslint-disable camelcase */
@@ -81,6 +81,10 @@ export default class AudioLevels {
   }
 
   updateAudioLevels(fps, frame) {
+    if (this.audio.sampleRate !== this.sampleRate) {
+      this.updateBands(this.audio.sampleRate);
+    }
+
     if (this.audio.freqArray.length > 0) {
       let effectiveFPS = fps;
       if (!AudioLevels.isFiniteNumber(effectiveFPS) || effectiveFPS < 15) {
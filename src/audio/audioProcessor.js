@@ -1,11 +1,38 @@
 import FFT from "./fft";
+import AutoGain from "./autoGain";
 
+// fftSize is the number of samples analysed per frame, a power of two from
+// 64 to 32768. Larger sizes resolve the bass more finely, smaller ones follow
+// the music with less delay. The spectrum and the waveforms get fftSize / 2
+// values.
+//
+// agc turns on automatic gain control of the waveforms and the spectrum,
+// true for the defaults or AutoGain's options ({ target, attack, release,
+// ... }). Either way loudness follows the input's level.
 export default class AudioProcessor {
-  constructor(context) {
-    this.numSamps = 512;
-    this.fftSize = this.numSamps * 2;
+  constructor(context, { fftSize = 1024, agc = false } = {}) {
+    if (!AudioProcessor.isValidFFTSize(fftSize)) {
+      throw new Error(
+        `FFT size must be a power of two from 64 to 32768, got ${fftSize}`
+      );
+    }
+
+    this.fftSize = fftSize;
+    this.numSamps = this.fftSize / 2;
+
+    this.fft = new FFT(this.fftSize, this.numSamps, true);
+
+    this.agc = !!agc;
+    this.autoGain = new AutoGain(agc === true ? {} : agc || {});
+    this.loudness = 0;
 
-    this.fft = new FFT(this.fftSize, 512, true);
+    // see startRecording
+    this.recording = null;
+
+    // Rate of the samples being analysed. Input without an explicit rate is
+    // taken to be at the context's rate, or 44.1kHz without a context.
+    this.defaultSampleRate = context ? context.sampleRate : 44100;
+    this.sampleRate = this.defaultSampleRate;
 
     if (context) {
       this.audioContext = context;
@@ -39,40 +66,266 @@ export default class AudioProcessor {
     this.timeByteArrayL = new Uint8Array(this.fftSize);
     this.timeByteArrayR = new Uint8Array(this.fftSize);
 
+    // Float samples -1 -> 1 from pushPCM, used instead of the bytes while
+    // pcmInput is set
+    this.pcmL = new Float32Array(this.fftSize);
+    this.pcmR = new Float32Array(this.fftSize);
+    this.pcmInput = false;
+
+    this.allocateSignedArrays(this.agc ? Float32Array : Int8Array);
+  }
+
+  // Int8Array for byte input, Float32Array keeps the fractions of PCM input
+  // and of samples scaled by the AGC
+  allocateSignedArrays(ArrayType) {
+    if (this.timeArray instanceof ArrayType) {
+      return;
+    }
+
     // Signed raw samples shifted to -128 -> 127
-    this.timeArray = new Int8Array(this.fftSize);
-    this.timeByteArraySignedL = new Int8Array(this.fftSize);
-    this.timeByteArraySignedR = new Int8Array(this.fftSize);
+    this.timeArray = new ArrayType(this.fftSize);
+    this.timeByteArraySignedL = new ArrayType(this.fftSize);
+    this.timeByteArraySignedR = new ArrayType(this.fftSize);
 
     // Temporary array for smoothing
-    this.tempTimeArrayL = new Int8Array(this.fftSize);
-    this.tempTimeArrayR = new Int8Array(this.fftSize);
+    this.tempTimeArrayL = new ArrayType(this.fftSize);
+    this.tempTimeArrayR = new ArrayType(this.fftSize);
 
     // Undersampled from this.fftSize to this.numSamps
-    this.timeArrayL = new Int8Array(this.numSamps);
-    this.timeArrayR = new Int8Array(this.numSamps);
+    this.timeArrayL = new ArrayType(this.numSamps);
+    this.timeArrayR = new ArrayType(this.numSamps);
+  }
+
+  static isValidFFTSize(size) {
+    return (
+      Number.isInteger(size) &&
+      size >= 64 &&
+      size <= 32768 &&
+      (size & (size - 1)) === 0 // eslint-disable-line no-bitwise
+    );
+  }
+
+  // Longer inputs keep their newest fftSize samples, shorter ones shift into
+  // the end of the buffer so the newest sample is always last
+  static copyLatest(target, source) {
+    const count = Math.min(source.length, target.length);
+    const targetOffset = target.length - count;
+    const sourceOffset = source.length - count;
+    target.copyWithin(0, count);
+    for (let i = 0; i < count; i++) {
+      target[targetOffset + i] = source[sourceOffset + i];
+    }
+  }
+
+  // Stretches buffer from fromRate to toRate in place with the newest sample
+  // staying last, so that a chunk at the new rate continues it seamlessly
+  static resample(buffer, fromRate, toRate) {
+    const source = buffer.slice();
+    const last = buffer.length - 1;
+    const step = fromRate / toRate;
+    for (let i = 0; i <= last; i++) {
+      const pos = Math.max(last - (last - i) * step, 0);
+      const idx = Math.floor(pos);
+      const next = Math.min(idx + 1, last);
+      buffer[i] = source[idx] + (source[next] - source[idx]) * (pos - idx);
+    }
+  }
+
+  // A chunk too short to replace the buffered samples brings them to its
+  // rate first
+  setSampleRate(sampleRate, chunkLength, buffers) {
+    if (sampleRate === this.sampleRate) {
+      return;
+    }
+    if (chunkLength < this.fftSize) {
+      buffers.forEach((buffer) =>
+        AudioProcessor.resample(buffer, this.sampleRate, sampleRate)
+      );
+    }
+    this.sampleRate = sampleRate;
+  }
+
+  // Analyses the latest pushed PCM instead once pushPCM has been called.
+  // elapsed is the time since the last analysis, for the AGC.
+  sampleAudio(elapsed) {
+    if (!this.pcmInput) {
+      this.sampleRate = this.audioContext.sampleRate;
+      this.analyser.getByteTimeDomainData(this.timeByteArray);
+      this.analyserL.getByteTimeDomainData(this.timeByteArrayL);
+      this.analyserR.getByteTimeDomainData(this.timeByteArrayR);
+    }
+    this.processAudio(elapsed);
+  }
+  updateAudio(
+    timeByteArray,
+    timeByteArrayL,
+    timeByteArrayR,
+    sampleRate = this.defaultSampleRate,
+    elapsed
+  ) {
+    this.usePCM(false);
+    this.setSampleRate(sampleRate, timeByteArrayL.length, [
+      this.timeByteArray,
+      this.timeByteArrayL,
+      this.timeByteArrayR,
+    ]);
+    AudioProcessor.copyLatest(this.timeByteArray, timeByteArray);
+    AudioProcessor.copyLatest(this.timeByteArrayL, timeByteArrayL);
+    AudioProcessor.copyLatest(this.timeByteArrayR, timeByteArrayR);
+    this.processAudio(elapsed);
+  }
+  // Appends Float32 samples from -1 to 1, analysed by the next sampleAudio.
+  // Chunks of any length can be pushed, the newest fftSize samples are kept.
+  pushPCM(left, right = left, sampleRate = this.defaultSampleRate) {
+    this.usePCM(true);
+    this.setSampleRate(sampleRate, left.length, [this.pcmL, this.pcmR]);
+    AudioProcessor.copyLatest(this.pcmL, left);
+    AudioProcessor.copyLatest(this.pcmR, right);
+  }
+  usePCM(pcmInput) {
+    this.pcmInput = pcmInput;
+    this.allocateSignedArrays(pcmInput || this.agc ? Float32Array : Int8Array);
+  }
+  // Measures the level of the mono samples and, with agc on, scales all of
+  // them to the AGC's target, within the range of byte input
+  applyGain(elapsed) {
+    let sumSquares = 0;
+    for (let i = 0; i < this.fftSize; i++) {
+      sumSquares += this.timeArray[i] * this.timeArray[i];
+    }
+    const level = Math.sqrt(sumSquares / this.fftSize) / 128;
+    const gain = this.autoGain.update(level, elapsed);
+    this.loudness = this.autoGain.level;
+
+    if (!this.agc) {
+      return;
+    }
+    for (let i = 0; i < this.fftSize; i++) {
+      this.timeArray[i] = Math.clamp(this.timeArray[i] * gain, -128, 128);
+      this.timeByteArraySignedL[i] = Math.clamp(
+        this.timeByteArraySignedL[i] * gain,
+        -128,
+        128
+      );
+      this.timeByteArraySignedR[i] = Math.clamp(
+        this.timeByteArraySignedR[i] * gain,
+        -128,
+        128
+      );
+    }
   }
+  // Keeps the input of every analysed frame, and the levels worked out from
+  // it, until stopRecording. Only the newest maxFrames are kept, by default
+  // a minute at 60fps.
+  startRecording({ maxFrames = 3600 } = {}) {
+    this.recording = { frames: [], time: 0, maxFrames };
+  }
+
+  // The recorded frames in the format of test/fixtures/audioAnalysisData.json:
+  // { time, sampleRate, timeByteArray, timeByteArrayL, timeByteArrayR,
+  // levels } with the byte samples as plain arrays, time in seconds counting
+  // from the first frame's elapsed time. PCM input is stored as bytes too.
+  stopRecording() {
+    if (!this.recording) {
+      return [];
+    }
+    const { frames } = this.recording;
+    this.recording = null;
 
-  sampleAudio() {
-    this.analyser.getByteTimeDomainData(this.timeByteArray);
-    this.analyserL.getByteTimeDomainData(this.timeByteArrayL);
-    this.analyserR.getByteTimeDomainData(this.timeByteArrayR);
-    this.processAudio();
+    const start = frames.length > 0 ? frames[0].time - frames[0].elapsed : 0;
+    return frames.map((frame) => {
+      const recorded = {
+        time: frame.time - start,
+        sampleRate: frame.sampleRate,
+        timeByteArray: Array.from(frame.timeByteArray),
+        timeByteArrayL: Array.from(frame.timeByteArrayL),
+        timeByteArrayR: Array.from(frame.timeByteArrayR),
+      };
+      if (frame.levels) {
+        recorded.levels = frame.levels;
+      }
+      return recorded;
+    });
   }
-  updateAudio(timeByteArray, timeByteArrayL, timeByteArrayR) {
-    this.timeByteArray.set(timeByteArray);
-    this.timeByteArrayL.set(timeByteArrayL);
-    this.timeByteArrayR.set(timeByteArrayR);
-    this.processAudio();
+
+  static pcmToBytes(pcm) {
+    return Uint8Array.from(pcm, (x) =>
+      Math.clamp(Math.round(x * 128) + 128, 0, 255)
+    );
+  }
+
+  recordFrame(elapsed) {
+    const recording = this.recording;
+    recording.time += elapsed;
+
+    let frame;
+    if (this.pcmInput) {
+      const timeByteArrayL = AudioProcessor.pcmToBytes(this.pcmL);
+      const timeByteArrayR = AudioProcessor.pcmToBytes(this.pcmR);
+      frame = {
+        timeByteArray: timeByteArrayL.map((l, i) =>
+          Math.round((l + timeByteArrayR[i]) / 2)
+        ),
+        timeByteArrayL,
+        timeByteArrayR,
+      };
+    } else {
+      frame = {
+        timeByteArray: this.timeByteArray.slice(),
+        timeByteArrayL: this.timeByteArrayL.slice(),
+        timeByteArrayR: this.timeByteArrayR.slice(),
+      };
+    }
+    frame.time = recording.time;
+    frame.elapsed = elapsed;
+    frame.sampleRate = this.sampleRate;
+
+    recording.frames.push(frame);
+    if (recording.frames.length > recording.maxFrames) {
+      recording.frames.shift();
+    }
+  }
+
+  // Adds the AudioLevels worked out from the frame just analysed
+  recordLevels(levels) {
+    if (!this.recording || this.recording.frames.length === 0) {
+      return;
+    }
+    const frame = this.recording.frames[this.recording.frames.length - 1];
+    frame.levels = {
+      bass: levels.bass,
+      bass_att: levels.bass_att,
+      mid: levels.mid,
+      mid_att: levels.mid_att,
+      treb: levels.treb,
+      treb_att: levels.treb_att,
+    };
   }
   /* eslint-disable no-bitwise */
-  processAudio() {
-    for (let i = 0, j = 0, lastIdx = 0; i < this.fftSize; i++) {
-      // Shift Unsigned to Signed about 0
-      this.timeArray[i] = this.timeByteArray[i] - 128;
-      this.timeByteArraySignedL[i] = this.timeByteArrayL[i] - 128;
-      this.timeByteArraySignedR[i] = this.timeByteArrayR[i] - 128;
+  processAudio(elapsed = 1 / 30) {
+    // before the AGC, so a replay goes through it the same way
+    if (this.recording) {
+      this.recordFrame(elapsed);
+    }
+
+    for (let i = 0; i < this.fftSize; i++) {
+      if (this.pcmInput) {
+        // Same scale as the bytes, without rounding
+        this.timeByteArraySignedL[i] = this.pcmL[i] * 128;
+        this.timeByteArraySignedR[i] = this.pcmR[i] * 128;
+        this.timeArray[i] =
+          0.5 * (this.timeByteArraySignedL[i] + this.timeByteArraySignedR[i]);
+      } else {
+        // Shift Unsigned to Signed about 0
+        this.timeArray[i] = this.timeByteArray[i] - 128;
+        this.timeByteArraySignedL[i] = this.timeByteArrayL[i] - 128;
+        this.timeByteArraySignedR[i] = this.timeByteArrayR[i] - 128;
+      }
+    }
+
+    this.applyGain(elapsed);
 
+    for (let i = 0, j = 0, lastIdx = 0; i < this.fftSize; i++) {
       this.tempTimeArrayL[i] =
         0.5 *
         (this.timeByteArraySignedL[i] + this.timeByteArraySignedL[lastIdx]);
@@ -97,11 +350,29 @@ export default class AudioProcessor {
   }
 
   connectAudio(audionode) {
+    this.usePCM(false);
     audionode.connect(this.audible);
   }
 
   disconnectAudio(audionode) {
     audionode.disconnect(this.audible);
   }
+
+  dispose() {
+    if (this.audioContext) {
+      this.audible.disconnect();
+      this.splitter.disconnect();
+      this.analyser.disconnect();
+      this.analyserL.disconnect();
+      this.analyserR.disconnect();
+
+      this.audible = null;
+      this.splitter = null;
+      this.analyser = null;
+      this.analyserL = null;
+      this.analyserR = null;
+      this.audioContext = null;
+    }
+  }
   /* eslint-enable no-bitwise */
 }
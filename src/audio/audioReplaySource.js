@@ -0,0 +1,52 @@
+// Plays recorded audio frames (from AudioProcessor.stopRecording, or
+// test/fixtures/audioAnalysisData.json) back through render, one per call:
+//
+//   const replay = new AudioReplaySource(frames);
+//   visualizer.render(replay.next());
+//
+// Frames are rendered with the elapsed time they were recorded with, so a
+// preset sees the same audio at the same times as in the recorded session.
+export default class AudioReplaySource {
+  constructor(frames, { loop = false } = {}) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+      throw new Error("An audio replay needs at least one frame");
+    }
+
+    this.frames = frames;
+    this.loop = loop;
+    this.index = 0;
+  }
+
+  get done() {
+    return !this.loop && this.index >= this.frames.length;
+  }
+
+  // render's { audioLevels, elapsedTime } for the next frame, null once all
+  // have been played unless looping
+  next() {
+    if (this.done) {
+      return null;
+    }
+
+    const index = this.index % this.frames.length;
+    const frame = this.frames[index];
+    this.index += 1;
+
+    // the first frame's time is its own elapsed time
+    const elapsedTime =
+      index === 0 ? frame.time : frame.time - this.frames[index - 1].time;
+    return {
+      elapsedTime,
+      audioLevels: {
+        timeByteArray: Uint8Array.from(frame.timeByteArray),
+        timeByteArrayL: Uint8Array.from(frame.timeByteArrayL),
+        timeByteArrayR: Uint8Array.from(frame.timeByteArrayR),
+        sampleRate: frame.sampleRate,
+      },
+    };
+  }
+
+  reset() {
+    this.index = 0;
+  }
+}
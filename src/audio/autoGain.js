@@ -0,0 +1,51 @@
+// Follows the RMS level of the input and works out the gain that brings it to
+// target, so quiet sources still move the waves and loud ones don't clip.
+//
+// Levels rise over attack seconds and fall over release seconds: the gain
+// drops quickly when the music gets louder and recovers slowly through quiet
+// passages. Input below threshold is taken as silence and the gain holds,
+// instead of turning the noise floor up to maxGain between tracks.
+export default class AutoGain {
+  constructor({
+    target = 0.25,
+    attack = 0.05,
+    release = 2,
+    minGain = 0.25,
+    maxGain = 16,
+    threshold = 0.001,
+  } = {}) {
+    this.target = target;
+    this.attack = attack;
+    this.release = release;
+    this.minGain = minGain;
+    this.maxGain = maxGain;
+    this.threshold = threshold;
+
+    // level follows the input through silence too, gainLevel is what the
+    // gain is worked out from and starts at unity gain
+    this.level = 0;
+    this.gainLevel = target;
+    this.gain = 1;
+  }
+
+  follow(from, level, elapsed) {
+    const time = level > from ? this.attack : this.release;
+    return from + (level - from) * (1 - Math.exp(-elapsed / time));
+  }
+
+  // level is the RMS of the latest samples (from -1 to 1), elapsed the
+  // seconds since the last update
+  update(level, elapsed) {
+    this.level = this.follow(this.level, level, elapsed);
+
+    if (level >= this.threshold) {
+      this.gainLevel = this.follow(this.gainLevel, level, elapsed);
+      this.gain = Math.clamp(
+        this.target / this.gainLevel,
+        this.minGain,
+        this.maxGain
+      );
+    }
+    return this.gain;
+  }
+}
@@ -0,0 +1,209 @@
+// Finds onsets in the spectrum and follows the beat they imply.
+//   beat        1 on frames where a beat lands, else 0
+//   bpm         tempo estimate, 0 until enough onsets have been heard
+//   beat_phase  0 -> 1 over each beat
+// Onsets are peaks in spectral flux above an adaptive threshold. The tempo
+// comes from a histogram of the intervals between recent onsets, and the
+// beat phase from a phase-locked loop nudged by every onset near a predicted
+// beat. Without a tempo each onset counts as a beat.
+
+const minBPM = 60;
+const maxBPM = 200;
+// seconds of flux the onset threshold looks at
+const fluxWindow = 1.5;
+// seconds of onsets the tempo is estimated from
+const onsetWindow = 8;
+// shortest time between two onsets, caps the tempo
+const minOnsetInterval = 60 / maxBPM;
+// how far an onset moves the predicted phase towards itself
+const phaseGain = 0.2;
+
+export default class BeatTracker {
+  constructor(audio) {
+    this.audio = audio;
+
+    this.prevSpectrum = null;
+    this.fluxHist = [];
+    this.onsets = [];
+    this.lastOnsetTime = -Infinity;
+    this.lastBeatTime = -Infinity;
+    this.pendingBPM = 0;
+    this.lastTime = null;
+
+    this.beat = 0;
+    this.bpm = 0;
+    this.phase = 0;
+  }
+
+  /* eslint-disable camelcase */
+  get beat_phase() {
+    return this.phase;
+  }
+  /* eslint-enable camelcase */
+
+  // Spectral flux, the summed rise in magnitude over the lower half of the
+  // spectrum (below ~11kHz)
+  getFlux() {
+    const spectrum = this.audio.freqArray;
+    const numBins = Math.floor(spectrum.length / 2);
+
+    let flux = 0;
+    if (this.prevSpectrum) {
+      for (let i = 0; i < numBins; i++) {
+        const rise = spectrum[i] - this.prevSpectrum[i];
+        if (rise > 0) {
+          flux += rise;
+        }
+      }
+    } else {
+      this.prevSpectrum = new Float32Array(numBins);
+    }
+    this.prevSpectrum.set(spectrum.subarray(0, numBins));
+
+    return flux;
+  }
+
+  isOnset(flux, time) {
+    while (
+      this.fluxHist.length > 0 &&
+      this.fluxHist[0].time < time - fluxWindow
+    ) {
+      this.fluxHist.shift();
+    }
+
+    let onset = false;
+    if (
+      this.fluxHist.length > 0 &&
+      time - this.lastOnsetTime > minOnsetInterval
+    ) {
+      let mean = 0;
+      for (let i = 0; i < this.fluxHist.length; i++) {
+        mean += this.fluxHist[i].flux;
+      }
+      mean /= this.fluxHist.length;
+
+      let variance = 0;
+      for (let i = 0; i < this.fluxHist.length; i++) {
+        variance += (this.fluxHist[i].flux - mean) ** 2;
+      }
+      const std = Math.sqrt(variance / this.fluxHist.length);
+
+      onset = flux > mean + 1.5 * std && flux > 1.5 * mean;
+    }
+
+    this.fluxHist.push({ time, flux });
+    return onset;
+  }
+
+  // Votes for the tempo of every interval between recent onsets and its
+  // halves/thirds/quarters, weighted towards ~120bpm to settle octave errors
+  estimateBPM() {
+    const votes = new Float32Array(maxBPM - minBPM + 1);
+    for (let i = 0; i < this.onsets.length; i++) {
+      for (let j = i + 1; j < Math.min(i + 5, this.onsets.length); j++) {
+        const interval = this.onsets[j] - this.onsets[i];
+        for (let k = 1; k <= 4; k++) {
+          const bpm = (60 * k) / interval;
+          if (bpm >= minBPM && bpm <= maxBPM) {
+            // intervals are only as exact as the frame rate, which matters
+            // more the faster the tempo
+            const spread = 0.025 * bpm;
+            const from = Math.max(Math.floor(bpm - 2 * spread), minBPM);
+            const to = Math.min(Math.ceil(bpm + 2 * spread), maxBPM);
+            for (let n = from; n <= to; n++) {
+              votes[n - minBPM] +=
+                Math.exp(-(((n - bpm) / spread) ** 2) / 2) / k;
+            }
+          }
+        }
+      }
+    }
+
+    let best = -1;
+    let bestScore = 0;
+    for (let n = 0; n < votes.length; n++) {
+      const prior = Math.exp(-(Math.log2((n + minBPM) / 120) ** 2) / 0.5);
+      const score = votes[n] * prior;
+      if (score > bestScore) {
+        best = n;
+        bestScore = score;
+      }
+    }
+
+    return best < 0 ? 0 : best + minBPM;
+  }
+
+  // A new estimate far from the current tempo has to come up twice in a row
+  updateBPM() {
+    const estimate = this.estimateBPM();
+    if (estimate === 0) {
+      return;
+    }
+
+    if (this.bpm === 0 || Math.abs(estimate - this.bpm) / this.bpm < 0.08) {
+      this.bpm = this.bpm === 0 ? estimate : this.bpm * 0.8 + estimate * 0.2;
+      this.pendingBPM = 0;
+    } else if (Math.abs(estimate - this.pendingBPM) / estimate < 0.08) {
+      this.bpm = estimate;
+      this.pendingBPM = 0;
+    } else {
+      this.pendingBPM = estimate;
+    }
+  }
+
+  // Call once per frame after the audio was processed, time in seconds
+  update(time) {
+    const elapsed = this.lastTime === null ? 0 : time - this.lastTime;
+    this.lastTime = time;
+
+    this.beat = 0;
+    if (!this.audio.freqArray || this.audio.freqArray.length === 0) {
+      return;
+    }
+
+    const onset = this.isOnset(this.getFlux(), time);
+    if (onset) {
+      this.lastOnsetTime = time;
+      this.onsets.push(time);
+    }
+    while (this.onsets.length > 0 && this.onsets[0] < time - onsetWindow) {
+      this.onsets.shift();
+    }
+
+    // the music stopped or changed too much to keep following
+    if (this.onsets.length < 4) {
+      this.bpm = 0;
+      this.pendingBPM = 0;
+    } else if (onset) {
+      this.updateBPM();
+    }
+
+    if (this.bpm === 0) {
+      this.phase = 0;
+      if (onset) {
+        this.beat = 1;
+        this.lastBeatTime = time;
+      }
+      return;
+    }
+
+    const period = 60 / this.bpm;
+    let phase = this.phase + elapsed / period;
+    if (onset) {
+      // distance to the nearest predicted beat, -0.5 -> 0.5
+      const error = phase - Math.round(phase);
+      if (Math.abs(error) < 0.25) {
+        phase -= error * phaseGain;
+      }
+    }
+
+    if (phase >= 1) {
+      phase -= Math.floor(phase);
+      if (time - this.lastBeatTime > period * 0.5) {
+        this.beat = 1;
+        this.lastBeatTime = time;
+      }
+    }
+    this.phase = phase;
+  }
+}
@@ -0,0 +1,146 @@
+// Stereo FIFO between pushed PCM chunks and an audio render callback that
+// pulls fixed-size blocks, e.g. an AudioWorkletProcessor. Chunks are resampled
+// to the output rate on the way in.
+//
+// The producer's clock never quite matches the output's, so the fill level
+// slowly drifts. Instead of dropping or repeating samples, the resampling
+// step is nudged (by at most maxCorrection) to keep the average fill at
+// targetLatency. A fill past maxLatency drops the oldest samples, running dry
+// is an underrun: the output is silent until targetLatency is buffered again.
+//
+// This class is serialized into the AudioWorklet module by PCMStreamSource,
+// so it can't reference anything outside itself.
+export default class PCMRingBuffer {
+  constructor(
+    outputRate,
+    { targetLatency = 0.08, maxLatency = 0.5, maxCorrection = 0.02 } = {}
+  ) {
+    this.outputRate = outputRate;
+    this.targetFrames = Math.round(targetLatency * outputRate);
+    this.maxFrames = Math.max(
+      Math.round(maxLatency * outputRate),
+      this.targetFrames * 2
+    );
+    this.maxCorrection = maxCorrection;
+
+    this.capacity = this.maxFrames * 2;
+    this.left = new Float32Array(this.capacity);
+    this.right = new Float32Array(this.capacity);
+    this.readIndex = 0;
+    this.available = 0;
+
+    // Resampler state: position of the next output sample in the incoming
+    // chunk, where -1 is the last sample of the previous chunk
+    this.position = 0;
+    this.lastLeft = 0;
+    this.lastRight = 0;
+
+    this.averageFill = this.targetFrames;
+    this.correction = 0;
+    this.buffering = true;
+
+    this.underruns = 0;
+    this.overflows = 0;
+    this.framesPushed = 0;
+    this.framesRead = 0;
+  }
+
+  write(left, right) {
+    if (this.available === this.capacity) {
+      this.readIndex = (this.readIndex + 1) % this.capacity;
+      this.available -= 1;
+    }
+    const writeIndex = (this.readIndex + this.available) % this.capacity;
+    this.left[writeIndex] = left;
+    this.right[writeIndex] = right;
+    this.available += 1;
+  }
+
+  // Float32 samples from -1 to 1 at sampleRate, right defaults to left
+  push(left, right = left, sampleRate = this.outputRate) {
+    const length = Math.min(left.length, right.length);
+    if (length === 0) {
+      return;
+    }
+
+    const step = (sampleRate / this.outputRate) * (1 + this.correction);
+    let position = this.position;
+    // the last sample is only interpolated from once the next chunk arrives
+    while (position < length - 1) {
+      const index = Math.floor(position);
+      const frac = position - index;
+      const l0 = index < 0 ? this.lastLeft : left[index];
+      const r0 = index < 0 ? this.lastRight : right[index];
+      this.write(
+        l0 + (left[index + 1] - l0) * frac,
+        r0 + (right[index + 1] - r0) * frac
+      );
+      position += step;
+    }
+
+    this.position = position - length;
+    this.lastLeft = left[length - 1];
+    this.lastRight = right[length - 1];
+    this.framesPushed += length;
+
+    if (this.available > this.maxFrames) {
+      const drop = this.available - this.targetFrames;
+      this.readIndex = (this.readIndex + drop) % this.capacity;
+      this.available -= drop;
+      this.overflows += 1;
+    }
+  }
+
+  // Fills outLeft/outRight with the oldest buffered samples
+  read(outLeft, outRight) {
+    const frames = outLeft.length;
+
+    // averaged over many blocks, the chunks' arrival jitter cancels out
+    this.averageFill += (this.available - this.averageFill) * 0.002;
+    const error = (this.averageFill - this.targetFrames) / this.targetFrames;
+    this.correction = Math.min(
+      Math.max(error * 0.05, -this.maxCorrection),
+      this.maxCorrection
+    );
+
+    if (this.buffering && this.available >= this.targetFrames) {
+      this.buffering = false;
+    }
+
+    let count = 0;
+    if (!this.buffering) {
+      count = Math.min(frames, this.available);
+      for (let i = 0; i < count; i++) {
+        outLeft[i] = this.left[this.readIndex];
+        outRight[i] = this.right[this.readIndex];
+        this.readIndex = (this.readIndex + 1) % this.capacity;
+      }
+      this.available -= count;
+      this.framesRead += count;
+
+      if (count < frames) {
+        this.underruns += 1;
+        this.buffering = true;
+      }
+    }
+
+    outLeft.fill(0, count);
+    outRight.fill(0, count);
+  }
+
+  // latency is what is buffered right now, averageLatency what the drift
+  // correction steers towards targetLatency, both in seconds
+  getStats() {
+    return {
+      underruns: this.underruns,
+      overflows: this.overflows,
+      latency: this.available / this.outputRate,
+      averageLatency: this.averageFill / this.outputRate,
+      targetLatency: this.targetFrames / this.outputRate,
+      correction: this.correction,
+      buffering: this.buffering,
+      framesPushed: this.framesPushed,
+      framesRead: this.framesRead,
+    };
+  }
+}
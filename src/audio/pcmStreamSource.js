@@ -0,0 +1,146 @@
+import PCMRingBuffer from "./pcmRingBuffer";
+import EventEmitter from "../utils/eventEmitter";
+
+const processorName = "butterchurn-pcm-stream";
+
+// Runs in the AudioWorkletGlobalScope, where AudioWorkletProcessor,
+// registerProcessor and sampleRate (the context's) are globals
+/* global sampleRate */
+function definePCMStreamProcessor(RingBuffer, name) {
+  class PCMStreamProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      const { statsInterval, ...bufferOpts } = options.processorOptions;
+      this.buffer = new RingBuffer(sampleRate, bufferOpts);
+      this.statsFrames = Math.round(statsInterval * sampleRate);
+      this.framesSinceStats = 0;
+      this.active = true;
+
+      this.port.onmessage = ({ data }) => {
+        if (data.type === "push") {
+          this.buffer.push(data.left, data.right, data.sampleRate);
+        } else if (data.type === "dispose") {
+          this.active = false;
+        }
+      };
+    }
+
+    process(inputs, outputs) {
+      const [left, right] = outputs[0];
+      this.buffer.read(left, right || new Float32Array(left.length));
+
+      this.framesSinceStats += left.length;
+      if (this.framesSinceStats >= this.statsFrames) {
+        this.framesSinceStats = 0;
+        this.port.postMessage({ type: "stats", stats: this.buffer.getStats() });
+      }
+
+      return this.active;
+    }
+  }
+
+  registerProcessor(name, PCMStreamProcessor);
+}
+
+// the module is built from source so it ships inside the bundle
+const moduleSource = `(${definePCMStreamProcessor})(${PCMRingBuffer}, ${JSON.stringify(
+  processorName
+)});`;
+
+// addModule promises per context, the processor can only be registered once
+const registrations = new WeakMap();
+
+function registerPCMStreamProcessor(context) {
+  if (!registrations.has(context)) {
+    const url = URL.createObjectURL(
+      new Blob([moduleSource], { type: "application/javascript" })
+    );
+    const registration = context.audioWorklet
+      .addModule(url)
+      .finally(() => URL.revokeObjectURL(url));
+    registrations.set(context, registration);
+  }
+  return registrations.get(context);
+}
+
+// An AudioNode playing PCM pushed from outside Web Audio (a native bridge, a
+// WebSocket, ...) as one continuous stereo stream. Connect node to
+// Visualizer.connectAudio. Pushed chunks go through a PCMRingBuffer on the
+// audio thread, which evens out their arrival and the clock drift between
+// producer and context; see there for the options.
+//
+// Emits "stats" with PCMRingBuffer.getStats() every statsInterval seconds.
+export default class PCMStreamSource {
+  static isSupported(context) {
+    return (
+      !!context &&
+      !!context.audioWorklet &&
+      typeof AudioWorkletNode !== "undefined"
+    );
+  }
+
+  // Resolves once the processor is registered with the context
+  static async create(context, opts = {}) {
+    await registerPCMStreamProcessor(context);
+    return new PCMStreamSource(context, opts);
+  }
+
+  constructor(
+    context,
+    { targetLatency, maxLatency, maxCorrection, statsInterval = 0.5 } = {}
+  ) {
+    this.context = context;
+    this.events = new EventEmitter();
+    this.stats = null;
+
+    this.node = new AudioWorkletNode(context, processorName, {
+      numberOfInputs: 0,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+      processorOptions: {
+        targetLatency,
+        maxLatency,
+        maxCorrection,
+        statsInterval,
+      },
+    });
+    this.node.port.onmessage = ({ data }) => {
+      if (data.type === "stats") {
+        this.stats = data.stats;
+        this.events.emit("stats", data.stats);
+      }
+    };
+  }
+
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
+
+  // Float32 samples from -1 to 1, right defaults to left and sampleRate to
+  // the context's
+  push(left, right = left, sampleRate = this.context.sampleRate) {
+    const chunk = {
+      type: "push",
+      left: Float32Array.from(left),
+      right: Float32Array.from(right),
+      sampleRate,
+    };
+    this.node.port.postMessage(chunk, [chunk.left.buffer, chunk.right.buffer]);
+  }
+
+  // The latest stats from the audio thread, null until the first arrive
+  getStats() {
+    return this.stats;
+  }
+
+  dispose() {
+    this.node.port.postMessage({ type: "dispose" });
+    this.node.port.onmessage = null;
+    this.node.disconnect();
+    this.events.removeAllListeners();
+  }
+}
@@ -0,0 +1,776 @@
+// Runs the converted JS equations (init_eqs_str, frame_eqs_str, ...) without
+// eval, for pages whose Content-Security-Policy blocks new Function.
+//
+//   const frameEqs = compileEquations(preset.frame_eqs_str);
+//   mdVSFrame = frameEqs(mdVSFrame);
+//
+// The code is parsed once into closures over the same `a` variable object
+// that the new Function version gets, and returns a the same way. The
+// converter emits a small part of JS: var, if/else, for, while and do-while,
+// blocks, the operators, and calls to Math and the presetBase functions, so
+// that is all this understands. Globals are read from window, where
+// presetBase puts its functions, and can't be assigned to. constructor,
+// prototype and __proto__ can't be reached.
+
+const keywords = new Set([
+  "var",
+  "if",
+  "else",
+  "for",
+  "while",
+  "do",
+  "true",
+  "false",
+]);
+
+// longest first, so ">>=" isn't read as ">" and ">="
+const punctuators = [
+  ">>>=",
+  "===",
+  "!==",
+  ">>>",
+  "<<=",
+  ">>=",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "++",
+  "--",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "<<",
+  ">>",
+  ..."+-*/%<>=!~?:,;.()[]{}&|^",
+];
+
+const blockedProperties = new Set(["constructor", "prototype", "__proto__"]);
+
+const binaryOps = {
+  "*": (x, y) => x * y,
+  "/": (x, y) => x / y,
+  "%": (x, y) => x % y,
+  "+": (x, y) => x + y,
+  "-": (x, y) => x - y,
+  "<<": (x, y) => x << y,
+  ">>": (x, y) => x >> y,
+  ">>>": (x, y) => x >>> y,
+  "<": (x, y) => x < y,
+  ">": (x, y) => x > y,
+  "<=": (x, y) => x <= y,
+  ">=": (x, y) => x >= y,
+  // eslint-disable-next-line eqeqeq
+  "==": (x, y) => x == y,
+  // eslint-disable-next-line eqeqeq
+  "!=": (x, y) => x != y,
+  "===": (x, y) => x === y,
+  "!==": (x, y) => x !== y,
+  "&": (x, y) => x & y,
+  "^": (x, y) => x ^ y,
+  "|": (x, y) => x | y,
+};
+
+const precedence = {
+  "||": 1,
+  "&&": 2,
+  "|": 3,
+  "^": 4,
+  "&": 5,
+  "==": 6,
+  "!=": 6,
+  "===": 6,
+  "!==": 6,
+  "<": 7,
+  ">": 7,
+  "<=": 7,
+  ">=": 7,
+  "<<": 8,
+  ">>": 8,
+  ">>>": 8,
+  "+": 9,
+  "-": 9,
+  "*": 10,
+  "/": 10,
+  "%": 10,
+};
+
+const assignOps = new Set([
+  "=",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "<<=",
+  ">>=",
+  ">>>=",
+]);
+
+// A SyntaxError with the { first_line, first_column } loc that
+// Visualizer.describeError reports
+function syntaxError(code, pos, message) {
+  const before = code.slice(0, pos).split("\n");
+  const error = new SyntaxError(message);
+  error.loc = {
+    first_line: before.length,
+    first_column: before[before.length - 1].length,
+  };
+  return error;
+}
+
+function tokenize(code) {
+  const tokens = [];
+  const numberRe =
+    /(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/y;
+  const nameRe = /[A-Za-z_$][\w$]*/y;
+  let pos = 0;
+  let newline = false;
+
+  while (pos < code.length) {
+    const ch = code[pos];
+    if (ch === "\n" || ch === "\r") {
+      newline = true;
+      pos += 1;
+    } else if (/\s/.test(ch)) {
+      pos += 1;
+    } else if (code.startsWith("//", pos)) {
+      const end = code.indexOf("\n", pos);
+      pos = end === -1 ? code.length : end;
+    } else if (code.startsWith("/*", pos)) {
+      const end = code.indexOf("*/", pos + 2);
+      if (end === -1) {
+        throw syntaxError(code, pos, "Unterminated comment");
+      }
+      newline = newline || code.slice(pos, end).includes("\n");
+      pos = end + 2;
+    } else {
+      const token = { pos, newline };
+      numberRe.lastIndex = pos;
+      nameRe.lastIndex = pos;
+      const number = numberRe.exec(code);
+      const name = !number && nameRe.exec(code);
+      if (number) {
+        token.type = "number";
+        token.value = Number(number[0]);
+        pos += number[0].length;
+      } else if (name) {
+        token.type = keywords.has(name[0]) ? "keyword" : "name";
+        token.value = name[0];
+        pos += name[0].length;
+      } else if (ch === '"' || ch === "'") {
+        const end = code.indexOf(ch, pos + 1);
+        if (end === -1 || code.slice(pos, end).includes("\\")) {
+          throw syntaxError(code, pos, "Unsupported string literal");
+        }
+        token.type = "string";
+        token.value = code.slice(pos + 1, end);
+        pos = end + 1;
+      } else {
+        const punctuator = punctuators.find((p) => code.startsWith(p, pos));
+        if (!punctuator) {
+          throw syntaxError(code, pos, `Unexpected character "${ch}"`);
+        }
+        token.type = "punctuator";
+        token.value = punctuator;
+        pos += punctuator.length;
+      }
+      tokens.push(token);
+      newline = false;
+    }
+  }
+
+  tokens.push({ type: "end", value: "end of input", pos, newline });
+  return tokens;
+}
+
+// Recursive descent into a tree of { type, ... } nodes. Declared vars are
+// collected as they're found, they're function scoped like with var.
+class Parser {
+  constructor(code) {
+    this.code = code;
+    this.tokens = tokenize(code);
+    this.index = 0;
+    this.vars = new Set();
+  }
+
+  get token() {
+    return this.tokens[this.index];
+  }
+
+  error(message, token = this.token) {
+    return syntaxError(this.code, token.pos, message);
+  }
+
+  unexpected(token = this.token) {
+    const text =
+      token.type === "end" ? token.value : `token "${String(token.value)}"`;
+    return this.error(`Unexpected ${text}`, token);
+  }
+
+  is(value) {
+    const token = this.token;
+    return (
+      (token.type === "punctuator" || token.type === "keyword") &&
+      token.value === value
+    );
+  }
+
+  eat(value) {
+    if (this.is(value)) {
+      this.index += 1;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.eat(value)) {
+      throw this.unexpected();
+    }
+  }
+
+  // ; or where JS would insert one
+  endStatement() {
+    if (
+      !this.eat(";") &&
+      !this.is("}") &&
+      this.token.type !== "end" &&
+      !this.token.newline
+    ) {
+      throw this.unexpected();
+    }
+  }
+
+  parseProgram() {
+    const body = [];
+    while (this.token.type !== "end") {
+      body.push(this.parseStatement());
+    }
+    return { type: "block", body };
+  }
+
+  parseStatement() {
+    if (this.eat("{")) {
+      const body = [];
+      while (!this.eat("}")) {
+        if (this.token.type === "end") {
+          throw this.unexpected();
+        }
+        body.push(this.parseStatement());
+      }
+      return { type: "block", body };
+    }
+    if (this.eat(";")) {
+      return { type: "block", body: [] };
+    }
+    if (this.eat("var")) {
+      const declarations = this.parseDeclarations();
+      this.endStatement();
+      return declarations;
+    }
+    if (this.eat("if")) {
+      this.expect("(");
+      const test = this.parseExpression();
+      this.expect(")");
+      const consequent = this.parseStatement();
+      const alternate = this.eat("else") ? this.parseStatement() : null;
+      return { type: "if", test, consequent, alternate };
+    }
+    if (this.eat("for")) {
+      this.expect("(");
+      let init = null;
+      if (this.eat("var")) {
+        init = this.parseDeclarations();
+      } else if (!this.is(";")) {
+        init = { type: "expression", expression: this.parseExpression() };
+      }
+      this.expect(";");
+      const test = this.is(";") ? null : this.parseExpression();
+      this.expect(";");
+      const update = this.is(")") ? null : this.parseExpression();
+      this.expect(")");
+      const body = this.parseStatement();
+      return { type: "for", init, test, update, body };
+    }
+    if (this.eat("while")) {
+      this.expect("(");
+      const test = this.parseExpression();
+      this.expect(")");
+      const body = this.parseStatement();
+      return { type: "for", init: null, test, update: null, body };
+    }
+    if (this.eat("do")) {
+      const body = this.parseStatement();
+      this.expect("while");
+      this.expect("(");
+      const test = this.parseExpression();
+      this.expect(")");
+      this.eat(";");
+      return { type: "doWhile", body, test };
+    }
+
+    const expression = this.parseExpression();
+    this.endStatement();
+    return { type: "expression", expression };
+  }
+
+  parseDeclarations() {
+    const body = [];
+    do {
+      const token = this.token;
+      if (token.type !== "name") {
+        throw this.unexpected();
+      }
+      this.index += 1;
+      this.vars.add(token.value);
+      if (this.eat("=")) {
+        body.push({
+          type: "expression",
+          expression: {
+            type: "assign",
+            operator: "=",
+            target: { type: "name", name: token.value, token },
+            value: this.parseAssignment(),
+          },
+        });
+      }
+    } while (this.eat(","));
+    return { type: "block", body };
+  }
+
+  parseExpression() {
+    const expressions = [this.parseAssignment()];
+    while (this.eat(",")) {
+      expressions.push(this.parseAssignment());
+    }
+    return expressions.length === 1
+      ? expressions[0]
+      : { type: "sequence", expressions };
+  }
+
+  parseAssignment() {
+    const token = this.token;
+    const target = this.parseConditional();
+    if (this.token.type === "punctuator" && assignOps.has(this.token.value)) {
+      const operator = this.token.value;
+      this.checkTarget(target, token);
+      this.index += 1;
+      return {
+        type: "assign",
+        operator,
+        target,
+        value: this.parseAssignment(),
+      };
+    }
+    return target;
+  }
+
+  checkTarget(target, token) {
+    if (target.type !== "name" && target.type !== "member") {
+      throw this.error("Invalid assignment target", token);
+    }
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(1);
+    if (this.eat("?")) {
+      const consequent = this.parseAssignment();
+      this.expect(":");
+      const alternate = this.parseAssignment();
+      return { type: "conditional", test, consequent, alternate };
+    }
+    return test;
+  }
+
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.token;
+      const tokenPrecedence =
+        token.type === "punctuator" ? precedence[token.value] : undefined;
+      if (tokenPrecedence === undefined || tokenPrecedence < minPrecedence) {
+        return left;
+      }
+      this.index += 1;
+      const right = this.parseBinary(tokenPrecedence + 1);
+      left = { type: "binary", operator: token.value, left, right };
+    }
+  }
+
+  parseUnary() {
+    const token = this.token;
+    if (token.type === "punctuator") {
+      if (["-", "+", "!", "~"].includes(token.value)) {
+        this.index += 1;
+        return {
+          type: "unary",
+          operator: token.value,
+          argument: this.parseUnary(),
+        };
+      }
+      if (token.value === "++" || token.value === "--") {
+        this.index += 1;
+        const argumentToken = this.token;
+        const target = this.parseUnary();
+        this.checkTarget(target, argumentToken);
+        return { type: "update", operator: token.value, prefix: true, target };
+      }
+    }
+
+    const target = this.parseCall();
+    if ((this.is("++") || this.is("--")) && !this.token.newline) {
+      this.checkTarget(target, token);
+      const operator = this.token.value;
+      this.index += 1;
+      return { type: "update", operator, prefix: false, target };
+    }
+    return target;
+  }
+
+  parseCall() {
+    let expression = this.parsePrimary();
+    for (;;) {
+      if (this.eat(".")) {
+        const token = this.token;
+        if (token.type !== "name" && token.type !== "keyword") {
+          throw this.unexpected();
+        }
+        this.index += 1;
+        expression = {
+          type: "member",
+          object: expression,
+          property: { type: "literal", value: token.value },
+          token,
+        };
+      } else if (this.is("[")) {
+        const token = this.token;
+        this.index += 1;
+        const property = this.parseExpression();
+        this.expect("]");
+        expression = { type: "member", object: expression, property, token };
+      } else if (this.eat("(")) {
+        const args = [];
+        if (!this.eat(")")) {
+          do {
+            args.push(this.parseAssignment());
+          } while (this.eat(","));
+          this.expect(")");
+        }
+        expression = { type: "call", callee: expression, args };
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.token;
+    this.index += 1;
+    if (token.type === "number" || token.type === "string") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "name") {
+      return { type: "name", name: token.value, token };
+    }
+    if (token.type === "keyword" && ["true", "false"].includes(token.value)) {
+      return { type: "literal", value: token.value === "true" };
+    }
+    if (token.type === "punctuator" && token.value === "(") {
+      const expression = this.parseExpression();
+      this.expect(")");
+      return expression;
+    }
+    throw this.unexpected(token);
+  }
+}
+
+function checkProperty(key) {
+  if (typeof key !== "number" && blockedProperties.has(String(key))) {
+    throw new TypeError(`Property ${String(key)} can't be used in equations`);
+  }
+  return key;
+}
+
+// Turns the tree into closures over the frame s, which holds a in s[0] and
+// the declared vars after it
+class Compiler {
+  constructor(code, vars) {
+    this.code = code;
+    this.slots = new Map([["a", 0]]);
+    vars.forEach((name) => {
+      if (!this.slots.has(name)) {
+        this.slots.set(name, this.slots.size);
+      }
+    });
+  }
+
+  statement(node) {
+    switch (node.type) {
+      case "block": {
+        const body = node.body.map((child) => this.statement(child));
+        if (body.length === 1) {
+          return body[0];
+        }
+        return (s) => {
+          for (let i = 0; i < body.length; i++) {
+            body[i](s);
+          }
+        };
+      }
+      case "expression":
+        return this.expression(node.expression);
+      case "if": {
+        const test = this.expression(node.test);
+        const consequent = this.statement(node.consequent);
+        const alternate = node.alternate && this.statement(node.alternate);
+        if (!alternate) {
+          return (s) => {
+            if (test(s)) {
+              consequent(s);
+            }
+          };
+        }
+        return (s) => {
+          if (test(s)) {
+            consequent(s);
+          } else {
+            alternate(s);
+          }
+        };
+      }
+      case "for": {
+        const init = node.init ? this.statement(node.init) : () => {};
+        const test = node.test ? this.expression(node.test) : () => true;
+        const update = node.update ? this.expression(node.update) : () => {};
+        const body = this.statement(node.body);
+        return (s) => {
+          for (init(s); test(s); update(s)) {
+            body(s);
+          }
+        };
+      }
+      case "doWhile": {
+        const body = this.statement(node.body);
+        const test = this.expression(node.test);
+        return (s) => {
+          do {
+            body(s);
+          } while (test(s));
+        };
+      }
+      default:
+        throw new Error(`Unknown statement ${node.type}`);
+    }
+  }
+
+  expression(node) {
+    switch (node.type) {
+      case "literal": {
+        const value = node.value;
+        return () => value;
+      }
+      case "name":
+        return this.name(node);
+      case "member": {
+        const object = this.expression(node.object);
+        if (node.property.type === "literal") {
+          const key = checkProperty(node.property.value);
+          return (s) => object(s)[key];
+        }
+        const property = this.expression(node.property);
+        return (s) => object(s)[checkProperty(property(s))];
+      }
+      case "call":
+        return this.call(node);
+      case "unary": {
+        const argument = this.expression(node.argument);
+        switch (node.operator) {
+          case "-":
+            return (s) => -argument(s);
+          case "+":
+            return (s) => +argument(s);
+          case "!":
+            return (s) => !argument(s);
+          default:
+            return (s) => ~argument(s);
+        }
+      }
+      case "binary": {
+        const left = this.expression(node.left);
+        const right = this.expression(node.right);
+        if (node.operator === "&&") {
+          return (s) => left(s) && right(s);
+        }
+        if (node.operator === "||") {
+          return (s) => left(s) || right(s);
+        }
+        const op = binaryOps[node.operator];
+        return (s) => op(left(s), right(s));
+      }
+      case "conditional": {
+        const test = this.expression(node.test);
+        const consequent = this.expression(node.consequent);
+        const alternate = this.expression(node.alternate);
+        return (s) => (test(s) ? consequent(s) : alternate(s));
+      }
+      case "sequence": {
+        const expressions = node.expressions.map((child) =>
+          this.expression(child)
+        );
+        return (s) => {
+          let value;
+          for (let i = 0; i < expressions.length; i++) {
+            value = expressions[i](s);
+          }
+          return value;
+        };
+      }
+      case "assign": {
+        const value = this.expression(node.value);
+        const op =
+          node.operator === "=" ? null : binaryOps[node.operator.slice(0, -1)];
+        return this.store(
+          node.target,
+          op ? (current, s) => op(current, value(s)) : (current, s) => value(s)
+        );
+      }
+      case "update": {
+        const delta = node.operator === "++" ? 1 : -1;
+        const prefix = node.prefix;
+        let old;
+        const update = this.store(node.target, (current) => {
+          old = +current;
+          return old + delta;
+        });
+        return (s) => {
+          const updated = update(s);
+          return prefix ? updated : old;
+        };
+      }
+      default:
+        throw new Error(`Unknown expression ${node.type}`);
+    }
+  }
+
+  name(node) {
+    const slot = this.slots.get(node.name);
+    if (slot !== undefined) {
+      return (s) => s[slot];
+    }
+    const name = node.name;
+    return () => {
+      if (!(name in window)) {
+        throw new ReferenceError(`${name} is not defined`);
+      }
+      return window[name];
+    };
+  }
+
+  call(node) {
+    const args = node.args.map((arg) => this.expression(arg));
+    const callee = node.callee;
+    let getThis;
+    let getFunction;
+    if (callee.type === "member") {
+      const object = this.expression(callee.object);
+      const property =
+        callee.property.type === "literal"
+          ? () => callee.property.value
+          : this.expression(callee.property);
+      getThis = object;
+      getFunction = (self, s) => self[checkProperty(property(s))];
+    } else {
+      const fn = this.expression(callee);
+      getThis = () => undefined;
+      getFunction = (self, s) => fn(s);
+    }
+
+    return (s) => {
+      const self = getThis(s);
+      const fn = getFunction(self, s);
+      if (typeof fn !== "function") {
+        throw new TypeError("Equations can only call functions");
+      }
+      switch (args.length) {
+        case 0:
+          return fn.call(self);
+        case 1:
+          return fn.call(self, args[0](s));
+        case 2:
+          return fn.call(self, args[0](s), args[1](s));
+        default:
+          return fn.apply(
+            self,
+            args.map((arg) => arg(s))
+          );
+      }
+    };
+  }
+
+  // An assignment to target of compute(current, s), where current is the
+  // target's value before the assignment
+  store(target, compute) {
+    if (target.type === "name") {
+      const slot = this.slots.get(target.name);
+      if (slot === undefined) {
+        throw syntaxError(
+          this.code,
+          target.token.pos,
+          `Can't assign to ${target.name}, it isn't declared with var`
+        );
+      }
+      return (s) => {
+        s[slot] = compute(s[slot], s);
+        return s[slot];
+      };
+    }
+
+    const object = this.expression(target.object);
+    if (target.property.type === "literal") {
+      const key = checkProperty(target.property.value);
+      return (s) => {
+        const obj = object(s);
+        const value = compute(obj[key], s);
+        obj[key] = value;
+        return value;
+      };
+    }
+    const property = this.expression(target.property);
+    return (s) => {
+      const obj = object(s);
+      const key = checkProperty(property(s));
+      const value = compute(obj[key], s);
+      obj[key] = value;
+      return value;
+    };
+  }
+}
+
+// code to a function taking and returning the variable object, like
+// new Function("a", `${code} return a;`). Throws a SyntaxError with a loc for
+// code it can't parse.
+export default function compileEquations(code) {
+  const parser = new Parser(code || "");
+  const program = parser.parseProgram();
+  const compiler = new Compiler(parser.code, parser.vars);
+  const run = compiler.statement(program);
+  const slotCount = compiler.slots.size;
+
+  return (a) => {
+    const s = new Array(slotCount);
+    s[0] = a;
+    run(s);
+    return s[0];
+  };
+}
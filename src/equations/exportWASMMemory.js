@@ -0,0 +1,107 @@
+// Adds the memory of a module compiled by eel-wasm to its exports.
+//
+//   const bytes = exportWASMMemory(compileModule({ pools, functions }));
+//   const { instance } = await WebAssembly.instantiate(bytes, imports);
+//   instance.exports.memory.buffer;
+//
+// megabuf and gmegabuf live in that memory, which eel-wasm defines in the
+// module and doesn't export, so without this a rebuilt module has no way to
+// start from the running one's buffers.
+
+const exportSection = 7;
+const wasmPageSize = 65536;
+const memoryExport = [
+  "memory".length,
+  ..."memory".split("").map((c) => c.charCodeAt(0)),
+  // memory 0
+  2,
+  0,
+];
+
+function readLEB(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  let next = offset;
+  do {
+    byte = bytes[next];
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+    next += 1;
+  } while (byte & 0x80);
+
+  return { value, next };
+}
+
+function writeLEB(value) {
+  const bytes = [];
+  let rest = value;
+  do {
+    const byte = rest & 0x7f;
+    rest = Math.floor(rest / 128);
+    bytes.push(rest > 0 ? byte | 0x80 : byte);
+  } while (rest > 0);
+
+  return bytes;
+}
+
+function section(id, content) {
+  return [id, ...writeLEB(content.length), ...content];
+}
+
+// Copies a module's memory into another one's, growing it first if the
+// source grew past it. What doesn't fit under its maximum is left out.
+export function copyWASMMemory(from, to) {
+  const missing = from.buffer.byteLength - to.buffer.byteLength;
+  if (missing > 0) {
+    try {
+      to.grow(Math.ceil(missing / wasmPageSize));
+    } catch (err) {
+      // already at its maximum
+    }
+  }
+
+  const length = Math.min(from.buffer.byteLength, to.buffer.byteLength);
+  new Uint8Array(to.buffer).set(new Uint8Array(from.buffer, 0, length));
+}
+
+export default function exportWASMMemory(bytes) {
+  // magic number and version
+  const parts = [Array.from(bytes.subarray(0, 8))];
+  let exported = false;
+  let offset = 8;
+
+  while (offset < bytes.length) {
+    const id = bytes[offset];
+    const size = readLEB(bytes, offset + 1);
+    const end = size.next + size.value;
+
+    if (id === exportSection) {
+      const count = readLEB(bytes, size.next);
+      parts.push(
+        section(exportSection, [
+          ...writeLEB(count.value + 1),
+          ...bytes.subarray(count.next, end),
+          ...memoryExport,
+        ])
+      );
+      exported = true;
+    } else {
+      // modules without exported functions have no export section, it goes
+      // before the code section (custom sections are 0)
+      if (!exported && id > exportSection) {
+        parts.push(section(exportSection, [1, ...memoryExport]));
+        exported = true;
+      }
+      parts.push(Array.from(bytes.subarray(offset, end)));
+    }
+
+    offset = end;
+  }
+
+  if (!exported) {
+    parts.push(section(exportSection, [1, ...memoryExport]));
+  }
+
+  return new Uint8Array([].concat(...parts));
+}
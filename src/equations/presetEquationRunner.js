@@ -24,6 +24,12 @@ export default class PresetEquationRunner {
       return `reg${x}`;
     });
 
+    // the audio analysis' globals, except names the preset uses for its own
+    // vars (see Visualizer.findAssignedVars)
+    this.analysisKeys = ["beat", "bpm", "beat_phase", "loudness"].filter(
+      (key) => !(preset.userGlobals || []).includes(key)
+    );
+
     this.initializeEquations(globalVars);
   }
 
@@ -66,6 +72,9 @@ export default class PresetEquationRunner {
       pixelsy: this.texsizeY,
       gmegabuf: this.gmegabuf,
     };
+    this.analysisKeys.forEach((key) => {
+      mdVSBase[key] = globalVars[key];
+    });
 
     this.mdVS = Object.assign({}, this.preset.baseVals, mdVSBase);
 
@@ -84,6 +93,8 @@ export default class PresetEquationRunner {
     ]);
 
     const nonUserKeys = this.qs.concat(this.regs, Object.keys(this.mdVS));
+    this.nonUserKeys = nonUserKeys;
+    this.userKeysChanged = false;
 
     const mdVSAfterInit = this.preset.init_eqs(Utils.cloneVars(this.mdVS));
 
@@ -211,6 +222,13 @@ export default class PresetEquationRunner {
     this.initializeEquations(globalVars);
   }
 
+  // Equations were swapped in place, all state carries over. User vars that
+  // new per-frame code sets are picked up after its first run.
+  updateEquations() {
+    this.runVertEQs = this.preset.pixel_eqs !== "";
+    this.userKeysChanged = true;
+  }
+
   updateGlobals(opts) {
     this.texsizeX = opts.texsizeX;
     this.texsizeY = opts.texsizeY;
@@ -233,6 +251,13 @@ export default class PresetEquationRunner {
 
     this.mdVSFrame = this.preset.frame_eqs(this.mdVSFrame);
 
+    if (this.userKeysChanged) {
+      this.mdVSUserKeys = Object.keys(
+        Utils.omit(this.mdVSFrame, this.nonUserKeys)
+      );
+      this.userKeysChanged = false;
+    }
+
     this.mdVSFrameMap = Utils.pick(this.mdVSFrame, this.mdVSUserKeys);
     this.mdVSQAfterFrame = Utils.pick(this.mdVSFrame, this.qs);
 
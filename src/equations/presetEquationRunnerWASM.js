@@ -24,6 +24,12 @@ export default class PresetEquationRunnerWASM {
       return `reg${x}`;
     });
 
+    // the audio analysis' globals, except names the preset uses for its own
+    // vars (see Visualizer.findAssignedVars)
+    this.analysisKeys = ["beat", "bpm", "beat_phase", "loudness"].filter(
+      (key) => !(preset.userGlobals || []).includes(key)
+    );
+
     this.globalKeys = [
       "frame",
       "time",
@@ -40,6 +46,7 @@ export default class PresetEquationRunnerWASM {
       "aspecty",
       "pixelsx",
       "pixelsy",
+      ...this.analysisKeys,
     ];
 
     this.frameKeys = [
@@ -162,6 +169,9 @@ export default class PresetEquationRunnerWASM {
       pixelsx: this.texsizeX,
       pixelsy: this.texsizeY,
     };
+    this.analysisKeys.forEach((key) => {
+      mdVSBase[key] = globalVars[key];
+    });
 
     this.mdVS = Object.assign({}, this.preset.baseVals, mdVSBase);
 
@@ -198,25 +208,8 @@ export default class PresetEquationRunnerWASM {
     if (this.preset.waves && this.preset.waves.length > 0) {
       for (let i = 0; i < this.preset.waves.length; i++) {
         const wave = this.preset.waves[i];
-        const baseVals = wave.baseVals;
-        if (baseVals.enabled !== 0) {
-          // eslint-disable-next-line max-len
-          Utils.setWasm(
-            this.preset.globalPools[`wavePerFrame${i}`],
-            baseVals,
-            Object.keys(baseVals)
-          );
-          if (wave.init_eqs) {
-            wave.init_eqs();
-
-            // base vals need to be reset
-            // eslint-disable-next-line max-len
-            Utils.setWasm(
-              this.preset.globalPools[`wavePerFrame${i}`],
-              baseVals,
-              Object.keys(baseVals)
-            );
-          }
+        if (wave.baseVals.enabled !== 0) {
+          this.runCustomInitEquations(`wavePerFrame${i}`, wave);
           this.mdVSTWaveInits.push(this.getTVars(`wavePerFrame${i}`));
         } else {
           this.mdVSTWaveInits.push({});
@@ -228,25 +221,8 @@ export default class PresetEquationRunnerWASM {
     if (this.preset.shapes && this.preset.shapes.length > 0) {
       for (let i = 0; i < this.preset.shapes.length; i++) {
         const shape = this.preset.shapes[i];
-        const baseVals = shape.baseVals;
-        if (baseVals.enabled !== 0) {
-          // eslint-disable-next-line max-len
-          Utils.setWasm(
-            this.preset.globalPools[`shapePerFrame${i}`],
-            baseVals,
-            Object.keys(baseVals)
-          );
-          if (shape.init_eqs) {
-            shape.init_eqs();
-
-            // base vals need to be reset
-            // eslint-disable-next-line max-len
-            Utils.setWasm(
-              this.preset.globalPools[`shapePerFrame${i}`],
-              baseVals,
-              Object.keys(baseVals)
-            );
-          }
+        if (shape.baseVals.enabled !== 0) {
+          this.runCustomInitEquations(`shapePerFrame${i}`, shape);
           this.mdVSTShapeInits.push(this.getTVars(`shapePerFrame${i}`));
         } else {
           this.mdVSTShapeInits.push({});
@@ -255,11 +231,37 @@ export default class PresetEquationRunnerWASM {
     }
   }
 
+  runCustomInitEquations(pool, eqs) {
+    const baseVals = eqs.baseVals;
+    Utils.setWasm(
+      this.preset.globalPools[pool],
+      baseVals,
+      Object.keys(baseVals)
+    );
+    if (eqs.init_eqs) {
+      eqs.init_eqs();
+
+      // base vals need to be reset
+      Utils.setWasm(
+        this.preset.globalPools[pool],
+        baseVals,
+        Object.keys(baseVals)
+      );
+    }
+  }
+
   updatePreset(preset, globalVars) {
     this.preset = preset;
     this.initializeEquations(globalVars);
   }
 
+  // The preset's eel-wasm module was rebuilt with its megabufs, regs, user
+  // vars and q/t values (Visualizer.updateWASMPresetSection). Init equations
+  // can't be updated, so they don't run again.
+  updateEquations() {
+    this.runVertEQs = !!this.preset.pixel_eqs;
+  }
+
   updateGlobals(opts) {
     this.texsizeX = opts.texsizeX;
     this.texsizeY = opts.texsizeY;
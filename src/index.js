@@ -1,9 +1,73 @@
 import "ecma-proposal-math-extensions";
 import "./presetBase";
 import Visualizer from "./visualizer";
+import WorkerVisualizer from "./worker/workerVisualizer";
+import PresetLoadError from "./presetLoadError";
+import Recorder from "./recording/recorder";
+import PCMStreamSource from "./audio/pcmStreamSource";
+import AudioFrameReceiver from "./audio/audioFrameReceiver";
+import AudioReplaySource from "./audio/audioReplaySource";
+import { encodeAudioFrame, decodeAudioFrame } from "./audio/audioFrame";
+import parseMilk from "./milkdrop/milkParser";
+import translateShader from "./milkdrop/hlslTranslator";
+import serializeMilk from "./milkdrop/milkSerializer";
 
 export default class Butterchurn {
   static createVisualizer(context, canvas, opts) {
     return new Visualizer(context, canvas, opts);
   }
+
+  // Renders on a worker thread, pass the worker bundle as opts.workerUrl
+  // (or a ready Worker as opts.worker). The canvas is handed over to it.
+  static createWorkerVisualizer(context, canvas, opts) {
+    return new WorkerVisualizer(context, canvas, opts);
+  }
+
+  static get PresetLoadError() {
+    return PresetLoadError;
+  }
+
+  static get Recorder() {
+    return Recorder;
+  }
+
+  // await PCMStreamSource.create(context) for an AudioNode of pushed PCM
+  static get PCMStreamSource() {
+    return PCMStreamSource;
+  }
+
+  // Decodes audio frames, counting dropped and out of order ones
+  static get AudioFrameReceiver() {
+    return AudioFrameReceiver;
+  }
+
+  // Feeds frames from Visualizer.stopAudioRecording back through render
+  static get AudioReplaySource() {
+    return AudioReplaySource;
+  }
+
+  // Float32 PCM to a binary audio frame, opts { sampleRate, sequence, format }
+  static encodeAudioFrame(left, right, opts) {
+    return encodeAudioFrame(left, right, opts);
+  }
+
+  // A binary audio frame to { sequence, sampleRate, channels, left, right }
+  static decodeAudioFrame(data) {
+    return decodeAudioFrame(data);
+  }
+
+  // Raw MilkDrop .milk text to a preset object for loadPreset
+  static parseMilk(text) {
+    return parseMilk(text);
+  }
+
+  // A preset object back to .milk text that parseMilk (and MilkDrop) reads
+  static serializeMilk(preset) {
+    return serializeMilk(preset);
+  }
+
+  // MilkDrop 2 HLSL warp/comp text to GLSL, with anything it can't translate
+  static translateShader(hlsl) {
+    return translateShader(hlsl);
+  }
 }
@@ -0,0 +1,746 @@
+// Translates MilkDrop 2 warp/comp shader sections (HLSL) into the GLSL that
+// WarpShader/CompShader splice into their fragment shaders: an optional
+// header of declarations followed by `shader_body { ... }`.
+//
+// This is a source-to-source rewrite, not a compiler. It has no type
+// information, so it covers what MilkDrop presets actually use and reports
+// anything it knows it can't translate instead of emitting broken GLSL
+// silently.
+//
+// translateToHlsl goes the other way, for exporting presets that only have
+// GLSL (converted to JSON) back to .milk.
+
+// MilkDrop's shader include, everything else it declares is in the preamble
+const macros = {
+  M_PI: "3.14159265359",
+  M_PI_2: "6.28318530718",
+  M_INV_PI_2: "0.159154943091895",
+};
+
+const types = {
+  float1: "float",
+  float2: "vec2",
+  float3: "vec3",
+  float4: "vec4",
+  half: "float",
+  half1: "float",
+  half2: "vec2",
+  half3: "vec3",
+  half4: "vec4",
+  float2x2: "mat2",
+  float3x3: "mat3",
+  float4x4: "mat4",
+  half2x2: "mat2",
+  half3x3: "mat3",
+  half4x4: "mat4",
+  int1: "int",
+  int2: "ivec2",
+  int3: "ivec3",
+  int4: "ivec4",
+  bool2: "bvec2",
+  bool3: "bvec3",
+  bool4: "bvec4",
+};
+
+const renamedFunctions = {
+  tex2D: "texture",
+  tex3D: "texture",
+  lerp: "mix",
+  frac: "fract",
+  fmod: "mod",
+  rsqrt: "inversesqrt",
+  atan2: "atan",
+  ddx: "dFdx",
+  ddy: "dFdy",
+};
+
+// Legal HLSL identifiers that are keywords or builtins in GLSL ES 3.00, so a
+// preset variable with one of these names would shadow or fail to compile
+const reservedIdentifiers = [
+  "texture",
+  "mix",
+  "fract",
+  "mod",
+  "inversesqrt",
+  "dFdx",
+  "dFdy",
+  "sample",
+  "input",
+  "output",
+  "filter",
+  "smooth",
+  "flat",
+  "active",
+  "common",
+  "partition",
+  "centroid",
+  "patch",
+  "subroutine",
+  "union",
+  "enum",
+  "precision",
+  "highp",
+  "mediump",
+  "lowp",
+  "attribute",
+  "varying",
+  "layout",
+  "uint",
+  "uvec2",
+  "uvec3",
+  "uvec4",
+];
+
+const unsupportedFunctions = {
+  tex1D: "1D textures",
+  tex1Dlod: "1D textures",
+  texCUBE: "cube textures",
+  texCUBElod: "cube textures",
+  clip: "clip()",
+  sincos: "sincos()",
+  lit: "lit()",
+  noise: "noise()",
+  D3DCOLORtoUBYTE4: "D3DCOLORtoUBYTE4()",
+};
+
+const unsupportedPatterns = [
+  { regex: /\bsampler_state\b/g, construct: "sampler_state blocks" },
+  { regex: /\bregister\s*\(/g, construct: "register bindings" },
+  { regex: /\basm\b/g, construct: "inline assembly" },
+  { regex: /#\s*include\b/g, construct: "#include" },
+  {
+    regex: /:\s*(?:COLOR|TEXCOORD|POSITION|SV_\w+)\d*\b/g,
+    construct: "semantics",
+  },
+];
+
+const lumWeights = "vec3(0.32, 0.49, 0.29)";
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function lineAt(text, index) {
+  return text.substring(0, index).split("\n").length;
+}
+
+// Keeps line numbers intact so reports point at the preset's own lines
+export function stripComments(text) {
+  return text
+    .replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, " "))
+    .replace(/\/\/[^\n]*/g, "");
+}
+
+// Index of the parenthesis closing the one at `open`, or -1
+function findClosingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === "(") {
+      depth += 1;
+    } else if (text[i] === ")") {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function splitArgs(argText) {
+  const args = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < argText.length; i++) {
+    const c = argText[i];
+    if (c === "(" || c === "[") {
+      depth += 1;
+    } else if (c === ")" || c === "]") {
+      depth -= 1;
+    } else if (c === "," && depth === 0) {
+      args.push(argText.substring(start, i).trim());
+      start = i + 1;
+    }
+  }
+  args.push(argText.substring(start).trim());
+  return args;
+}
+
+// Rewrites every call of `name` with `replace(args)`. Calls are visited last
+// to first, so nested calls are already rewritten when the outer one is.
+function replaceCalls(text, name, replace) {
+  const regex = new RegExp(`\\b${escapeRegExp(name)}\\s*\\(`, "g");
+  const starts = [];
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    starts.push(match.index);
+  }
+
+  let out = text;
+  for (let i = starts.length - 1; i >= 0; i--) {
+    const start = starts[i];
+    const open = out.indexOf("(", start);
+    const close = findClosingParen(out, open);
+    if (close === -1) {
+      continue;
+    }
+    const args = splitArgs(out.substring(open + 1, close));
+    const replacement = replace(args);
+    if (replacement !== null) {
+      out = out.substring(0, start) + replacement + out.substring(close + 1);
+    }
+  }
+  return out;
+}
+
+function replaceWords(text, mapping) {
+  let out = text;
+  Object.keys(mapping).forEach((word) => {
+    out = out.replace(new RegExp(`\\b${word}\\b`, "g"), mapping[word]);
+  });
+  return out;
+}
+
+function findUnsupported(text) {
+  const unsupported = [];
+  const report = (construct, index) => {
+    unsupported.push({
+      construct,
+      line: lineAt(text, index),
+      message: `${construct} can't be translated to GLSL`,
+    });
+  };
+
+  Object.keys(unsupportedFunctions).forEach((name) => {
+    const regex = new RegExp(`\\b${name}\\s*\\(`, "g");
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      report(unsupportedFunctions[name], match.index);
+    }
+  });
+
+  unsupportedPatterns.forEach(({ regex, construct }) => {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      report(construct, match.index);
+    }
+  });
+
+  return unsupported.sort((a, b) => a.line - b.line);
+}
+
+const returnTypes = "\\b(?:void|float|int|bool|[ib]?vec[234]|mat[234])";
+
+// HLSL types and functions left in text that should be GLSL, except
+// functions the shader defines itself
+export function findHlsl(glsl) {
+  const text = stripComments(glsl || "");
+  const found = [];
+  const report = (construct, index) => {
+    found.push({
+      construct,
+      line: lineAt(text, index),
+      message: `${construct} is HLSL, not GLSL`,
+    });
+  };
+
+  Object.keys(types).forEach((type) => {
+    const regex = new RegExp(`\\b${type}\\b`, "g");
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      report(type, match.index);
+    }
+  });
+
+  Object.keys(renamedFunctions)
+    .concat(["saturate", "mul", "tex2Dlod", "tex2Dbias", "tex2Dproj"])
+    .filter(
+      (name) => !new RegExp(`${returnTypes}\\s+${name}\\s*\\(`).test(text)
+    )
+    .forEach((name) => {
+      const regex = new RegExp(`\\b${name}\\s*\\(`, "g");
+      let match;
+      while ((match = regex.exec(text)) !== null) {
+        report(`${name}()`, match.index);
+      }
+    });
+
+  return found.sort((a, b) => a.line - b.line);
+}
+
+function translateFunctions(text) {
+  let out = replaceWords(text, renamedFunctions);
+
+  out = replaceCalls(out, "saturate", ([x]) => `clamp(${x}, 0.0, 1.0)`);
+  // HLSL multiplies row vectors, and float2x2(...) is filled row by row where
+  // mat2(...) is filled by column, so the operands swap
+  out = replaceCalls(out, "mul", ([a, b]) => `(${b} * ${a})`);
+  out = replaceCalls(out, "log10", ([x]) => `(log(${x}) / log(10.0))`);
+  // a float, widened by translateScalarAssignments and translateMixArgs
+  // where a vector is expected
+  out = replaceCalls(out, "lum", ([x]) => `dot(${x}, ${lumWeights})`);
+  out = replaceCalls(
+    out,
+    "tex2Dlod",
+    ([s, t]) => `textureLod(${s}, (${t}).xy, (${t}).w)`
+  );
+  out = replaceCalls(
+    out,
+    "tex2Dbias",
+    ([s, t]) => `texture(${s}, (${t}).xy, (${t}).w)`
+  );
+  out = replaceCalls(out, "tex2Dproj", ([s, t]) => `textureProj(${s}, ${t})`);
+  out = replaceCalls(
+    out,
+    "GetMain",
+    ([x]) => `texture(sampler_main, ${x}).xyz`
+  );
+  out = replaceCalls(
+    out,
+    "GetPixel",
+    ([x]) => `texture(sampler_main, ${x}).xyz`
+  );
+  for (let i = 1; i <= 3; i++) {
+    out = replaceCalls(
+      out,
+      `GetBlur${i}`,
+      ([x]) => `((texture(sampler_blur${i}, ${x}).xyz * scale${i}) + bias${i})`
+    );
+  }
+
+  return out;
+}
+
+// Length of a cast operand: a parenthesised group or a (negated) name or
+// number, optionally called, then any member/swizzle accesses
+function getOperandLength(text) {
+  let end = 0;
+  if (text[0] === "(") {
+    end = findClosingParen(text, 0) + 1;
+  } else {
+    const name = /^-?[\w.]+/.exec(text);
+    if (!name) {
+      return 0;
+    }
+    end = name[0].length;
+    if (text[end] === "(") {
+      end = findClosingParen(text, end) + 1;
+    }
+  }
+  if (end <= 0) {
+    return 0;
+  }
+
+  const members = /^(?:\.\w+)*/.exec(text.substring(end));
+  return end + members[0].length;
+}
+
+// (float3)x style casts become constructor calls
+function translateCasts(text) {
+  const castRegex =
+    /\(\s*(float|int|bool|vec[234]|ivec[234]|mat[234])\s*\)\s*/g;
+  let out = text;
+  let match;
+  while ((match = castRegex.exec(out)) !== null) {
+    const operandStart = match.index + match[0].length;
+    const operandLength = getOperandLength(out.substring(operandStart));
+    if (operandLength === 0) {
+      continue;
+    }
+
+    let operand = out.substring(operandStart, operandStart + operandLength);
+    if (
+      operand[0] === "(" &&
+      findClosingParen(operand, 0) === operandLength - 1
+    ) {
+      operand = operand.substring(1, operandLength - 1);
+    }
+    const replacement = `${match[1]}(${operand})`;
+    out =
+      out.substring(0, match.index) +
+      replacement +
+      out.substring(operandStart + operandLength);
+    castRegex.lastIndex = match.index + replacement.length;
+  }
+  return out;
+}
+
+// Ranges where integer literals have to stay integers: array indices, int
+// declarations and int loop headers
+function getIntRanges(text) {
+  const ranges = [];
+
+  let bracketStart = -1;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "[") {
+      if (depth === 0) {
+        bracketStart = i;
+      }
+      depth += 1;
+    } else if (text[i] === "]" && depth > 0) {
+      depth -= 1;
+      if (depth === 0) {
+        ranges.push([bracketStart, i]);
+      }
+    }
+  }
+
+  const forRegex = /\bfor\s*\(/g;
+  let match;
+  while ((match = forRegex.exec(text)) !== null) {
+    const open = text.indexOf("(", match.index);
+    const close = findClosingParen(text, open);
+    if (
+      close > -1 &&
+      /\b(?:int|ivec[234])\b/.test(text.substring(open, close))
+    ) {
+      ranges.push([open, close]);
+    }
+  }
+
+  const statementRegex =
+    /(^|[;{}])(\s*(?:const\s+)?(?:int|ivec[234])\s+\w[^;{}]*)/g;
+  while ((match = statementRegex.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    ranges.push([start, start + match[2].length]);
+  }
+
+  return ranges;
+}
+
+// GLSL ES doesn't promote int literals in float math, HLSL does
+function translateLiterals(text) {
+  const out = text.replace(
+    /(^|[^\w.])((?:\d+\.\d*|\.\d+|\d+)(?:[eE][+-]?\d+)?)[fFhH]\b/g,
+    "$1$2"
+  );
+
+  const ranges = getIntRanges(out);
+  const inIntRange = (index) =>
+    ranges.some(([start, end]) => index >= start && index <= end);
+
+  return out.replace(
+    /(^|[^\w.])(\d+)(?![\w.])/g,
+    (match, prefix, num, offset) =>
+      inIntRange(offset + prefix.length) ? match : `${prefix}${num}.0`
+  );
+}
+
+// HLSL silently truncates float4 texture reads and broadcasts scalars on
+// assignment, GLSL needs both spelled out. Without types only the unambiguous
+// cases are handled: declarations, and assignments to ret.
+function translateAssignments(text) {
+  const swizzles = { float: ".x", vec2: ".xy", vec3: ".xyz" };
+  const readRegex = /(?:\b(float|vec[23])\s+\w+|\bret)\s*=\s*texture\s*\(/g;
+  const inserts = [];
+  let match;
+  while ((match = readRegex.exec(text)) !== null) {
+    const close = findClosingParen(text, match.index + match[0].length - 1);
+    // reads that are swizzled or part of a bigger expression are left alone
+    if (close > -1 && /^\s*;/.test(text.substring(close + 1))) {
+      inserts.push({ index: close + 1, swizzle: swizzles[match[1] || "vec3"] });
+    }
+  }
+
+  let out = text;
+  for (let i = inserts.length - 1; i >= 0; i--) {
+    const { index, swizzle } = inserts[i];
+    out = out.substring(0, index) + swizzle + out.substring(index);
+  }
+
+  const number = "-?(?:\\d+\\.?\\d*|\\.\\d+)";
+  return out
+    .replace(
+      new RegExp(`(\\b(vec[234])\\s+\\w+\\s*=\\s*)(${number})\\s*;`, "g"),
+      "$1$2($3);"
+    )
+    .replace(
+      new RegExp(`(\\bret\\s*=\\s*)(${number})\\s*;`, "g"),
+      "$1vec3($2);"
+    );
+}
+
+// The vectors every warp/comp shader has
+const shaderVectors = { uv: "vec2", uv_orig: "vec2", ret: "vec3" };
+
+// GLSL functions that return a float whatever their arguments are
+const scalarFunctions = ["dot", "length", "distance"];
+
+function getDeclaredTypes(text) {
+  const declared = Object.assign({}, shaderVectors);
+  const regex = /\b(float|vec[234])\s+(\w+)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    declared[match[2]] = match[1];
+  }
+  return declared;
+}
+
+// Splits an expression at its top level + - * /, null when there's no such
+// operator
+function splitArithmetic(expression) {
+  const terms = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < expression.length; i++) {
+    const c = expression[i];
+    if (c === "(" || c === "[") {
+      depth += 1;
+    } else if (c === ")" || c === "]") {
+      depth -= 1;
+    } else if (
+      depth === 0 &&
+      "+-*/".includes(c) &&
+      // not a sign or an exponent
+      !/(^|[-+*/(,eE]\s*)$/.test(expression.substring(start, i))
+    ) {
+      terms.push(expression.substring(start, i).trim());
+      start = i + 1;
+    }
+  }
+  if (terms.length === 0) {
+    return null;
+  }
+  terms.push(expression.substring(start).trim());
+  return terms;
+}
+
+// The type of an operand, where it can be told without a type checker:
+// numbers, swizzles, constructor calls, calls of scalarFunctions, declared
+// variables, and arithmetic on those (the widest of its terms). null when it
+// can't.
+function getOperandType(operand, declared) {
+  const terms = splitArithmetic(operand);
+  if (terms) {
+    const termTypes = terms.map((term) => getOperandType(term, declared));
+    if (termTypes.includes(null)) {
+      return null;
+    }
+    return termTypes.reduce((widest, type) =>
+      widest === "float" ? type : widest
+    );
+  }
+
+  if (/^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(operand)) {
+    return "float";
+  }
+  if (getOperandLength(operand) !== operand.length) {
+    return null;
+  }
+
+  const swizzle = /\.([xyzw]{1,4}|[rgba]{1,4})$/.exec(operand);
+  if (swizzle) {
+    const size = swizzle[1].length;
+    return size === 1 ? "float" : `vec${size}`;
+  }
+  const call = /^(\w+)\s*\(/.exec(operand);
+  if (
+    call &&
+    findClosingParen(operand, call[0].length - 1) === operand.length - 1
+  ) {
+    if (/^(float|vec[234])$/.test(call[1])) {
+      return call[1];
+    }
+    return scalarFunctions.includes(call[1]) ? "float" : null;
+  }
+  return /^\w+$/.test(operand) ? declared[operand] || null : null;
+}
+
+// HLSL's lerp broadcasts a scalar end point to the other one's vector type,
+// GLSL's mix doesn't. Left alone when either type is unknown.
+function translateMixArgs(text) {
+  const declared = getDeclaredTypes(text);
+  return replaceCalls(text, "mix", (args) => {
+    if (args.length !== 3) {
+      return null;
+    }
+    const [from, to] = args
+      .slice(0, 2)
+      .map((arg) => getOperandType(arg, declared));
+    if (from === "float" && to && to !== "float") {
+      return `mix(${to}(${args[0]}), ${args[1]}, ${args[2]})`;
+    }
+    if (to === "float" && from && from !== "float") {
+      return `mix(${args[0]}, ${from}(${args[1]}), ${args[2]})`;
+    }
+    return null;
+  });
+}
+
+// HLSL broadcasts a float assigned to a vector, GLSL needs the constructor.
+// Only done for declarations and assignments to ret, where the type is known.
+function translateScalarAssignments(text) {
+  const declared = getDeclaredTypes(text);
+  const regex = /(?:\b(vec[234])\s+\w+|\bret)\s*=(?!=)\s*/g;
+  const wraps = [];
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf(";", start);
+    if (
+      end > -1 &&
+      getOperandType(text.substring(start, end).trim(), declared) === "float"
+    ) {
+      wraps.push({ start, end, type: match[1] || "vec3" });
+    }
+  }
+
+  let out = text;
+  for (let i = wraps.length - 1; i >= 0; i--) {
+    const { start, end, type } = wraps[i];
+    out = `${out.substring(0, start)}${type}(${out
+      .substring(start, end)
+      .trim()})${out.substring(end)}`;
+  }
+  return out;
+}
+
+function splitShader(text) {
+  const sbIndex = text.indexOf("shader_body");
+  if (sbIndex === -1) {
+    return null;
+  }
+  const afterShaderBody = text.substring(sbIndex);
+  const firstCurly = afterShaderBody.indexOf("{");
+  const lastCurly = afterShaderBody.lastIndexOf("}");
+  if (firstCurly === -1 || lastCurly < firstCurly) {
+    return null;
+  }
+  return {
+    header: text.substring(0, sbIndex),
+    body: afterShaderBody.substring(firstCurly + 1, lastCurly),
+  };
+}
+
+// User textures and their sizes are uniforms in GLSL. getUserSamplers looks
+// for exactly `uniform sampler2D sampler_<name>;`
+function translateHeader(header) {
+  return header
+    .replace(
+      /\b(?:uniform\s+)?(?:sampler|sampler2D)\s+(sampler_\w+)\s*;/g,
+      "uniform sampler2D $1;"
+    )
+    .replace(/\b(?:uniform\s+)?vec4\s+(texsize_\w+)\s*;/g, "uniform vec4 $1;");
+}
+
+function translateCode(text) {
+  let out = text;
+  out = out.replace(
+    /\[\s*(?:unroll|loop|branch|flatten|fastopt)\s*(?:\(\s*\d+\s*\))?\s*\]/g,
+    ""
+  );
+  out = out.replace(/\bstatic\s+/g, "");
+  out = replaceWords(
+    out,
+    reservedIdentifiers.reduce((mapping, name) => {
+      mapping[name] = `_${name}`;
+      return mapping;
+    }, {})
+  );
+  out = replaceWords(out, types);
+  out = replaceWords(out, macros);
+  out = translateFunctions(out);
+  out = translateCasts(out);
+  out = translateLiterals(out);
+  out = translateAssignments(out);
+  out = translateMixArgs(out);
+  out = translateScalarAssignments(out);
+  return out;
+}
+
+export default function translateShader(hlsl) {
+  if (!hlsl || hlsl.trim().length === 0) {
+    return { glsl: "", unsupported: [] };
+  }
+
+  const text = stripComments(hlsl);
+  const parts = splitShader(text);
+  if (!parts) {
+    return {
+      glsl: "",
+      unsupported: [
+        {
+          construct: "shader_body",
+          line: null,
+          message: "Shader has no shader_body { ... } block",
+        },
+      ],
+    };
+  }
+
+  const header = translateHeader(translateCode(parts.header));
+  const body = translateCode(parts.body);
+
+  return {
+    glsl: `${header.trim()}\n shader_body { ${body} }`.trim(),
+    unsupported: findUnsupported(text),
+  };
+}
+
+const hlslTypes = {
+  vec2: "float2",
+  vec3: "float3",
+  vec4: "float4",
+  mat2: "float2x2",
+  mat3: "float3x3",
+  mat4: "float4x4",
+  ivec2: "int2",
+  ivec3: "int3",
+  ivec4: "int4",
+  bvec2: "bool2",
+  bvec3: "bool3",
+  bvec4: "bool4",
+};
+
+const hlslFunctions = {
+  mix: "lerp",
+  fract: "frac",
+  mod: "fmod",
+  inversesqrt: "rsqrt",
+  dFdx: "ddx",
+  dFdy: "ddy",
+};
+
+export function translateToHlsl(glsl) {
+  if (!glsl || glsl.trim().length === 0) {
+    return "";
+  }
+
+  let out = stripComments(glsl);
+  const sbIndex = out.indexOf("shader_body");
+  if (sbIndex > -1) {
+    // globals that aren't static are uniforms in HLSL
+    const header = out
+      .substring(0, sbIndex)
+      .replace(/\buniform\s+sampler2D\s+(sampler_\w+)\s*;/g, "sampler $1;")
+      .replace(/\buniform\s+vec4\s+(texsize_\w+)\s*;/g, "float4 $1;")
+      .replace(/(^|[;}\s])const\s+/g, "$1static const ");
+    out = header + out.substring(sbIndex);
+  }
+
+  out = replaceWords(out, hlslFunctions);
+  out = replaceWords(out, { PI: "M_PI" });
+  out = replaceCalls(out, "atan", (args) =>
+    args.length === 2 ? `atan2(${args[0]}, ${args[1]})` : null
+  );
+  out = replaceCalls(out, "textureLod", ([s, t, lod]) => {
+    const call = /noisevol/.test(s) ? "tex3Dlod" : "tex2Dlod";
+    const coords = call === "tex3Dlod" ? `${t}, ${lod}` : `${t}, 0, ${lod}`;
+    return `${call}(${s}, float4(${coords}))`;
+  });
+  out = replaceCalls(out, "texture", ([s, t]) =>
+    /noisevol/.test(s) ? `tex3D(${s}, ${t})` : `tex2D(${s}, ${t})`
+  );
+
+  out = replaceWords(out, hlslTypes);
+  // HLSL constructors need every component, single values are casts
+  ["float2", "float3", "float4"].forEach((type) => {
+    out = replaceCalls(out, type, (args) =>
+      args.length === 1 ? `((${type})(${args[0]}))` : null
+    );
+  });
+
+  return out;
+}
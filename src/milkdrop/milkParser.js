@@ -0,0 +1,394 @@
+import translateShader from "./hlslTranslator.js";
+
+// Parses raw MilkDrop .milk text into the preset object the engine loads
+// (baseVals, *_eqs_eel, shapes, waves, warp/comp).
+//
+// milkVersion is the file's MILKDROP_PRESET_VERSION, version the EEL
+// semantics it was written for (1 or 2), as loadPreset passes to eel-wasm.
+//
+// MilkDrop 2 shaders are HLSL. Their text is kept in warp_hlsl/comp_hlsl and
+// translated into warp/comp. A shader with constructs the translator can't
+// handle is left empty (the default shader) and listed in unsupportedHlsl.
+
+// [preset00] keys, as MilkDrop writes them, whose baseVals name isn't just
+// the lowercased key. Keys are matched case-insensitively when parsing.
+export const baseValKeys = {
+  fRating: "rating",
+  fGammaAdj: "gammaadj",
+  fDecay: "decay",
+  fVideoEchoZoom: "echo_zoom",
+  fVideoEchoAlpha: "echo_alpha",
+  nVideoEchoOrientation: "echo_orient",
+  nWaveMode: "wave_mode",
+  bAdditiveWaves: "additivewave",
+  bWaveDots: "wave_dots",
+  bWaveThick: "wave_thick",
+  bModWaveAlphaByVolume: "modwavealphabyvolume",
+  bMaximizeWaveColor: "wave_brighten",
+  bTexWrap: "wrap",
+  bDarkenCenter: "darken_center",
+  bRedBlueStereo: "red_blue",
+  bBrighten: "brighten",
+  bDarken: "darken",
+  bSolarize: "solarize",
+  bInvert: "invert",
+  bMotionVectorsOn: "bmotionvectorson",
+  fWaveAlpha: "wave_a",
+  fWaveScale: "wave_scale",
+  fWaveSmoothing: "wave_smoothing",
+  fWaveParam: "wave_mystery",
+  fModWaveAlphaStart: "modwavealphastart",
+  fModWaveAlphaEnd: "modwavealphaend",
+  fWarpAnimSpeed: "warpanimspeed",
+  fWarpScale: "warpscale",
+  fZoomExponent: "zoomexp",
+  fShader: "fshader",
+  nMotionVectorsX: "mv_x",
+  nMotionVectorsY: "mv_y",
+};
+
+// Keys that map to themselves (lowercased)
+export const plainBaseValKeys = [
+  "zoom",
+  "rot",
+  "cx",
+  "cy",
+  "dx",
+  "dy",
+  "warp",
+  "sx",
+  "sy",
+  "wave_r",
+  "wave_g",
+  "wave_b",
+  "wave_x",
+  "wave_y",
+  "ob_size",
+  "ob_r",
+  "ob_g",
+  "ob_b",
+  "ob_a",
+  "ib_size",
+  "ib_r",
+  "ib_g",
+  "ib_b",
+  "ib_a",
+  "mv_dx",
+  "mv_dy",
+  "mv_l",
+  "mv_r",
+  "mv_g",
+  "mv_b",
+  "mv_a",
+  "b1n",
+  "b2n",
+  "b3n",
+  "b1x",
+  "b2x",
+  "b3x",
+  "b1ed",
+];
+
+export const waveKeys = {
+  bSpectrum: "spectrum",
+  bUseDots: "usedots",
+  bDrawThick: "thick",
+  bAdditive: "additive",
+};
+
+export const shapeKeys = {
+  thickOutline: "thickoutline",
+};
+
+export const numShapes = 4;
+export const numWaves = 4;
+
+// MILKDROP_PRESET_VERSION of MilkDrop 1 presets, which don't write one
+export const milkdrop1Version = 100;
+
+const codeLinePatterns = [
+  { regex: /^per_frame_init_(\d+)$/, target: (p) => p, key: "init_eqs_eel" },
+  { regex: /^per_frame_(\d+)$/, target: (p) => p, key: "frame_eqs_eel" },
+  { regex: /^per_pixel_(\d+)$/, target: (p) => p, key: "pixel_eqs_eel" },
+  { regex: /^warp_(\d+)$/, target: (p) => p, key: "warp_hlsl", shader: true },
+  { regex: /^comp_(\d+)$/, target: (p) => p, key: "comp_hlsl", shader: true },
+  {
+    regex: /^wave_(\d+)_init(\d+)$/,
+    target: (p, i) => p.waves[i],
+    key: "init_eqs_eel",
+  },
+  {
+    regex: /^wave_(\d+)_per_frame(\d+)$/,
+    target: (p, i) => p.waves[i],
+    key: "frame_eqs_eel",
+  },
+  {
+    regex: /^wave_(\d+)_per_point(\d+)$/,
+    target: (p, i) => p.waves[i],
+    key: "point_eqs_eel",
+  },
+  {
+    regex: /^shape_(\d+)_init(\d+)$/,
+    target: (p, i) => p.shapes[i],
+    key: "init_eqs_eel",
+  },
+  {
+    regex: /^shape_(\d+)_per_frame(\d+)$/,
+    target: (p, i) => p.shapes[i],
+    key: "frame_eqs_eel",
+  },
+];
+
+function createPreset() {
+  const preset = {
+    milkVersion: milkdrop1Version,
+    version: 1,
+    psVersion: 0,
+    psVersionWarp: null,
+    psVersionComp: null,
+    baseVals: {},
+    init_eqs_eel: "",
+    frame_eqs_eel: "",
+    pixel_eqs_eel: "",
+    warp_hlsl: "",
+    comp_hlsl: "",
+    warp: "",
+    comp: "",
+    shapes: [],
+    waves: [],
+    unknownVals: {},
+    unsupportedHlsl: { warp: [], comp: [] },
+  };
+
+  for (let i = 0; i < numShapes; i++) {
+    preset.shapes.push({ baseVals: {}, init_eqs_eel: "", frame_eqs_eel: "" });
+  }
+  for (let i = 0; i < numWaves; i++) {
+    preset.waves.push({
+      baseVals: {},
+      init_eqs_eel: "",
+      frame_eqs_eel: "",
+      point_eqs_eel: "",
+    });
+  }
+
+  return preset;
+}
+
+function lowerKeys(mapping) {
+  return Object.keys(mapping).reduce((lowered, key) => {
+    lowered[key.toLowerCase()] = mapping[key];
+    return lowered;
+  }, {});
+}
+
+const lowerBaseValKeys = lowerKeys(baseValKeys);
+const lowerWaveKeys = lowerKeys(waveKeys);
+const lowerShapeKeys = lowerKeys(shapeKeys);
+
+function parseNumber(value) {
+  const num = parseFloat(value);
+  return isFinite(num) ? num : null;
+}
+
+export function getBaseValKey(key) {
+  const lowerKey = key.toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(lowerBaseValKeys, lowerKey)) {
+    return lowerBaseValKeys[lowerKey];
+  }
+  if (plainBaseValKeys.includes(lowerKey)) {
+    return lowerKey;
+  }
+  return null;
+}
+
+function matchCodeLine(preset, key) {
+  for (let i = 0; i < codeLinePatterns.length; i++) {
+    const pattern = codeLinePatterns[i];
+    const match = pattern.regex.exec(key);
+    if (match) {
+      const lineNum = parseInt(match[match.length - 1], 10);
+      const index = match.length > 2 ? parseInt(match[1], 10) : null;
+      const target = pattern.target(preset, index);
+      if (!target) {
+        return null;
+      }
+      return { pattern, target, lineNum };
+    }
+  }
+
+  return null;
+}
+
+function setHeaderVal(preset, key, value) {
+  const num = parseNumber(value);
+  switch (key.toUpperCase()) {
+    case "MILKDROP_PRESET_VERSION":
+      preset.milkVersion = num === null ? milkdrop1Version : num;
+      return true;
+    case "PSVERSION":
+      preset.psVersion = num || 0;
+      return true;
+    case "PSVERSION_WARP":
+      preset.psVersionWarp = num || 0;
+      return true;
+    case "PSVERSION_COMP":
+      preset.psVersionComp = num || 0;
+      return true;
+    default:
+      return false;
+  }
+}
+
+function setSubVal(item, key, mapping, value) {
+  const num = parseNumber(value);
+  if (num === null) {
+    return false;
+  }
+
+  const lowerKey = key.toLowerCase();
+  const valKey = Object.prototype.hasOwnProperty.call(mapping, lowerKey)
+    ? mapping[lowerKey]
+    : lowerKey;
+  item.baseVals[valKey] = num;
+  return true;
+}
+
+// MilkDrop reads numbered lines in order and stops at the first gap
+function joinLines(lines) {
+  const sorted = Object.keys(lines)
+    .map((n) => parseInt(n, 10))
+    .sort((a, b) => a - b);
+
+  const out = [];
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i] !== i + 1) {
+      break;
+    }
+    out.push(lines[sorted[i]]);
+  }
+  return out.join("\n");
+}
+
+export default function parseMilk(text) {
+  const preset = createPreset();
+  const codeLines = new Map();
+  let sawPresetSection = false;
+  let sawKeys = false;
+
+  const lines = String(text).split(/\r\n|\r|\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+    if (trimmed.length === 0) {
+      continue;
+    }
+
+    if (/^\[preset\d+\]$/i.test(trimmed)) {
+      if (sawPresetSection) {
+        // only the first preset of a file is used, same as MilkDrop
+        break;
+      }
+      sawPresetSection = true;
+      continue;
+    }
+
+    const eq = line.indexOf("=");
+    if (eq <= 0) {
+      continue;
+    }
+
+    const key = line.slice(0, eq).trim();
+    const value = line.slice(eq + 1);
+    sawKeys = true;
+
+    if (setHeaderVal(preset, key, value)) {
+      continue;
+    }
+
+    const codeLine = matchCodeLine(preset, key.toLowerCase());
+    if (codeLine) {
+      const { pattern, target, lineNum } = codeLine;
+      let code = value;
+      if (pattern.shader) {
+        // shader lines are prefixed with ` so leading whitespace survives
+        code = code.replace(/^`/, "");
+      } else {
+        code = code.trim();
+      }
+
+      if (!codeLines.has(target)) {
+        codeLines.set(target, {});
+      }
+      const targetLines = codeLines.get(target);
+      if (!targetLines[pattern.key]) {
+        targetLines[pattern.key] = {};
+      }
+      targetLines[pattern.key][lineNum] = code;
+      continue;
+    }
+
+    let match = /^shapecode_(\d+)_(.+)$/i.exec(key);
+    if (match && preset.shapes[parseInt(match[1], 10)]) {
+      const shape = preset.shapes[parseInt(match[1], 10)];
+      if (!setSubVal(shape, match[2], lowerShapeKeys, value)) {
+        preset.unknownVals[key] = value;
+      }
+      continue;
+    }
+
+    match = /^wavecode_(\d+)_(.+)$/i.exec(key);
+    if (match && preset.waves[parseInt(match[1], 10)]) {
+      const wave = preset.waves[parseInt(match[1], 10)];
+      if (!setSubVal(wave, match[2], lowerWaveKeys, value)) {
+        preset.unknownVals[key] = value;
+      }
+      continue;
+    }
+
+    // settings without a mapping keep their lowercased name, same as the
+    // presets converted to JSON (nechowrap_x, b1ed, ...)
+    const num = parseNumber(value);
+    if (num !== null) {
+      preset.baseVals[getBaseValKey(key) || key.toLowerCase()] = num;
+    } else {
+      preset.unknownVals[key] = value;
+    }
+  }
+
+  if (!sawPresetSection && !sawKeys) {
+    throw new Error("Not a MilkDrop preset: no [preset00] section or keys");
+  }
+
+  codeLines.forEach((sections, target) => {
+    Object.keys(sections).forEach((sectionKey) => {
+      target[sectionKey] = joinLines(sections[sectionKey]);
+    });
+  });
+
+  // PSVERSION_WARP/COMP fall back to PSVERSION when missing
+  if (preset.psVersionWarp === null) {
+    preset.psVersionWarp = preset.psVersion;
+  }
+  if (preset.psVersionComp === null) {
+    preset.psVersionComp = preset.psVersion;
+  }
+
+  preset.version = preset.milkVersion < 200 ? 1 : 2;
+
+  // MilkDrop 1 presets, or MilkDrop 2 presets saved without shaders
+  if (preset.version === 1 || preset.psVersionWarp === 0) {
+    preset.warp_hlsl = "";
+  }
+  if (preset.version === 1 || preset.psVersionComp === 0) {
+    preset.comp_hlsl = "";
+  }
+
+  ["warp", "comp"].forEach((shader) => {
+    const { glsl, unsupported } = translateShader(preset[`${shader}_hlsl`]);
+    preset.unsupportedHlsl[shader] = unsupported;
+    preset[shader] = unsupported.length === 0 ? glsl : "";
+  });
+
+  return preset;
+}
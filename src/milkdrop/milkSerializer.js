@@ -0,0 +1,155 @@
+import {
+  baseValKeys,
+  plainBaseValKeys,
+  waveKeys,
+  shapeKeys,
+  numShapes,
+  numWaves,
+} from "./milkParser.js";
+import { translateToHlsl } from "./hlslTranslator.js";
+
+// Writes a preset object (as loaded by loadPreset, or returned by parseMilk)
+// back out as MilkDrop .milk text that parseMilk reads back to the same
+// preset.
+//
+// Shaders are written from warp_hlsl/comp_hlsl when the preset came from a
+// .milk file, otherwise the GLSL in warp/comp is translated back to HLSL.
+// Equations are only available as EEL in *_eqs_eel, presets that only carry
+// compiled JS (*_eqs_str) are written without them.
+
+const milkdrop1Version = 100;
+const milkdrop2Version = 201;
+// Shaders translated from GLSL can run longer than the original HLSL did, so
+// ask for ps_3_0 limits unless the preset says otherwise
+const defaultPSVersion = 3;
+const lineBreak = "\r\n";
+
+function invert(mapping) {
+  return Object.keys(mapping).reduce((inverted, key) => {
+    inverted[mapping[key]] = key;
+    return inverted;
+  }, {});
+}
+
+const milkBaseValKeys = invert(baseValKeys);
+const milkWaveKeys = invert(waveKeys);
+const milkShapeKeys = invert(shapeKeys);
+
+// The order MilkDrop writes [preset00] in
+const baseValOrder = Object.keys(baseValKeys)
+  .map((key) => baseValKeys[key])
+  .concat(plainBaseValKeys);
+
+function formatValue(value) {
+  if (Number.isInteger(value)) {
+    return String(value);
+  }
+
+  // MilkDrop writes %f, keep full precision where that would lose some
+  const fixed = value.toFixed(6);
+  return parseFloat(fixed) === value ? fixed : String(value);
+}
+
+function isNumber(value) {
+  return typeof value === "number" && isFinite(value);
+}
+
+function pushVals(lines, baseVals, prefix, keyMapping, order = []) {
+  if (!baseVals) {
+    return;
+  }
+
+  const keys = order
+    .filter((key) => Object.prototype.hasOwnProperty.call(baseVals, key))
+    .concat(Object.keys(baseVals).filter((key) => !order.includes(key)));
+
+  keys.forEach((key) => {
+    const value = baseVals[key];
+    if (isNumber(value)) {
+      lines.push(`${prefix}${keyMapping[key] || key}=${formatValue(value)}`);
+    }
+  });
+}
+
+// Numbered lines, parseMilk joins them back with \n
+function pushCode(lines, prefix, code, shader = false) {
+  if (!code) {
+    return;
+  }
+
+  code.split(/\r\n|\r|\n/).forEach((line, i) => {
+    // the backtick keeps a shader line's leading whitespace, MilkDrop trims
+    // equation lines
+    const value = shader ? `\`${line}` : line.trim();
+    lines.push(`${prefix}${i + 1}=${value}`);
+  });
+}
+
+function getShaderText(preset, shader) {
+  const hlsl = preset[`${shader}_hlsl`];
+  if (hlsl) {
+    return hlsl;
+  }
+
+  return translateToHlsl(preset[shader]);
+}
+
+function getPSVersion(preset, key, shaderText) {
+  if (!shaderText) {
+    return 0;
+  }
+  return preset[key] || preset.psVersion || defaultPSVersion;
+}
+
+export default function serializeMilk(preset) {
+  // version is the EEL version (1 or 2) of presets that didn't come from a
+  // .milk file
+  const defaultVersion =
+    preset.version === 1 ? milkdrop1Version : milkdrop2Version;
+  const version = preset.milkVersion || defaultVersion;
+  const hasShaders = version >= 200;
+  const warp = hasShaders ? getShaderText(preset, "warp") : "";
+  const comp = hasShaders ? getShaderText(preset, "comp") : "";
+
+  const lines = [];
+  if (hasShaders) {
+    const psVersionWarp = getPSVersion(preset, "psVersionWarp", warp);
+    const psVersionComp = getPSVersion(preset, "psVersionComp", comp);
+    lines.push(`MILKDROP_PRESET_VERSION=${version}`);
+    lines.push(`PSVERSION=${Math.max(psVersionWarp, psVersionComp)}`);
+    lines.push(`PSVERSION_WARP=${psVersionWarp}`);
+    lines.push(`PSVERSION_COMP=${psVersionComp}`);
+  }
+  lines.push("[preset00]");
+
+  pushVals(lines, preset.baseVals, "", milkBaseValKeys, baseValOrder);
+
+  const waves = preset.waves || [];
+  for (let i = 0; i < Math.min(waves.length, numWaves); i++) {
+    const wave = waves[i];
+    if (wave) {
+      pushVals(lines, wave.baseVals, `wavecode_${i}_`, milkWaveKeys);
+      pushCode(lines, `wave_${i}_init`, wave.init_eqs_eel);
+      pushCode(lines, `wave_${i}_per_frame`, wave.frame_eqs_eel);
+      pushCode(lines, `wave_${i}_per_point`, wave.point_eqs_eel);
+    }
+  }
+
+  const shapes = preset.shapes || [];
+  for (let i = 0; i < Math.min(shapes.length, numShapes); i++) {
+    const shape = shapes[i];
+    if (shape) {
+      pushVals(lines, shape.baseVals, `shapecode_${i}_`, milkShapeKeys);
+      pushCode(lines, `shape_${i}_init`, shape.init_eqs_eel);
+      pushCode(lines, `shape_${i}_per_frame`, shape.frame_eqs_eel);
+    }
+  }
+
+  pushCode(lines, "per_frame_init_", preset.init_eqs_eel);
+  pushCode(lines, "per_frame_", preset.frame_eqs_eel);
+  pushCode(lines, "per_pixel_", preset.pixel_eqs_eel);
+  pushCode(lines, "warp_", warp, true);
+  pushCode(lines, "comp_", comp, true);
+
+  return lines.join(lineBreak) + lineBreak;
+}
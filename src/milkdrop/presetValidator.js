@@ -0,0 +1,322 @@
+import { compileModule } from "eel-wasm";
+import {
+  baseValsDefaults,
+  shapeBaseValsDefaults,
+  waveBaseValsDefaults,
+} from "./presetDefaults.js";
+import translateShader, { findHlsl, stripComments } from "./hlslTranslator.js";
+
+// Checks a preset (converted JSON, or parseMilk's output) for problems that
+// otherwise only show up once it's loaded: baseVals keys the visualizer
+// ignores, equations missing for the runner that loads it, EEL that doesn't
+// compile and warp/comp text that can't be GLSL.
+//
+// The shader check covers syntax (brackets, shader_body, leftover HLSL) and
+// the constructs translateShader reports as unsupported, type errors still
+// only show up when the driver compiles the shader.
+//
+// Returns a list of { severity, section, message, line, column } with
+// severity "error" or "warning" and sections named like loadPreset's errors.
+
+// MilkDrop settings butterchurn doesn't implement, converted presets carry
+// them so they aren't worth reporting
+const unimplementedKeys = {
+  baseVals: [
+    "rating",
+    "nechowrap_x",
+    "nechowrap_y",
+    "nwrapmode_x",
+    "nwrapmode_y",
+  ],
+  shapes: [
+    "bdrawback",
+    "tex_capture",
+    "tex_cx",
+    "tex_cy",
+    "x_wrap_mode",
+    "y_wrap_mode",
+  ],
+  waves: ["bdrawback"],
+};
+
+const shapeEquations = ["init_eqs", "frame_eqs"];
+const waveEquations = ["init_eqs", "frame_eqs", "point_eqs"];
+// loadPreset skips these when they're missing
+const optionalEquations = ["point_eqs"];
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function suggestKey(key, keys) {
+  let best = null;
+  let bestDistance = 3;
+  keys.forEach((candidate) => {
+    const distance = editDistance(key.toLowerCase(), candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+function isEnabled(item, defaults) {
+  const baseVals = item.baseVals || {};
+  const enabled = Object.prototype.hasOwnProperty.call(baseVals, "enabled")
+    ? baseVals.enabled
+    : defaults.enabled;
+  return enabled !== 0;
+}
+
+function checkKeys(issues, section, baseVals, defaults, unimplemented) {
+  const keys = Object.keys(defaults);
+  Object.keys(baseVals || {})
+    .filter(
+      (key) =>
+        !Object.prototype.hasOwnProperty.call(defaults, key) &&
+        !unimplemented.includes(key)
+    )
+    .forEach((key) => {
+      const suggestion = suggestKey(key, keys);
+      issues.push({
+        severity: "error",
+        section,
+        message:
+          `Unknown baseVals key "${key}"` +
+          (suggestion ? `, did you mean "${suggestion}"?` : ""),
+      });
+    });
+}
+
+// The sections loadPreset compiles, with the equations each one has
+function getSections(preset) {
+  const sections = [
+    { section: "perFrame", item: preset, eqs: ["init_eqs", "frame_eqs"] },
+    { section: "perPixel", item: preset, eqs: ["pixel_eqs"] },
+  ];
+
+  (preset.shapes || []).forEach((shape, i) => {
+    if (isEnabled(shape, shapeBaseValsDefaults)) {
+      sections.push({
+        section: `shapes[${i}]`,
+        item: shape,
+        eqs: shapeEquations,
+      });
+    }
+  });
+  (preset.waves || []).forEach((wave, i) => {
+    if (isEnabled(wave, waveBaseValsDefaults)) {
+      sections.push({ section: `waves[${i}]`, item: wave, eqs: waveEquations });
+    }
+  });
+
+  return sections;
+}
+
+// loadPreset uses the EEL (wasm runner) when the preset has it, and falls
+// back to the converted JS. Missing equations for the runner a preset loads
+// with are errors, a runner it can't use at all is a warning.
+function checkVariants(issues, preset, sections) {
+  const runners = [
+    { suffix: "_eel", name: "wasm" },
+    { suffix: "_str", name: "js" },
+  ];
+  const primary = Object.prototype.hasOwnProperty.call(preset, "init_eqs_eel")
+    ? "_eel"
+    : "_str";
+
+  runners.forEach(({ suffix, name }) => {
+    const missing = [];
+    sections.forEach(({ section, item, eqs }) => {
+      eqs
+        .filter((eq) => !optionalEquations.includes(eq))
+        .filter((eq) => typeof item[`${eq}${suffix}`] !== "string")
+        .forEach((eq) => missing.push({ section, key: `${eq}${suffix}` }));
+    });
+
+    if (missing.length === 0) {
+      return;
+    }
+
+    if (suffix === primary) {
+      missing.forEach(({ section, key }) => {
+        issues.push({
+          severity: "error",
+          section,
+          message: `Missing ${key}`,
+        });
+      });
+    } else {
+      const sectionNames = missing
+        .map(({ section }) => section)
+        .filter((section, i, all) => all.indexOf(section) === i);
+      issues.push({
+        severity: "warning",
+        section: sectionNames[0],
+        message: `No ${suffix} equations for ${sectionNames.join(
+          ", "
+        )}, the ${name} runner can't load this preset`,
+      });
+    }
+  });
+}
+
+function checkEEL(issues, preset, sections) {
+  const eelVersion = preset.version || 2;
+  sections.forEach(({ section, item, eqs }) => {
+    eqs.forEach((eq) => {
+      const code = item[`${eq}_eel`];
+      if (typeof code !== "string") {
+        return;
+      }
+
+      try {
+        compileModule({
+          pools: { preset: new Set() },
+          functions: { [eq]: { pool: "preset", code } },
+          eelVersion,
+        });
+      } catch (err) {
+        issues.push({
+          severity: "error",
+          section,
+          message: `${eq}_eel: ${err.message || err}`,
+          line: err.loc ? err.loc.first_line : null,
+          column: err.loc ? err.loc.first_column : null,
+        });
+      }
+    });
+  });
+}
+
+function lineAt(text, index) {
+  return text.substring(0, index).split("\n").length;
+}
+
+const closers = { ")": "(", "]": "[", "}": "{" };
+
+function checkBrackets(issues, section, text) {
+  const stack = [];
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === "(" || c === "[" || c === "{") {
+      stack.push(i);
+    } else if (closers[c]) {
+      const open = stack.pop();
+      if (open === undefined || text[open] !== closers[c]) {
+        issues.push({
+          severity: "error",
+          section,
+          message: `Unmatched "${c}"`,
+          line: lineAt(text, i),
+        });
+        return;
+      }
+    }
+  }
+
+  if (stack.length > 0) {
+    const open = stack[stack.length - 1];
+    issues.push({
+      severity: "error",
+      section,
+      message: `Unclosed "${text[open]}"`,
+      line: lineAt(text, open),
+    });
+  }
+}
+
+function checkShader(issues, preset, section) {
+  const shaderText = preset[section];
+  if (!shaderText || shaderText.trim().length === 0) {
+    return;
+  }
+
+  const text = stripComments(shaderText);
+
+  const bodyIndex = text.indexOf("shader_body");
+  if (bodyIndex > -1 && !/^shader_body\s*\{/.test(text.substring(bodyIndex))) {
+    issues.push({
+      severity: "error",
+      section,
+      message: "shader_body isn't followed by {",
+      line: lineAt(text, bodyIndex),
+    });
+  }
+
+  checkBrackets(issues, section, text);
+
+  findHlsl(text).forEach(({ line, message }) => {
+    issues.push({ severity: "error", section, message, line });
+  });
+
+  // a missing shader_body has no line, the renderer takes the whole text as
+  // the body then
+  translateShader(shaderText)
+    .unsupported.filter(({ line }) => line !== null)
+    .forEach(({ line, message }) => {
+      issues.push({ severity: "error", section, message, line });
+    });
+}
+
+export default function validatePreset(preset) {
+  const issues = [];
+
+  checkKeys(
+    issues,
+    "baseVals",
+    preset.baseVals,
+    baseValsDefaults,
+    unimplementedKeys.baseVals
+  );
+  (preset.shapes || []).forEach((shape, i) => {
+    checkKeys(
+      issues,
+      `shapes[${i}]`,
+      shape.baseVals,
+      shapeBaseValsDefaults,
+      unimplementedKeys.shapes
+    );
+  });
+  (preset.waves || []).forEach((wave, i) => {
+    checkKeys(
+      issues,
+      `waves[${i}]`,
+      wave.baseVals,
+      waveBaseValsDefaults,
+      unimplementedKeys.waves
+    );
+  });
+
+  const sections = getSections(preset);
+  if (
+    !Object.prototype.hasOwnProperty.call(preset, "init_eqs_eel") &&
+    !Object.prototype.hasOwnProperty.call(preset, "init_eqs_str")
+  ) {
+    issues.push({
+      severity: "error",
+      section: "perFrame",
+      message: "No init_eqs_eel or init_eqs_str, neither runner can load it",
+    });
+  } else {
+    checkVariants(issues, preset, sections);
+  }
+  checkEEL(issues, preset, sections);
+
+  checkShader(issues, preset, "warp");
+  checkShader(issues, preset, "comp");
+
+  return issues.map((issue) =>
+    Object.assign({ line: null, column: null }, issue)
+  );
+}
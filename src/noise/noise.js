@@ -397,4 +397,14 @@ export default class Noise {
 
     return texArr;
   }
+
+  dispose() {
+    this.gl.deleteTexture(this.noiseTexLQ);
+    this.gl.deleteTexture(this.noiseTexLQLite);
+    this.gl.deleteTexture(this.noiseTexMQ);
+    this.gl.deleteTexture(this.noiseTexHQ);
+    this.gl.deleteTexture(this.noiseTexVolLQ);
+    this.gl.deleteTexture(this.noiseTexVolHQ);
+    this.gl.deleteSampler(this.noiseTexPointLQ);
+  }
 }
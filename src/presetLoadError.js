@@ -0,0 +1,11 @@
+export default class PresetLoadError extends Error {
+  constructor(message, result) {
+    super(message);
+    this.name = "PresetLoadError";
+    this.result = result;
+  }
+
+  get errors() {
+    return this.result ? this.result.errors : null;
+  }
+}
@@ -0,0 +1,176 @@
+// Containers to try, in order. WebKit only records mp4.
+const mimeTypes = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+  "video/mp4;codecs=avc1,mp4a.40.2",
+  "video/mp4",
+];
+
+// Records what the visualizer shows, plus the audio it analyses, with
+// MediaRecorder. Frames are copied into a recording canvas of fixed size after
+// every render, so output canvas resizes and preset transitions don't
+// interrupt the stream.
+export default class Recorder {
+  constructor(visualizer, opts = {}) {
+    this.visualizer = visualizer;
+
+    const source = Recorder.getSourceCanvas(visualizer);
+    this.width = Math.floor(opts.width || source.width);
+    this.height = Math.floor(opts.height || source.height);
+    this.frameRate = opts.frameRate || 60;
+    this.mimeType = opts.mimeType || Recorder.getSupportedMimeType();
+    this.videoBitsPerSecond = opts.videoBitsPerSecond || 8000000;
+    this.audioBitsPerSecond = opts.audioBitsPerSecond || 192000;
+    this.audioNode =
+      opts.audioNode === undefined
+        ? visualizer.audioNode || visualizer.audio.audible
+        : opts.audioNode;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.context2D = this.canvas.getContext("2d");
+
+    this.chunks = [];
+    this.mediaRecorder = null;
+    this.audioDestination = null;
+    this.unsubscribe = null;
+    this.stopPromise = null;
+  }
+
+  static isSupported() {
+    return (
+      typeof MediaRecorder !== "undefined" &&
+      typeof HTMLCanvasElement !== "undefined" &&
+      !!HTMLCanvasElement.prototype.captureStream
+    );
+  }
+
+  static getSupportedMimeType() {
+    if (typeof MediaRecorder === "undefined") {
+      return "";
+    }
+
+    return mimeTypes.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+  }
+
+  // What the user sees if an output canvas is set, the raw render otherwise
+  static getSourceCanvas(visualizer) {
+    return visualizer.outputGl
+      ? visualizer.outputGl.canvas
+      : visualizer.internalCanvas;
+  }
+
+  get state() {
+    return this.mediaRecorder ? this.mediaRecorder.state : "inactive";
+  }
+
+  start(timeslice) {
+    if (this.mediaRecorder) {
+      throw new Error("Recorder has already been started");
+    }
+
+    const stream = this.canvas.captureStream(this.frameRate);
+    if (this.audioNode) {
+      this.audioDestination =
+        this.audioNode.context.createMediaStreamDestination();
+      this.audioNode.connect(this.audioDestination);
+      this.audioDestination.stream
+        .getAudioTracks()
+        .forEach((track) => stream.addTrack(track));
+    }
+
+    const recorderOpts = {
+      videoBitsPerSecond: this.videoBitsPerSecond,
+      audioBitsPerSecond: this.audioBitsPerSecond,
+    };
+    if (this.mimeType) {
+      recorderOpts.mimeType = this.mimeType;
+    }
+
+    this.mediaRecorder = new MediaRecorder(stream, recorderOpts);
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    this.stopPromise = new Promise((resolve, reject) => {
+      this.mediaRecorder.onstop = () => {
+        resolve(
+          new Blob(this.chunks, {
+            type: this.mediaRecorder.mimeType || this.mimeType,
+          })
+        );
+      };
+      this.mediaRecorder.onerror = (event) => {
+        reject(event.error || new Error("MediaRecorder failed"));
+      };
+    });
+
+    this.unsubscribe = this.visualizer.on("frameRendered", () =>
+      this.captureFrame()
+    );
+    this.captureFrame();
+    this.mediaRecorder.start(timeslice);
+  }
+
+  captureFrame() {
+    if (this.state !== "recording") {
+      return;
+    }
+
+    const source = Recorder.getSourceCanvas(this.visualizer);
+    this.context2D.drawImage(
+      source,
+      0,
+      0,
+      source.width,
+      source.height,
+      0,
+      0,
+      this.width,
+      this.height
+    );
+  }
+
+  pause() {
+    if (this.state === "recording") {
+      this.mediaRecorder.pause();
+    }
+  }
+
+  resume() {
+    if (this.state === "paused") {
+      this.mediaRecorder.resume();
+    }
+  }
+
+  // Resolves with the recording as a Blob
+  stop() {
+    if (!this.mediaRecorder) {
+      return Promise.reject(new Error("Recorder was never started"));
+    }
+
+    if (this.mediaRecorder.state !== "inactive") {
+      this.mediaRecorder.stop();
+      this.mediaRecorder.stream.getTracks().forEach((track) => track.stop());
+    }
+
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    if (this.audioDestination) {
+      try {
+        this.audioNode.disconnect(this.audioDestination);
+      } catch (err) {
+        // the source node was already torn down
+      }
+      this.audioDestination = null;
+    }
+
+    return this.stopPromise;
+  }
+}
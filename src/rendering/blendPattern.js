@@ -121,10 +121,9 @@ export default class BlendPattern {
     }
   }
 
-  createBlendPattern() {
-    const mixType = 1 + Math.floor(this.rng.random() * 3);
+  // mixType 0 is a plain crossfade, by default one of the others is picked
+  createBlendPattern(mixType = 1 + Math.floor(this.rng.random() * 3)) {
     if (mixType === 0) {
-      // not currently used
       let nVert = 0;
       for (let y = 0; y <= this.mesh_height; y++) {
         for (let x = 0; x <= this.mesh_width; x++) {
@@ -205,4 +205,9 @@ export default class MotionVectors {
       this.gl.drawArrays(this.gl.LINES, 0, this.numVecVerts);
     }
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.positionVertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
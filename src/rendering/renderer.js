@@ -1,4 +1,5 @@
 import AudioLevels from "../audio/audioLevels";
+import BeatTracker from "../audio/beatTracker";
 import blankPreset from "../blankPreset";
 import PresetEquationRunner from "../equations/presetEquationRunner";
 import PresetEquationRunnerWASM from "../equations/presetEquationRunnerWASM";
@@ -17,15 +18,21 @@ import Noise from "../noise/noise";
 import ImageTextures from "../image/imageTextures";
 import TitleText from "./text/titleText";
 import BlendPattern from "./blendPattern";
+import TransitionShader from "./transitions/transitionShader";
+import builtinTransitions from "./transitions/builtinTransitions";
 import Utils from "../utils";
+import EventEmitter from "../utils/eventEmitter";
+import { getRNG } from "../utils/rngContext";
 
 export default class Renderer {
-  constructor(gl, audio, opts) {
+  constructor(gl, audio, opts, events = new EventEmitter()) {
     this.gl = gl;
     this.audio = audio;
+    this.events = events;
 
     this.frameNum = 0;
     this.fps = 30;
+    this.reportedFPS = 0;
     this.time = 0;
     this.presetTime = 0;
     this.lastTime = performance.now();
@@ -35,6 +42,11 @@ export default class Renderer {
     this.blendStartTime = 0;
     this.blendProgress = 0;
     this.blendDuration = 0;
+    this.transition = "milkdrop";
+    this.transitionSeed = [0, 0, 0, 0];
+    this.transitionSources = Object.assign({}, builtinTransitions);
+    this.overrides = {};
+    this.persistOverrides = false;
 
     this.width = opts.width || 1200;
     this.height = opts.height || 900;
@@ -68,23 +80,7 @@ export default class Renderer {
     ];
 
     this.audioLevels = new AudioLevels(this.audio);
-
-    this.prevFrameBuffer = this.gl.createFramebuffer();
-    this.targetFrameBuffer = this.gl.createFramebuffer();
-    this.prevTexture = this.gl.createTexture();
-    this.targetTexture = this.gl.createTexture();
-
-    this.compFrameBuffer = this.gl.createFramebuffer();
-    this.compTexture = this.gl.createTexture();
-
-    this.anisoExt =
-      this.gl.getExtension("EXT_texture_filter_anisotropic") ||
-      this.gl.getExtension("MOZ_EXT_texture_filter_anisotropic") ||
-      this.gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic");
-
-    this.bindFrameBufferTexture(this.prevFrameBuffer, this.prevTexture);
-    this.bindFrameBufferTexture(this.targetFrameBuffer, this.targetTexture);
-    this.bindFrameBufferTexture(this.compFrameBuffer, this.compTexture);
+    this.beatTracker = new BeatTracker(this.audio);
 
     const params = {
       pixelRatio: this.pixelRatio,
@@ -96,40 +92,11 @@ export default class Renderer {
       aspectx: this.aspectx,
       aspecty: this.aspecty,
     };
-    this.noise = new Noise(gl);
-    this.image = new ImageTextures(gl);
-    this.warpShader = new WarpShader(gl, this.noise, this.image, params);
-    this.compShader = new CompShader(gl, this.noise, this.image, params);
-    this.outputShader = new OutputShader(gl, params);
-    this.prevWarpShader = new WarpShader(gl, this.noise, this.image, params);
-    this.prevCompShader = new CompShader(gl, this.noise, this.image, params);
+    this.extraImages = {};
     this.numBlurPasses = 0;
-    this.blurShader1 = new BlurShader(0, this.blurRatios, gl, params);
-    this.blurShader2 = new BlurShader(1, this.blurRatios, gl, params);
-    this.blurShader3 = new BlurShader(2, this.blurRatios, gl, params);
-    this.blurTexture1 = this.blurShader1.blurVerticalTexture;
-    this.blurTexture2 = this.blurShader2.blurVerticalTexture;
-    this.blurTexture3 = this.blurShader3.blurVerticalTexture;
-    this.basicWaveform = new BasicWaveform(gl, params);
-    this.customWaveforms = Utils.range(4).map(
-      (i) => new CustomWaveform(i, gl, params)
-    );
-    this.customShapes = Utils.range(4).map(
-      (i) => new CustomShape(i, gl, params)
-    );
-    this.prevCustomWaveforms = Utils.range(4).map(
-      (i) => new CustomWaveform(i, gl, params)
-    );
-    this.prevCustomShapes = Utils.range(4).map(
-      (i) => new CustomShape(i, gl, params)
-    );
-    this.darkenCenter = new DarkenCenter(gl, params);
-    this.innerBorder = new Border(gl, params);
-    this.outerBorder = new Border(gl, params);
-    this.motionVectors = new MotionVectors(gl, params);
-    this.titleText = new TitleText(gl, params);
+    this.createGLResources();
     this.blendPattern = new BlendPattern(params);
-    this.resampleShader = new ResampleShader(gl);
+    this.shaderDiagnostics = { warp: null, comp: null };
 
     this.supertext = {
       startTime: -1,
@@ -142,8 +109,6 @@ export default class Renderer {
       (this.mesh_width + 1) * (this.mesh_height + 1) * 4
     );
 
-    this.gl.clearColor(0, 0, 0, 1);
-
     this.blankPreset = blankPreset;
 
     const globalVars = {
@@ -156,6 +121,10 @@ export default class Renderer {
       mid_att: 1,
       treb: 1,
       treb_att: 1,
+      beat: 0,
+      bpm: 0,
+      beat_phase: 0,
+      loudness: 0,
     };
 
     this.preset = blankPreset;
@@ -176,6 +145,118 @@ export default class Renderer {
     }
   }
 
+  // Creates every GL object the renderer owns. Called again after the
+  // context has been restored since all previous handles are invalid by then.
+  createGLResources() {
+    const params = {
+      pixelRatio: this.pixelRatio,
+      textureRatio: this.textureRatio,
+      texsizeX: this.texsizeX,
+      texsizeY: this.texsizeY,
+      mesh_width: this.mesh_width,
+      mesh_height: this.mesh_height,
+      aspectx: this.aspectx,
+      aspecty: this.aspecty,
+      numSamps: this.audio.numSamps,
+    };
+
+    this.anisoExt =
+      this.gl.getExtension("EXT_texture_filter_anisotropic") ||
+      this.gl.getExtension("MOZ_EXT_texture_filter_anisotropic") ||
+      this.gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic");
+
+    this.prevFrameBuffer = this.gl.createFramebuffer();
+    this.targetFrameBuffer = this.gl.createFramebuffer();
+    this.prevTexture = this.gl.createTexture();
+    this.targetTexture = this.gl.createTexture();
+
+    this.compFrameBuffer = this.gl.createFramebuffer();
+    this.compTexture = this.gl.createTexture();
+
+    this.bindFrameBufferTexture(this.prevFrameBuffer, this.prevTexture);
+    this.bindFrameBufferTexture(this.targetFrameBuffer, this.targetTexture);
+    this.bindFrameBufferTexture(this.compFrameBuffer, this.compTexture);
+
+    // each preset's comp output, for GLSL transitions to mix
+    this.transitionFromFrameBuffer = this.gl.createFramebuffer();
+    this.transitionToFrameBuffer = this.gl.createFramebuffer();
+    this.transitionFromTexture = this.gl.createTexture();
+    this.transitionToTexture = this.gl.createTexture();
+
+    this.bindFrameBufferTexture(
+      this.transitionFromFrameBuffer,
+      this.transitionFromTexture
+    );
+    this.bindFrameBufferTexture(
+      this.transitionToFrameBuffer,
+      this.transitionToTexture
+    );
+
+    this.noise = new Noise(this.gl);
+    this.image = new ImageTextures(this.gl);
+    this.warpShader = new WarpShader(this.gl, this.noise, this.image, params);
+    this.compShader = new CompShader(this.gl, this.noise, this.image, params);
+    this.outputShader = new OutputShader(this.gl, params);
+    this.prevWarpShader = new WarpShader(
+      this.gl,
+      this.noise,
+      this.image,
+      params
+    );
+    this.prevCompShader = new CompShader(
+      this.gl,
+      this.noise,
+      this.image,
+      params
+    );
+    this.blurShader1 = new BlurShader(0, this.blurRatios, this.gl, params);
+    this.blurShader2 = new BlurShader(1, this.blurRatios, this.gl, params);
+    this.blurShader3 = new BlurShader(2, this.blurRatios, this.gl, params);
+    this.blurTexture1 = this.blurShader1.blurVerticalTexture;
+    this.blurTexture2 = this.blurShader2.blurVerticalTexture;
+    this.blurTexture3 = this.blurShader3.blurVerticalTexture;
+    this.basicWaveform = new BasicWaveform(this.gl, params);
+    this.customWaveforms = Utils.range(4).map(
+      (i) => new CustomWaveform(i, this.gl, params)
+    );
+    this.customShapes = Utils.range(4).map(
+      (i) => new CustomShape(i, this.gl, params)
+    );
+    this.prevCustomWaveforms = Utils.range(4).map(
+      (i) => new CustomWaveform(i, this.gl, params)
+    );
+    this.prevCustomShapes = Utils.range(4).map(
+      (i) => new CustomShape(i, this.gl, params)
+    );
+    this.darkenCenter = new DarkenCenter(this.gl, params);
+    this.innerBorder = new Border(this.gl, params);
+    this.outerBorder = new Border(this.gl, params);
+    this.motionVectors = new MotionVectors(this.gl, params);
+    this.titleText = new TitleText(this.gl, params);
+    this.resampleShader = new ResampleShader(this.gl);
+    this.transitionShader = new TransitionShader(this.gl);
+
+    this.gl.clearColor(0, 0, 0, 1);
+  }
+
+  // Rebuilds the GL side after webglcontextrestored. Equation state, blend
+  // progress and the active presets are kept, only the frame contents are lost
+  restoreGLResources() {
+    this.createGLResources();
+    this.image.loadExtraImages(this.extraImages);
+
+    this.prevWarpShader.updateShader(this.prevPreset.warp.trim());
+    this.prevCompShader.updateShader(this.prevPreset.comp.trim());
+    this.shaderDiagnostics = {
+      warp: this.warpShader.updateShader(this.preset.warp.trim()),
+      comp: this.compShader.updateShader(this.preset.comp.trim()),
+    };
+
+    if (this.supertext.text && this.supertext.startTime >= 0) {
+      this.titleText.generateTitleTexture(this.supertext.text);
+    }
+  }
+
   static getHighestBlur(t) {
     if (/sampler_blur3/.test(t)) {
       return 3;
@@ -188,12 +269,52 @@ export default class Renderer {
     return 0;
   }
 
-  loadPreset(preset, blendTime) {
-    this.blendPattern.createBlendPattern();
+  hasTransition(name) {
+    return (
+      name === "milkdrop" ||
+      Object.prototype.hasOwnProperty.call(this.transitionSources, name)
+    );
+  }
+
+  // Adds or replaces a GLSL transition (see TransitionShader for the format).
+  // Returns null if it compiled, otherwise its diagnostics, and the
+  // transition isn't added.
+  registerTransition(name, glsl) {
+    if (name === "milkdrop") {
+      throw new Error('The "milkdrop" transition can\'t be replaced');
+    }
+
+    const diagnostics = this.transitionShader.compileTransition(name, glsl);
+    if (!diagnostics) {
+      this.transitionSources[name] = glsl;
+    }
+    return diagnostics;
+  }
+
+  // transition names how the two presets are mixed during the blend. The
+  // default "milkdrop" mixes per vertex with a random pattern, the others
+  // mix the comp output in GLSL over a crossfade of the feedback buffer.
+  loadPreset(preset, blendTime, { transition = "milkdrop" } = {}) {
+    this.transition = this.hasTransition(transition) ? transition : "milkdrop";
+    if (this.transition === "milkdrop") {
+      this.blendPattern.createBlendPattern();
+    } else {
+      this.blendPattern.createBlendPattern(0);
+      const rng = getRNG();
+      this.transitionSeed = Utils.range(4).map(() => rng.random());
+    }
     this.blending = true;
     this.blendStartTime = this.time;
     this.blendDuration = blendTime;
     this.blendProgress = 0;
+    this.events.emit("blendStarted", {
+      duration: blendTime,
+      transition: this.transition,
+    });
+
+    if (!this.persistOverrides) {
+      this.overrides = {};
+    }
 
     this.prevPresetEquationRunner = this.presetEquationRunner;
 
@@ -202,7 +323,7 @@ export default class Renderer {
 
     this.presetTime = this.time;
 
-    const globalVars = {
+    const frameVars = {
       frame: this.frameNum,
       time: this.time,
       fps: this.fps,
@@ -212,7 +333,12 @@ export default class Renderer {
       mid_att: this.audioLevels.mid_att,
       treb: this.audioLevels.treb,
       treb_att: this.audioLevels.treb_att,
+      beat: this.beatTracker.beat,
+      bpm: this.beatTracker.bpm,
+      beat_phase: this.beatTracker.beat_phase,
+      loudness: this.audio.loudness,
     };
+    const globalVars = Utils.omit(frameVars, preset.userGlobals || []);
     const params = {
       pixelRatio: this.pixelRatio,
       textureRatio: this.textureRatio,
@@ -259,27 +385,79 @@ export default class Renderer {
     const warpText = this.preset.warp.trim();
     const compText = this.preset.comp.trim();
 
-    this.warpShader.updateShader(warpText);
-    this.compShader.updateShader(compText);
+    this.shaderDiagnostics = {
+      warp: this.warpShader.updateShader(warpText),
+      comp: this.compShader.updateShader(compText),
+    };
+
+    this.updateBlurPasses();
 
-    if (warpText.length === 0) {
-      this.numBlurPasses = 0;
-    } else {
-      this.numBlurPasses = Renderer.getHighestBlur(warpText);
+    return this.shaderDiagnostics;
+  }
+
+  updateBlurPasses() {
+    this.numBlurPasses = Math.max(
+      Renderer.getHighestBlur(this.preset.warp.trim()),
+      Renderer.getHighestBlur(this.preset.comp.trim())
+    );
+  }
+
+  // Swaps the running preset's warp or comp shader without a blend. If the
+  // new text doesn't compile the old shader is put back. Returns the new
+  // text's diagnostics, null if it compiled.
+  updatePresetShader(shader, shaderText) {
+    const shaderPass = shader === "warp" ? this.warpShader : this.compShader;
+    const diagnostics = shaderPass.updateShader(shaderText.trim());
+    if (diagnostics) {
+      shaderPass.updateShader(this.preset[shader].trim());
+      return diagnostics;
     }
 
-    if (compText.length !== 0) {
-      this.numBlurPasses = Math.max(
-        this.numBlurPasses,
-        Renderer.getHighestBlur(compText)
-      );
+    this.preset[shader] = shaderText;
+    this.shaderDiagnostics = Object.assign({}, this.shaderDiagnostics, {
+      [shader]: null,
+    });
+    this.updateBlurPasses();
+
+    return null;
+  }
+
+  // The running preset's equations were recompiled in place
+  // (Visualizer.updatePresetSection), its state carries over
+  updatePresetEquations() {
+    if (this.preset.pixel_eqs_initialize_array) {
+      this.preset.pixel_eqs_initialize_array(this.mesh_width, this.mesh_height);
+    }
+    this.presetEquationRunner.updateEquations();
+  }
+
+  // Values written over the per-frame equations' output every frame, so they
+  // win over both the preset's baseVals and its equations
+  setOverrides(overrides, persist = false) {
+    Object.assign(this.overrides, overrides);
+    this.persistOverrides = persist;
+  }
+
+  clearOverrides(keys) {
+    if (keys) {
+      this.overrides = Utils.omit(this.overrides, keys);
+    } else {
+      this.overrides = {};
+      this.persistOverrides = false;
     }
   }
 
   loadExtraImages(imageData) {
+    Object.assign(this.extraImages, imageData);
     this.image.loadExtraImages(imageData);
   }
 
+  // Textures load asynchronously, frames rendered before this resolves
+  // sample the ones that haven't loaded as empty
+  whenImagesLoaded() {
+    return this.image.whenLoaded();
+  }
+
   setRendererSize(width, height, opts) {
     const oldTexsizeX = this.texsizeX;
     const oldTexsizeY = this.texsizeY;
@@ -309,10 +487,19 @@ export default class Renderer {
 
       this.resampleShader.renderQuadTexture(this.targetTexture);
 
+      this.gl.deleteTexture(this.targetTexture);
       this.targetTexture = targetTextureNew;
 
       this.bindFrameBufferTexture(this.prevFrameBuffer, this.prevTexture);
       this.bindFrameBufferTexture(this.compFrameBuffer, this.compTexture);
+      this.bindFrameBufferTexture(
+        this.transitionFromFrameBuffer,
+        this.transitionFromTexture
+      );
+      this.bindFrameBufferTexture(
+        this.transitionToFrameBuffer,
+        this.transitionToTexture
+      );
     }
 
     this.updateGlobals();
@@ -379,6 +566,8 @@ export default class Renderer {
     }
   }
 
+  // Returns the frame's elapsed time, this.fps is smoothed over the last
+  // frames
   calcTimeAndFPS(elapsedTime) {
     let elapsed;
     if (elapsedTime) {
@@ -399,6 +588,7 @@ export default class Renderer {
         (this.time - this.blendStartTime) / this.blendDuration;
       if (this.blendProgress > 1.0) {
         this.blending = false;
+        this.events.emit("blendComplete", { duration: this.blendDuration });
       }
     }
 
@@ -415,6 +605,14 @@ export default class Renderer {
       const damping = 0.93;
       this.fps = damping * this.fps + (1.0 - damping) * newFPS;
     }
+
+    const roundedFPS = Math.round(this.fps);
+    if (roundedFPS !== this.reportedFPS) {
+      this.reportedFPS = roundedFPS;
+      this.events.emit("fpsChanged", { fps: this.fps });
+    }
+
+    return elapsed;
   }
 
   runPixelEquations(presetEquationRunner, mdVSFrame, globalVars, blending) {
@@ -823,21 +1021,35 @@ export default class Renderer {
   }
 
   render({ audioLevels, elapsedTime } = {}) {
-    this.calcTimeAndFPS(elapsedTime);
+    const elapsed = this.calcTimeAndFPS(elapsedTime);
     this.frameNum += 1;
 
+    // recordings are stamped with it, so they replay with the same timing
     if (audioLevels) {
       this.audio.updateAudio(
         audioLevels.timeByteArray,
         audioLevels.timeByteArrayL,
-        audioLevels.timeByteArrayR
+        audioLevels.timeByteArrayR,
+        audioLevels.sampleRate,
+        elapsed
       );
     } else {
-      this.audio.sampleAudio();
+      this.audio.sampleAudio(elapsed);
     }
     this.audioLevels.updateAudioLevels(this.fps, this.frameNum);
+    this.audio.recordLevels(this.audioLevels);
+    this.beatTracker.update(this.time);
+    if (this.beatTracker.beat) {
+      this.events.emit("beat", { bpm: this.beatTracker.bpm, time: this.time });
+    }
 
-    const globalVars = {
+    const analysisVars = {
+      beat: this.beatTracker.beat,
+      bpm: this.beatTracker.bpm,
+      beat_phase: this.beatTracker.beat_phase,
+      loudness: this.audio.loudness,
+    };
+    const frameVars = {
       frame: this.frameNum,
       time: this.time,
       fps: this.fps,
@@ -853,9 +1065,15 @@ export default class Renderer {
       aspecty: this.invAspecty,
       pixelsx: this.texsizeX,
       pixelsy: this.texsizeY,
+      ...analysisVars,
     };
 
-    const prevGlobalVars = Object.assign({}, globalVars);
+    // presets with their own beat/bpm/loudness vars don't get the engine's
+    const globalVars = Utils.omit(frameVars, this.preset.userGlobals || []);
+    const prevGlobalVars = Utils.omit(
+      frameVars,
+      this.prevPreset.userGlobals || []
+    );
     if (!this.prevPreset.useWASM) {
       prevGlobalVars.gmegabuf = this.prevPresetEquationRunner.gmegabuf;
     }
@@ -866,6 +1084,7 @@ export default class Renderer {
     }
 
     const mdVSFrame = this.presetEquationRunner.runFrameEquations(globalVars);
+    Object.assign(mdVSFrame, this.overrides);
 
     this.runPixelEquations(
       this.presetEquationRunner,
@@ -873,6 +1092,8 @@ export default class Renderer {
       globalVars,
       false
     );
+    // but their shaders always do
+    Object.assign(mdVSFrame, analysisVars);
 
     if (!this.preset.useWASM) {
       Object.assign(this.regVars, Utils.pick(this.mdVSVertex, this.regs));
@@ -884,12 +1105,14 @@ export default class Renderer {
       this.prevMDVSFrame = this.prevPresetEquationRunner.runFrameEquations(
         prevGlobalVars
       );
+      Object.assign(this.prevMDVSFrame, this.overrides);
       this.runPixelEquations(
         this.prevPresetEquationRunner,
         this.prevMDVSFrame,
         prevGlobalVars,
         true
       );
+      Object.assign(this.prevMDVSFrame, analysisVars);
 
       mdVSFrameMixed = Renderer.mixFrameEquations(
         this.blendProgress,
@@ -1106,7 +1329,55 @@ export default class Renderer {
     this.renderToScreen();
   }
 
+  // Renders each preset's comp pass on its own for a GLSL transition to mix
+  renderTransitionTextures(blurMins, blurMaxs) {
+    this.bindFrambufferAndSetViewport(
+      this.transitionFromFrameBuffer,
+      this.texsizeX,
+      this.texsizeY
+    );
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    this.prevCompShader.renderQuadTexture(
+      false,
+      this.targetTexture,
+      this.blurTexture1,
+      this.blurTexture2,
+      this.blurTexture3,
+      blurMins,
+      blurMaxs,
+      this.prevMDVSFrame,
+      this.prevPresetEquationRunner.mdVSQAfterFrame,
+      this.warpColor
+    );
+
+    this.bindFrambufferAndSetViewport(
+      this.transitionToFrameBuffer,
+      this.texsizeX,
+      this.texsizeY
+    );
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    this.compShader.renderQuadTexture(
+      false,
+      this.targetTexture,
+      this.blurTexture1,
+      this.blurTexture2,
+      this.blurTexture3,
+      blurMins,
+      blurMaxs,
+      this.mdVSFrameMixed,
+      this.presetEquationRunner.mdVSQAfterFrame,
+      this.warpColor
+    );
+  }
+
   renderToScreen() {
+    const { blurMins, blurMaxs } = Renderer.getBlurValues(this.mdVSFrameMixed);
+    const glslTransition = this.blending && this.transition !== "milkdrop";
+
+    if (glslTransition) {
+      this.renderTransitionTextures(blurMins, blurMaxs);
+    }
+
     if (this.outputFXAA) {
       this.bindFrambufferAndSetViewport(
         this.compFrameBuffer,
@@ -1122,9 +1393,17 @@ export default class Renderer {
     this.gl.blendEquation(this.gl.FUNC_ADD);
     this.gl.blendFunc(this.gl.SRC_ALPHA, this.gl.ONE_MINUS_SRC_ALPHA);
 
-    const { blurMins, blurMaxs } = Renderer.getBlurValues(this.mdVSFrameMixed);
-
-    if (!this.blending) {
+    if (glslTransition) {
+      this.transitionShader.renderQuadTexture(
+        this.transition,
+        this.transitionSources[this.transition],
+        this.transitionFromTexture,
+        this.transitionToTexture,
+        this.blendProgress,
+        this.texsizeX / this.texsizeY,
+        this.transitionSeed
+      );
+    } else if (!this.blending) {
       this.compShader.renderQuadTexture(
         false,
         this.targetTexture,
@@ -1172,6 +1451,7 @@ export default class Renderer {
 
       if (progress >= 1) {
         this.supertext.startTime = -1;
+        this.events.emit("titleAnimFinished", { text: this.supertext.text });
       }
     }
 
@@ -1184,14 +1464,88 @@ export default class Renderer {
     }
   }
 
+  dispose() {
+    this.warpShader.dispose();
+    this.compShader.dispose();
+    this.prevWarpShader.dispose();
+    this.prevCompShader.dispose();
+    this.outputShader.dispose();
+    this.resampleShader.dispose();
+    this.transitionShader.dispose();
+    this.blurShader1.dispose();
+    this.blurShader2.dispose();
+    this.blurShader3.dispose();
+    this.basicWaveform.dispose();
+    this.customWaveforms.forEach((wave) => wave.dispose());
+    this.customShapes.forEach((shape) => shape.dispose());
+    this.prevCustomWaveforms.forEach((wave) => wave.dispose());
+    this.prevCustomShapes.forEach((shape) => shape.dispose());
+    this.darkenCenter.dispose();
+    this.innerBorder.dispose();
+    this.outerBorder.dispose();
+    this.motionVectors.dispose();
+    this.titleText.dispose();
+    this.noise.dispose();
+    this.image.dispose();
+
+    this.gl.deleteFramebuffer(this.prevFrameBuffer);
+    this.gl.deleteFramebuffer(this.targetFrameBuffer);
+    this.gl.deleteFramebuffer(this.compFrameBuffer);
+    this.gl.deleteFramebuffer(this.transitionFromFrameBuffer);
+    this.gl.deleteFramebuffer(this.transitionToFrameBuffer);
+    this.gl.deleteTexture(this.prevTexture);
+    this.gl.deleteTexture(this.targetTexture);
+    this.gl.deleteTexture(this.compTexture);
+    this.gl.deleteTexture(this.transitionFromTexture);
+    this.gl.deleteTexture(this.transitionToTexture);
+
+    // drop the presets so their WASM instances and megabufs can be collected
+    this.preset = null;
+    this.prevPreset = null;
+    this.presetEquationRunner = null;
+    this.prevPresetEquationRunner = null;
+    this.regVars = null;
+  }
+
   launchSongTitleAnim(text) {
     this.supertext = {
       startTime: this.time,
       duration: 1.7,
+      text,
     };
     this.titleText.generateTitleTexture(text);
   }
 
+  // RGBA pixels of the last frame drawn to the screen, top row first
+  readScreenPixels() {
+    const width = this.width;
+    const height = this.height;
+    const data = new Uint8Array(width * height * 4);
+
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    this.gl.readPixels(
+      0,
+      0,
+      width,
+      height,
+      this.gl.RGBA,
+      this.gl.UNSIGNED_BYTE,
+      data
+    );
+
+    const rowSize = width * 4;
+    const row = new Uint8Array(rowSize);
+    for (let y = 0; y < Math.floor(height / 2); y++) {
+      const top = y * rowSize;
+      const bottom = (height - y - 1) * rowSize;
+      row.set(data.subarray(top, top + rowSize));
+      data.copyWithin(top, bottom, bottom + rowSize);
+      data.set(row, bottom);
+    }
+
+    return data;
+  }
+
   toDataURL() {
     const data = new Uint8Array(this.texsizeX * this.texsizeY * 4);
 
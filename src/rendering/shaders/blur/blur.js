@@ -159,4 +159,14 @@ export default class BlurShader {
     this.gl.bindTexture(this.gl.TEXTURE_2D, this.blurVerticalTexture);
     this.gl.generateMipmap(this.gl.TEXTURE_2D);
   }
+
+  dispose() {
+    this.gl.deleteFramebuffer(this.blurHorizontalFrameBuffer);
+    this.gl.deleteFramebuffer(this.blurVerticalFrameBuffer);
+    this.gl.deleteTexture(this.blurHorizontalTexture);
+    this.gl.deleteTexture(this.blurVerticalTexture);
+
+    this.blurHorizontal.dispose();
+    this.blurVertical.dispose();
+  }
 }
@@ -183,4 +183,9 @@ export default class BlurHorizontal {
 
     this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.vertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
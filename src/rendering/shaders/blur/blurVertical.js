@@ -151,4 +151,9 @@ export default class BlurVertical {
 
     this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.vertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
@@ -278,6 +278,11 @@ export default class CompShader {
       uniform float frame;
       uniform float fps;
 
+      uniform float beat;
+      uniform float bpm;
+      uniform float beat_phase;
+      uniform float loudness;
+
       uniform vec4 _qa;
       uniform vec4 _qb;
       uniform vec4 _qc;
@@ -370,6 +375,30 @@ export default class CompShader {
     this.gl.attachShader(this.shaderProgram, fragShader);
     this.gl.linkProgram(this.shaderProgram);
 
+    const diagnostics = ShaderUtils.getProgramDiagnostics(
+      this.gl,
+      this.shaderProgram,
+      vertShader,
+      fragShader,
+      shaderText,
+      fragShaderHeaderText,
+      fragShaderText
+    );
+    if (diagnostics) {
+      this.gl.deleteProgram(this.shaderProgram);
+      this.gl.deleteShader(vertShader);
+      this.gl.deleteShader(fragShader);
+
+      if (shaderText.length > 0) {
+        // fall back to the default shader for this pass
+        this.createShader();
+      } else {
+        console.error(`Default comp shader failed: ${diagnostics.log}`);
+      }
+
+      return diagnostics;
+    }
+
     this.positionLocation = this.gl.getAttribLocation(
       this.shaderProgram,
       "aPos"
@@ -511,6 +540,16 @@ export default class CompShader {
     this.volAttLoc = this.gl.getUniformLocation(this.shaderProgram, "vol_att");
     this.frameLoc = this.gl.getUniformLocation(this.shaderProgram, "frame");
     this.fpsLoc = this.gl.getUniformLocation(this.shaderProgram, "fps");
+    this.beatLoc = this.gl.getUniformLocation(this.shaderProgram, "beat");
+    this.bpmLoc = this.gl.getUniformLocation(this.shaderProgram, "bpm");
+    this.beatPhaseLoc = this.gl.getUniformLocation(
+      this.shaderProgram,
+      "beat_phase"
+    );
+    this.loudnessLoc = this.gl.getUniformLocation(
+      this.shaderProgram,
+      "loudness"
+    );
     this.blur1MinLoc = this.gl.getUniformLocation(
       this.shaderProgram,
       "blur1_min"
@@ -584,10 +623,13 @@ export default class CompShader {
         `sampler_${userTexture.sampler}`
       );
     }
+
+    return null;
   }
 
   updateShader(shaderText) {
-    this.createShader(shaderText);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+    return this.createShader(shaderText);
   }
 
   bindBlurVals(blurMins, blurMaxs) {
@@ -911,6 +953,10 @@ export default class CompShader {
     );
     this.gl.uniform1f(this.frameLoc, mdVSFrame.frame);
     this.gl.uniform1f(this.fpsLoc, mdVSFrame.fps);
+    this.gl.uniform1f(this.beatLoc, mdVSFrame.beat);
+    this.gl.uniform1f(this.bpmLoc, mdVSFrame.bpm);
+    this.gl.uniform1f(this.beatPhaseLoc, mdVSFrame.beat_phase);
+    this.gl.uniform1f(this.loudnessLoc, mdVSFrame.loudness);
     this.gl.uniform4fv(this.randPresetLoc, mdVSFrame.rand_preset);
     this.gl.uniform4fv(
       this.randFrameLoc,
@@ -1039,4 +1085,16 @@ export default class CompShader {
       this.gl.enable(this.gl.BLEND);
     }
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.indexBuf);
+    this.gl.deleteBuffer(this.positionVertexBuf);
+    this.gl.deleteBuffer(this.compColorVertexBuf);
+    this.gl.deleteSampler(this.mainSampler);
+    this.gl.deleteSampler(this.mainSamplerFW);
+    this.gl.deleteSampler(this.mainSamplerFC);
+    this.gl.deleteSampler(this.mainSamplerPW);
+    this.gl.deleteSampler(this.mainSamplerPC);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
@@ -29,7 +29,7 @@ export default class OutputShader {
     this.texsizeX = opts.texsizeX;
     this.texsizeY = opts.texsizeY;
 
-    this.gl.deleteProgram(this.shaderProgram);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
 
     if (this.useFXAA()) {
       this.createFXAAShader();
@@ -244,4 +244,9 @@ export default class OutputShader {
 
     this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.vertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
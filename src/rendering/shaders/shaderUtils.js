@@ -1,7 +1,17 @@
 const lineMatcher = /uniform sampler2D sampler_(?:.+?);/g;
 const samplerMatcher = /uniform sampler2D sampler_(.+?);/;
+const infoLogMatcher = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/;
 
 export default class ShaderUtils {
+  static getShaderBodyIndex(t) {
+    const sbIndex = t.indexOf("shader_body");
+    if (t && sbIndex > -1) {
+      return sbIndex + t.substring(sbIndex).indexOf("{") + 1;
+    }
+
+    return 0;
+  }
+
   static getShaderParts(t) {
     const sbIndex = t.indexOf("shader_body");
     if (t && sbIndex > -1) {
@@ -45,4 +55,142 @@ export default class ShaderUtils {
     }
     return samplers;
   }
+
+  static getLineNumber(text, index) {
+    return text.substring(0, index).split("\n").length;
+  }
+
+  static parseInfoLog(infoLog) {
+    return (infoLog || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0)
+      .map((line) => {
+        const matches = line.match(infoLogMatcher);
+        if (matches) {
+          return {
+            severity: matches[1].toLowerCase(),
+            sourceLine: parseInt(matches[2], 10),
+            message: matches[3],
+          };
+        }
+        return { severity: "error", sourceLine: null, message: line };
+      });
+  }
+
+  // Maps driver line numbers in the generated fragment shader back to lines
+  // in the preset's shader text
+  static mapInfoLog(infoLog, fragSource, shaderText, headerText, bodyText) {
+    const mainIndex = fragSource.indexOf("void main(void)");
+    const headerIndex =
+      headerText.length > 0
+        ? fragSource.lastIndexOf(headerText, mainIndex)
+        : -1;
+    const bodyIndex =
+      bodyText.length > 0 ? fragSource.indexOf(bodyText, mainIndex) : -1;
+
+    const headerStart =
+      headerIndex > -1 ? ShaderUtils.getLineNumber(fragSource, headerIndex) : 0;
+    const headerEnd = headerStart + headerText.split("\n").length - 1;
+    const bodyStart =
+      bodyIndex > -1 ? ShaderUtils.getLineNumber(fragSource, bodyIndex) : 0;
+    const bodyEnd = bodyStart + bodyText.split("\n").length - 1;
+    const bodyTextStart = ShaderUtils.getLineNumber(
+      shaderText,
+      ShaderUtils.getShaderBodyIndex(shaderText)
+    );
+
+    return ShaderUtils.parseInfoLog(infoLog).map((entry) => {
+      const l = entry.sourceLine;
+      let line = null;
+      let section = "generated";
+      if (l !== null && headerStart > 0 && l >= headerStart && l <= headerEnd) {
+        line = l - headerStart + 1;
+        section = "header";
+      } else if (
+        l !== null &&
+        bodyStart > 0 &&
+        l >= bodyStart &&
+        l <= bodyEnd
+      ) {
+        line = bodyTextStart + (l - bodyStart);
+        section = "body";
+      }
+      return {
+        severity: entry.severity,
+        line,
+        section,
+        message: entry.message,
+      };
+    });
+  }
+
+  // Returns null if the program linked, otherwise the mapped compiler output
+  static getProgramDiagnostics(
+    gl,
+    program,
+    vertShader,
+    fragShader,
+    shaderText,
+    headerText,
+    bodyText
+  ) {
+    if (gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      return null;
+    }
+
+    let log;
+    let diagnostics;
+    if (!gl.getShaderParameter(fragShader, gl.COMPILE_STATUS)) {
+      log = gl.getShaderInfoLog(fragShader) || "";
+      diagnostics = ShaderUtils.mapInfoLog(
+        log,
+        gl.getShaderSource(fragShader),
+        shaderText,
+        headerText,
+        bodyText
+      );
+    } else if (!gl.getShaderParameter(vertShader, gl.COMPILE_STATUS)) {
+      log = gl.getShaderInfoLog(vertShader) || "";
+      diagnostics = ShaderUtils.parseInfoLog(log).map((entry) => ({
+        severity: entry.severity,
+        line: null,
+        section: "generated",
+        message: entry.message,
+      }));
+    } else {
+      log = gl.getProgramInfoLog(program) || "";
+      diagnostics = ShaderUtils.parseInfoLog(log).map((entry) => ({
+        severity: entry.severity,
+        line: null,
+        section: "generated",
+        message: entry.message,
+      }));
+    }
+
+    const firstError =
+      diagnostics.find((d) => d.severity === "error" && d.line !== null) ||
+      diagnostics.find((d) => d.line !== null);
+
+    return {
+      message: diagnostics.length > 0 ? diagnostics[0].message : log,
+      line: firstError ? firstError.line : null,
+      log,
+      diagnostics,
+    };
+  }
+
+  // Deletes a program along with the shaders attached to it
+  static deleteProgram(gl, program) {
+    if (!program) {
+      return;
+    }
+
+    const shaders = gl.getAttachedShaders(program) || [];
+    for (let i = 0; i < shaders.length; i++) {
+      gl.detachShader(program, shaders[i]);
+      gl.deleteShader(shaders[i]);
+    }
+    gl.deleteProgram(program);
+  }
 }
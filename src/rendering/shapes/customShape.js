@@ -721,4 +721,14 @@ export default class CustomShape {
       }
     }
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.positionVertexBuf);
+    this.gl.deleteBuffer(this.colorVertexBuf);
+    this.gl.deleteBuffer(this.uvVertexBuf);
+    this.gl.deleteBuffer(this.borderPositionVertexBuf);
+    this.gl.deleteSampler(this.mainSampler);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+    ShaderUtils.deleteProgram(this.gl, this.borderShaderProgram);
+  }
 }
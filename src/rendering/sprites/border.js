@@ -224,4 +224,9 @@ export default class Border {
       this.gl.drawArrays(this.gl.TRIANGLES, 0, this.positions.length / 3);
     }
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.vertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
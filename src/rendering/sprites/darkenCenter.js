@@ -168,4 +168,10 @@ export default class CustomShape {
       this.gl.drawArrays(this.gl.TRIANGLE_FAN, 0, this.positions.length / 3);
     }
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.positionVertexBuf);
+    this.gl.deleteBuffer(this.colorVertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
@@ -1,3 +1,4 @@
+import Utils from "../../utils";
 import ShaderUtils from "../shaders/shaderUtils";
 
 export default class TitleText {
@@ -18,9 +19,7 @@ export default class TitleText {
     this.positionVertexBuf = this.gl.createBuffer();
     this.vertexBuf = this.gl.createBuffer();
 
-    this.canvas = document.createElement("canvas");
-    this.canvas.width = this.texsizeX;
-    this.canvas.height = this.texsizeY;
+    this.canvas = Utils.createCanvas(this.texsizeX, this.texsizeY);
     this.context2D = this.canvas.getContext("2d", { willReadFrequently: false });
 
     this.floatPrecision = ShaderUtils.getFragmentFloatPrecision(this.gl);
@@ -346,4 +345,16 @@ export default class TitleText {
       0
     );
   }
+
+  dispose() {
+    this.gl.deleteTexture(this.textTexture);
+    this.gl.deleteBuffer(this.indexBuf);
+    this.gl.deleteBuffer(this.positionVertexBuf);
+    this.gl.deleteBuffer(this.vertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+
+    // release the backing store of the offscreen 2D canvas
+    this.canvas.width = 0;
+    this.canvas.height = 0;
+  }
 }
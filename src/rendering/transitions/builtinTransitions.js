@@ -0,0 +1,73 @@
+// GLSL transitions that come with the renderer, in the format described in
+// transitionShader.js. "milkdrop", MilkDrop's own random per-vertex blend, is
+// handled by the renderer itself.
+
+const crossfade = `
+vec4 transition(vec2 uv) {
+  return mix(getFromColor(uv), getToColor(uv), progress);
+}`;
+
+// sweeps around the centre like a clock hand, from a random angle
+const radialWipe = `
+const float PI = 3.141592653589793;
+
+vec4 transition(vec2 uv) {
+  vec2 p = (uv - 0.5) * vec2(ratio, 1.0);
+  float dir = transitionSeed.y < 0.5 ? -1.0 : 1.0;
+  float t = fract(dir * atan(p.y, p.x) / (2.0 * PI) + transitionSeed.x);
+  float m = smoothstep(0.0, 0.05, progress * 1.05 - t);
+  return mix(getFromColor(uv), getToColor(uv), m);
+}`;
+
+// a soft edge moving across the screen in a random direction
+const directionalWipe = `
+vec4 transition(vec2 uv) {
+  float angle = transitionSeed.x * 6.283185307179586;
+  vec2 dir = vec2(cos(angle), sin(angle));
+  vec2 p = (uv - 0.5) * vec2(ratio, 1.0);
+  float extent = abs(dir.x) * ratio + abs(dir.y);
+  float t = dot(p, dir) / extent + 0.5;
+  float m = smoothstep(0.0, 0.1, progress * 1.1 - t);
+  return mix(getFromColor(uv), getToColor(uv), m);
+}`;
+
+// flies into the outgoing preset while the incoming one grows from the middle
+const zoomThrough = `
+vec4 transition(vec2 uv) {
+  float m = smoothstep(0.0, 1.0, progress);
+  vec2 fromUV = 0.5 + (uv - 0.5) / (1.0 + 3.0 * m);
+  vec2 toUV = 0.5 + (uv - 0.5) * (2.0 - m);
+  vec2 inside = step(abs(toUV - 0.5), vec2(0.5));
+  vec4 to = getToColor(toUV) * inside.x * inside.y;
+  return mix(getFromColor(fromUV), to, m);
+}`;
+
+// square cells switch over one by one in random order
+const pixelDissolve = `
+float random(vec2 co) {
+  return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+vec4 transition(vec2 uv) {
+  vec2 cell = floor(uv * vec2(48.0 * ratio, 48.0));
+  float t = random(cell + transitionSeed.xy * 100.0);
+  return progress > t ? getToColor(uv) : getFromColor(uv);
+}`;
+
+// the incoming preset shows through its brightest parts first
+const luminanceKey = `
+vec4 transition(vec2 uv) {
+  vec4 to = getToColor(uv);
+  float luma = dot(to.rgb, vec3(0.299, 0.587, 0.114));
+  float m = smoothstep(0.0, 0.1, progress * 1.1 - (1.0 - luma));
+  return mix(getFromColor(uv), to, m);
+}`;
+
+export default {
+  crossfade,
+  radialWipe,
+  directionalWipe,
+  zoomThrough,
+  pixelDissolve,
+  luminanceKey,
+};
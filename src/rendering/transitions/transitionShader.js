@@ -0,0 +1,169 @@
+import ShaderUtils from "../shaders/shaderUtils";
+
+// Draws a GLSL transition between the outgoing (from) and incoming (to)
+// preset's comp output while a blend runs. Transitions use the gl-transitions
+// format: they define vec4 transition(vec2 uv) in terms of getFromColor(uv),
+// getToColor(uv), progress (0 to 1) and ratio (width / height). On top of
+// that, transitionSeed holds four random values that change with every blend.
+export default class TransitionShader {
+  constructor(gl) {
+    this.gl = gl;
+
+    this.positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+
+    this.vertexBuf = this.gl.createBuffer();
+
+    this.floatPrecision = ShaderUtils.getFragmentFloatPrecision(this.gl);
+    this.programs = {};
+  }
+
+  // Returns null if the transition compiled, otherwise its diagnostics with
+  // lines counted in glsl. A transition already compiled under name is only
+  // replaced on success.
+  compileTransition(name, glsl) {
+    const program = this.gl.createProgram();
+
+    const vertShader = this.gl.createShader(this.gl.VERTEX_SHADER);
+    this.gl.shaderSource(
+      vertShader,
+      `#version 300 es
+       const vec2 halfmad = vec2(0.5);
+       in vec2 aPos;
+       out vec2 vUv;
+       void main(void) {
+         gl_Position = vec4(aPos, 0.0, 1.0);
+         vUv = aPos * halfmad + halfmad;
+       }`
+    );
+    this.gl.compileShader(vertShader);
+
+    const fragShader = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    this.gl.shaderSource(
+      fragShader,
+      `#version 300 es
+       precision ${this.floatPrecision} float;
+       precision highp int;
+       precision mediump sampler2D;
+
+       in vec2 vUv;
+       out vec4 fragColor;
+       uniform sampler2D uFromTexture;
+       uniform sampler2D uToTexture;
+       uniform float progress;
+       uniform float ratio;
+       uniform vec4 transitionSeed;
+
+       vec4 getFromColor(vec2 uv) {
+         return texture(uFromTexture, uv);
+       }
+
+       vec4 getToColor(vec2 uv) {
+         return texture(uToTexture, uv);
+       }
+
+${glsl}
+
+       void main(void) {
+         fragColor = vec4(transition(vUv).rgb, 1.0);
+       }`
+    );
+    this.gl.compileShader(fragShader);
+
+    this.gl.attachShader(program, vertShader);
+    this.gl.attachShader(program, fragShader);
+    this.gl.linkProgram(program);
+
+    const diagnostics = ShaderUtils.getProgramDiagnostics(
+      this.gl,
+      program,
+      vertShader,
+      fragShader,
+      glsl,
+      glsl,
+      ""
+    );
+    if (diagnostics) {
+      ShaderUtils.deleteProgram(this.gl, program);
+      return diagnostics;
+    }
+
+    if (this.programs[name]) {
+      ShaderUtils.deleteProgram(this.gl, this.programs[name].program);
+    }
+    this.programs[name] = {
+      program,
+      positionLocation: this.gl.getAttribLocation(program, "aPos"),
+      fromTextureLoc: this.gl.getUniformLocation(program, "uFromTexture"),
+      toTextureLoc: this.gl.getUniformLocation(program, "uToTexture"),
+      progressLoc: this.gl.getUniformLocation(program, "progress"),
+      ratioLoc: this.gl.getUniformLocation(program, "ratio"),
+      seedLoc: this.gl.getUniformLocation(program, "transitionSeed"),
+    };
+
+    return null;
+  }
+
+  // Compiles glsl the first time name is drawn, e.g. after a context restore
+  renderQuadTexture(name, glsl, fromTexture, toTexture, progress, ratio, seed) {
+    if (!this.programs[name] && this.compileTransition(name, glsl)) {
+      return;
+    }
+    const {
+      program,
+      positionLocation,
+      fromTextureLoc,
+      toTextureLoc,
+      progressLoc,
+      ratioLoc,
+      seedLoc,
+    } = this.programs[name];
+
+    this.gl.useProgram(program);
+
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuf);
+    this.gl.bufferData(
+      this.gl.ARRAY_BUFFER,
+      this.positions,
+      this.gl.STATIC_DRAW
+    );
+
+    this.gl.vertexAttribPointer(
+      positionLocation,
+      2,
+      this.gl.FLOAT,
+      false,
+      0,
+      0
+    );
+    this.gl.enableVertexAttribArray(positionLocation);
+
+    // the warp/comp passes leave sampler objects bound, use the textures' own
+    // clamped filtering instead
+    this.gl.bindSampler(0, null);
+    this.gl.bindSampler(1, null);
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, fromTexture);
+    this.gl.generateMipmap(this.gl.TEXTURE_2D);
+    this.gl.activeTexture(this.gl.TEXTURE1);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, toTexture);
+    this.gl.generateMipmap(this.gl.TEXTURE_2D);
+
+    this.gl.uniform1i(fromTextureLoc, 0);
+    this.gl.uniform1i(toTextureLoc, 1);
+    this.gl.uniform1f(progressLoc, Math.clamp(progress, 0, 1));
+    this.gl.uniform1f(ratioLoc, ratio);
+    this.gl.uniform4fv(seedLoc, seed);
+
+    this.gl.disable(this.gl.BLEND);
+    this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+    this.gl.enable(this.gl.BLEND);
+  }
+
+  dispose() {
+    this.gl.deleteBuffer(this.vertexBuf);
+    Object.keys(this.programs).forEach((name) =>
+      ShaderUtils.deleteProgram(this.gl, this.programs[name].program)
+    );
+    this.programs = {};
+  }
+}
@@ -5,7 +5,7 @@ export default class BasicWaveform {
   constructor(gl, opts = {}) {
     this.gl = gl;
 
-    const numAudioSamples = 512;
+    const numAudioSamples = opts.numSamps || 512;
     this.positions = new Float32Array(numAudioSamples * 3);
     this.positions2 = new Float32Array(numAudioSamples * 3);
     this.oldPositions = new Float32Array(numAudioSamples * 3);
@@ -698,4 +698,9 @@ export default class BasicWaveform {
       }
     }
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.vertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
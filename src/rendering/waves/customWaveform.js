@@ -7,15 +7,16 @@ export default class CustomWaveform {
     this.index = index;
     this.gl = gl;
 
-    const maxSamples = 512;
+    // the most samples a wave can draw, as many as the audio has
+    this.maxSamples = opts.numSamps || 512;
     this.pointsData = [
-      new Float32Array(maxSamples),
-      new Float32Array(maxSamples),
+      new Float32Array(this.maxSamples),
+      new Float32Array(this.maxSamples),
     ];
-    this.positions = new Float32Array(maxSamples * 3);
-    this.colors = new Float32Array(maxSamples * 4);
-    this.smoothedPositions = new Float32Array((maxSamples * 2 - 1) * 3);
-    this.smoothedColors = new Float32Array((maxSamples * 2 - 1) * 4);
+    this.positions = new Float32Array(this.maxSamples * 3);
+    this.colors = new Float32Array(this.maxSamples * 4);
+    this.smoothedPositions = new Float32Array((this.maxSamples * 2 - 1) * 3);
+    this.smoothedColors = new Float32Array((this.maxSamples * 2 - 1) * 4);
 
     this.texsizeX = opts.texsizeX;
     this.texsizeY = opts.texsizeY;
@@ -133,7 +134,7 @@ export default class CustomWaveform {
         );
       }
 
-      const maxSamples = 512;
+      const maxSamples = this.maxSamples;
       if (Object.prototype.hasOwnProperty.call(mdVSWaveFrame, "samples")) {
         this.samples = mdVSWaveFrame.samples;
       } else {
@@ -427,4 +428,10 @@ export default class CustomWaveform {
       }
     }
   }
+
+  dispose() {
+    this.gl.deleteBuffer(this.positionVertexBuf);
+    this.gl.deleteBuffer(this.colorVertexBuf);
+    ShaderUtils.deleteProgram(this.gl, this.shaderProgram);
+  }
 }
@@ -53,4 +53,16 @@ export default class Utils {
     }
     return newObj;
   }
+
+  // Workers have no document, use an OffscreenCanvas there instead
+  static createCanvas(width, height) {
+    if (typeof document === "undefined") {
+      return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
 }
@@ -0,0 +1,53 @@
+export default class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    if (!this.listeners[event]) {
+      return;
+    }
+
+    if (listener) {
+      this.listeners[event] = this.listeners[event].filter(
+        (l) => l !== listener
+      );
+    } else {
+      delete this.listeners[event];
+    }
+  }
+
+  hasListeners(event) {
+    return !!this.listeners[event] && this.listeners[event].length > 0;
+  }
+
+  emit(event, payload) {
+    if (!this.listeners[event]) {
+      return;
+    }
+
+    // copy so listeners can unsubscribe while we iterate
+    const listeners = this.listeners[event].slice();
+    for (let i = 0; i < listeners.length; i++) {
+      try {
+        listeners[i](payload);
+      } catch (err) {
+        // a broken listener shouldn't take down the render loop
+        console.error(`Error in ${event} listener`, err);
+      }
+    }
+  }
+
+  removeAllListeners() {
+    this.listeners = {};
+  }
+}
@@ -53,4 +53,29 @@ export function cleanup() {
   }
 
   globalRNG = null;
-}
\ No newline at end of file
+}
+
+// Runs fn with context as the RNG, rand, randint and Math.random included,
+// then puts back the previous ones. Only for synchronous work, anything
+// running in between would get context too.
+export function runWithRNG(context, fn) {
+  const previous = {
+    globalRNG,
+    rand: window.rand,
+    randint: window.randint,
+    random: Math.random,
+  };
+
+  globalRNG = context;
+  window.rand = (x) => context.rand(x);
+  window.randint = (x) => context.randint(x);
+  Math.random = () => context.random();
+  try {
+    return fn();
+  } finally {
+    globalRNG = previous.globalRNG;
+    window.rand = previous.rand;
+    window.randint = previous.randint;
+    Math.random = previous.random;
+  }
+}
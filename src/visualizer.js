@@ -1,19 +1,48 @@
-import { loadModule } from "eel-wasm";
+import { compileModule, parse as parseEEL, shims } from "eel-wasm";
 import ascLoader from "@assemblyscript/loader";
 import AudioProcessor from "./audio/audioProcessor";
 import Renderer from "./rendering/renderer";
 import Utils from "./utils";
+import PresetLoadError from "./presetLoadError";
+import EventEmitter from "./utils/eventEmitter";
+import Recorder from "./recording/recorder";
 import loadPresetFunctionsBuffer from "./assemblyscript/presetFunctions.ts";
-import { initializeRNG } from "./utils/rngContext";
+import { initializeRNG, getRNG, runWithRNG, cleanup } from "./utils/rngContext";
+import { createRNGContext } from "./utils/seededRandom";
+import compileEquations from "./equations/equationInterpreter";
+import exportWASMMemory, { copyWASMMemory } from "./equations/exportWASMMemory";
+import blankPreset from "./blankPreset";
+import {
+  baseValsDefaults,
+  shapeBaseValsDefaults,
+  waveBaseValsDefaults,
+} from "./milkdrop/presetDefaults";
+
+// checked once, see canEval and canCompileWASM
+let evalAllowed = null;
+let wasmAllowed = null;
 
 export default class Visualizer {
   constructor(audioContext, canvas, opts) {
     this.opts = opts;
+    this.events = new EventEmitter();
 
     // Initialize RNG context
     this.rng = initializeRNG(opts);
     this.deterministicMode = opts.deterministic || opts.testMode;
-    this.audio = new AudioProcessor(audioContext);
+
+    // Without eval (a Content-Security-Policy with no 'unsafe-eval') the
+    // converted JS equations run through equationInterpreter instead of
+    // new Function. opts.interpretEquations picks one either way.
+    this.interpretEquations =
+      opts.interpretEquations !== undefined
+        ? !!opts.interpretEquations
+        : !Visualizer.canEval();
+
+    this.audio = new AudioProcessor(audioContext, {
+      fftSize: opts.fftSize,
+      agc: opts.agc,
+    });
 
     const vizWidth = opts.width || 1200;
     const vizHeight = opts.height || 900;
@@ -35,124 +64,39 @@ export default class Visualizer {
 
     this.outputGl = canvas.getContext('2d', { willReadFrequently: false });
 
-    this.baseValsDefaults = {
-      decay: 0.98,
-      gammaadj: 2,
-      echo_zoom: 2,
-      echo_alpha: 0,
-      echo_orient: 0,
-      red_blue: 0,
-      brighten: 0,
-      darken: 0,
-      wrap: 1,
-      darken_center: 0,
-      solarize: 0,
-      invert: 0,
-      bmotionvectorson: 1,
-      fshader: 0,
-      b1n: 0,
-      b2n: 0,
-      b3n: 0,
-      b1x: 1,
-      b2x: 1,
-      b3x: 1,
-      b1ed: 0.25,
-      wave_mode: 0,
-      additivewave: 0,
-      wave_dots: 0,
-      wave_thick: 0,
-      wave_a: 0.8,
-      wave_scale: 1,
-      wave_smoothing: 0.75,
-      wave_mystery: 0,
-      modwavealphabyvolume: 0,
-      modwavealphastart: 0.75,
-      modwavealphaend: 0.95,
-      wave_r: 1,
-      wave_g: 1,
-      wave_b: 1,
-      wave_x: 0.5,
-      wave_y: 0.5,
-      wave_brighten: 1,
-      mv_x: 12,
-      mv_y: 9,
-      mv_dx: 0,
-      mv_dy: 0,
-      mv_l: 0.9,
-      mv_r: 1,
-      mv_g: 1,
-      mv_b: 1,
-      mv_a: 1,
-      warpanimspeed: 1,
-      warpscale: 1,
-      zoomexp: 1,
-      zoom: 1,
-      rot: 0,
-      cx: 0.5,
-      cy: 0.5,
-      dx: 0,
-      dy: 0,
-      warp: 1,
-      sx: 1,
-      sy: 1,
-      ob_size: 0.01,
-      ob_r: 0,
-      ob_g: 0,
-      ob_b: 0,
-      ob_a: 0,
-      ib_size: 0.01,
-      ib_r: 0.25,
-      ib_g: 0.25,
-      ib_b: 0.25,
-      ib_a: 0,
+    // preventDefault lets the browser restore the context, at which point
+    // the renderer rebuilds its GL resources and keeps the current presets
+    this.contextLost = false;
+    this.onContextLost = (event) => {
+      event.preventDefault();
+      this.contextLost = true;
+      this.events.emit("contextLost", { event });
     };
-
-    this.shapeBaseValsDefaults = {
-      enabled: 0,
-      sides: 4,
-      additive: 0,
-      thickoutline: 0,
-      textured: 0,
-      num_inst: 1,
-      tex_zoom: 1,
-      tex_ang: 0,
-      x: 0.5,
-      y: 0.5,
-      rad: 0.1,
-      ang: 0,
-      r: 1,
-      g: 0,
-      b: 0,
-      a: 1,
-      r2: 0,
-      g2: 1,
-      b2: 0,
-      a2: 0,
-      border_r: 1,
-      border_g: 1,
-      border_b: 1,
-      border_a: 0.1,
+    this.onContextRestored = (event) => {
+      this.contextLost = false;
+      this.renderer.restoreGLResources();
+      this.events.emit("contextRestored", { event });
     };
+    this.internalCanvas.addEventListener(
+      "webglcontextlost",
+      this.onContextLost
+    );
+    this.internalCanvas.addEventListener(
+      "webglcontextrestored",
+      this.onContextRestored
+    );
 
-    this.waveBaseValsDefaults = {
-      enabled: 0,
-      samples: 512,
-      sep: 0,
-      scaling: 1,
-      smoothing: 0.5,
-      r: 1,
-      g: 1,
-      b: 1,
-      a: 1,
-      spectrum: 0,
-      usedots: 0,
-      thick: 0,
-      additive: 0,
-    };
+    this.baseValsDefaults = baseValsDefaults;
+    this.shapeBaseValsDefaults = shapeBaseValsDefaults;
+    this.waveBaseValsDefaults = waveBaseValsDefaults;
 
     this.qs = Utils.range(1, 33).map((x) => `q${x}`);
     this.ts = Utils.range(1, 9).map((x) => `t${x}`);
 
+    // set by the engine's audio analysis each frame, unless a preset
+    // assigns the name itself
+    this.analysisVars = ["beat", "bpm", "beat_phase", "loudness"];
+
     this.globalPerFrameVars = [
       "old_wave_mode",
       // globals
@@ -165,6 +109,10 @@ export default class Visualizer {
       "mid_att",
       "treb",
       "treb_att",
+      "beat",
+      "bpm",
+      "beat_phase",
+      "loudness",
       "meshx",
       "meshy",
       "aspectx",
@@ -186,6 +134,10 @@ export default class Visualizer {
       "mid_att",
       "treb",
       "treb_att",
+      "beat",
+      "bpm",
+      "beat_phase",
+      "loudness",
       "meshx",
       "meshy",
       "aspectx",
@@ -212,6 +164,10 @@ export default class Visualizer {
       "mid_att",
       "treb",
       "treb_att",
+      "beat",
+      "bpm",
+      "beat_phase",
+      "loudness",
       "meshx",
       "meshy",
       "aspectx",
@@ -259,6 +215,10 @@ export default class Visualizer {
       "mid_att",
       "treb",
       "treb_att",
+      "beat",
+      "bpm",
+      "beat_phase",
+      "loudness",
       "meshx",
       "meshy",
       "aspectx",
@@ -275,7 +235,18 @@ export default class Visualizer {
       "value2",
     ];
 
-    this.renderer = new Renderer(this.gl, this.audio, opts);
+    this.renderer = new Renderer(this.gl, this.audio, opts, this.events);
+  }
+
+  // Events: presetLoaded, presetLoadFailed, blendStarted, blendComplete,
+  // contextLost, contextRestored, fpsChanged, beat, titleAnimFinished,
+  // frameRendered
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
   }
 
   loseGLContext() {
@@ -292,6 +263,63 @@ export default class Visualizer {
     this.audio.disconnectAudio(audioNode);
   }
 
+  // For audio from outside Web Audio: Float32 samples from -1 to 1, in
+  // chunks of any length. Renders without audioLevels analyse the newest
+  // samples pushed, at full precision, until connectAudio or byte
+  // audioLevels are used again.
+  pushPCM(left, right, sampleRate) {
+    this.audio.pushPCM(left, right, sampleRate);
+  }
+
+  // Records the audio of every rendered frame, to be replayed later through
+  // AudioReplaySource, see AudioProcessor.startRecording for opts
+  startAudioRecording(opts) {
+    this.audio.startRecording(opts);
+  }
+
+  // The frames recorded since startAudioRecording, ready for JSON.stringify
+  stopAudioRecording() {
+    return this.audio.stopRecording();
+  }
+
+  // Releases everything this instance owns. The visualizer can't be used
+  // afterwards, create a new one instead.
+  dispose() {
+    if (this.disposed) {
+      return;
+    }
+    this.disposed = true;
+
+    this.internalCanvas.removeEventListener(
+      "webglcontextlost",
+      this.onContextLost
+    );
+    this.internalCanvas.removeEventListener(
+      "webglcontextrestored",
+      this.onContextRestored
+    );
+
+    if (this.audioNode) {
+      try {
+        this.disconnectAudio(this.audioNode);
+      } catch (err) {
+        // already disconnected by the caller
+      }
+      this.audioNode = null;
+    }
+    this.audio.dispose();
+
+    this.renderer.dispose();
+
+    // only restore the globals if a newer instance hasn't taken them over
+    if (getRNG() === this.rng) {
+      cleanup();
+    }
+
+    this.events.removeAllListeners();
+    this.outputGl = null;
+  }
+
   // Override defaults, but only include variables in default map
   static overrideDefaultVars(baseValsDefaults, baseVals) {
     const combinedVals = {};
@@ -333,7 +361,7 @@ export default class Visualizer {
     return wasmVars;
   }
 
-  createPerFramePool(baseVals) {
+  createPerFramePool(baseVals, userGlobals = []) {
     const wasmVars = {};
 
     Object.keys(this.baseValsDefaults).forEach((key) => {
@@ -343,17 +371,19 @@ export default class Visualizer {
       );
     });
 
-    this.globalPerFrameVars.forEach((key) => {
-      wasmVars[key] = new WebAssembly.Global(
-        { value: "f64", mutable: true },
-        0
-      );
-    });
+    this.globalPerFrameVars
+      .filter((key) => !userGlobals.includes(key))
+      .forEach((key) => {
+        wasmVars[key] = new WebAssembly.Global(
+          { value: "f64", mutable: true },
+          0
+        );
+      });
 
     return wasmVars;
   }
 
-  createPerPixelPool(baseVals) {
+  createPerPixelPool(baseVals, userGlobals = []) {
     const wasmVars = {};
 
     Object.keys(this.baseValsDefaults).forEach((key) => {
@@ -363,17 +393,19 @@ export default class Visualizer {
       );
     });
 
-    this.globalPerPixelVars.forEach((key) => {
-      wasmVars[key] = new WebAssembly.Global(
-        { value: "f64", mutable: true },
-        0
-      );
-    });
+    this.globalPerPixelVars
+      .filter((key) => !userGlobals.includes(key))
+      .forEach((key) => {
+        wasmVars[key] = new WebAssembly.Global(
+          { value: "f64", mutable: true },
+          0
+        );
+      });
 
     return wasmVars;
   }
 
-  createCustomShapePerFramePool(baseVals) {
+  createCustomShapePerFramePool(baseVals, userGlobals = []) {
     const wasmVars = {};
 
     Object.keys(this.shapeBaseValsDefaults).forEach((key) => {
@@ -383,17 +415,19 @@ export default class Visualizer {
       );
     });
 
-    this.globalShapeVars.forEach((key) => {
-      wasmVars[key] = new WebAssembly.Global(
-        { value: "f64", mutable: true },
-        0
-      );
-    });
+    this.globalShapeVars
+      .filter((key) => !userGlobals.includes(key))
+      .forEach((key) => {
+        wasmVars[key] = new WebAssembly.Global(
+          { value: "f64", mutable: true },
+          0
+        );
+      });
 
     return wasmVars;
   }
 
-  createCustomWavePerFramePool(baseVals) {
+  createCustomWavePerFramePool(baseVals, userGlobals = []) {
     const wasmVars = {};
 
     Object.keys(this.waveBaseValsDefaults).forEach((key) => {
@@ -403,12 +437,14 @@ export default class Visualizer {
       );
     });
 
-    this.globalWaveVars.forEach((key) => {
-      wasmVars[key] = new WebAssembly.Global(
-        { value: "f64", mutable: true },
-        0
-      );
-    });
+    this.globalWaveVars
+      .filter((key) => !userGlobals.includes(key))
+      .forEach((key) => {
+        wasmVars[key] = new WebAssembly.Global(
+          { value: "f64", mutable: true },
+          0
+        );
+      });
 
     return wasmVars;
   }
@@ -419,6 +455,76 @@ export default class Visualizer {
     }, {});
   }
 
+  // The vars EEL code reads or writes, lowercased like eel-wasm does
+  static findEELVars(code) {
+    const vars = new Set();
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+      } else if (node && typeof node === "object") {
+        if (node.type === "IDENTIFIER") {
+          vars.add(node.value);
+        } else {
+          Object.keys(node)
+            .filter((key) => key !== "callee" && key !== "loc")
+            .forEach((key) => visit(node[key]));
+        }
+      }
+    };
+    visit(parseEEL(code));
+
+    return vars;
+  }
+
+  // eel-wasm keeps regNN and the vars a pool doesn't have in globals of the
+  // module, which a rebuilt module would start over. User vars are added to
+  // the pools instead, so the next module shares them like q/t, and regNN are
+  // copied through the regs pool by the saveRegs and restoreRegs functions.
+  static addWASMStateVars(wasmVarPools, wasmFunctions) {
+    const regs = new Set();
+    Object.keys(wasmFunctions).forEach((name) => {
+      const { pool, code } = wasmFunctions[name];
+      Visualizer.findEELVars(code).forEach((v) => {
+        if (/^reg\d\d$/.test(v)) {
+          regs.add(v);
+        } else if (!wasmVarPools[pool][v]) {
+          wasmVarPools[pool][v] = new WebAssembly.Global(
+            { value: "f64", mutable: true },
+            0
+          );
+        }
+      });
+    });
+
+    wasmVarPools.regs = wasmVarPools.regs || {};
+    regs.forEach((reg) => {
+      if (!wasmVarPools.regs[`saved_${reg}`]) {
+        wasmVarPools.regs[`saved_${reg}`] = new WebAssembly.Global(
+          { value: "f64", mutable: true },
+          0
+        );
+      }
+    });
+
+    const savedRegs = [...regs].map((reg) => [`saved_${reg}`, reg]);
+    wasmFunctions.saveRegs = {
+      pool: "regs",
+      code: savedRegs.map(([saved, reg]) => `${saved}=${reg};`).join(""),
+    };
+    wasmFunctions.restoreRegs = {
+      pool: "regs",
+      code: savedRegs.map(([saved, reg]) => `${reg}=${saved};`).join(""),
+    };
+  }
+
+  static getWASMPoolNames(wasmVarPools) {
+    const pools = {};
+    Object.keys(wasmVarPools).forEach((pool) => {
+      pools[pool] = new Set(Object.keys(wasmVarPools[pool]));
+    });
+    return pools;
+  }
+
   static base64ToArrayBuffer(base64) {
     var binaryString = window.atob(base64);
     var len = binaryString.length;
@@ -429,61 +535,333 @@ export default class Visualizer {
     return bytes.buffer;
   }
 
-  async loadPreset(presetMap, blendTime = 0) {
+  // Globals the preset assigns to itself. Presets from before the beat
+  // tracker use beat/bpm as their own vars, they keep them as user vars.
+  static findAssignedVars(preset, names) {
+    const eqs = [preset, ...preset.shapes, ...preset.waves]
+      .map((section) =>
+        Object.keys(section)
+          .filter((key) => /_eqs_(eel|str)$/.test(key))
+          .map((key) => section[key])
+          .join("\n")
+      )
+      .join("\n");
+
+    return names.filter((name) =>
+      new RegExp(`\\b${name}\\s*[-+*/%^|&]?=(?!=)`).test(eqs)
+    );
+  }
+
+  static findUnknownVars(baseValsDefaults, baseVals) {
+    return Object.keys(baseVals || {}).filter(
+      (key) => !Object.prototype.hasOwnProperty.call(baseValsDefaults, key)
+    );
+  }
+
+  static createLoadResult(preset) {
+    return {
+      runner: null,
+      warnings: [],
+      errors: {
+        perFrame: null,
+        perPixel: null,
+        shapes: preset.shapes.map(() => null),
+        waves: preset.waves.map(() => null),
+        warp: null,
+        comp: null,
+      },
+    };
+  }
+
+  static hasLoadErrors(result) {
+    const errors = result.errors;
+    return (
+      !!errors.perFrame ||
+      !!errors.perPixel ||
+      errors.shapes.some((e) => !!e) ||
+      errors.waves.some((e) => !!e) ||
+      !!errors.warp ||
+      !!errors.comp
+    );
+  }
+
+  static setSectionError(result, section, error) {
+    const match = /^(shapes|waves)\[(\d+)\]$/.exec(section);
+    if (match) {
+      result.errors[match[1]][parseInt(match[2], 10)] = error;
+    } else {
+      result.errors[section] = error;
+    }
+  }
+
+  static canEval() {
+    if (evalAllowed === null) {
+      try {
+        // eslint-disable-next-line no-new-func
+        new Function("");
+        evalAllowed = true;
+      } catch (err) {
+        evalAllowed = false;
+      }
+    }
+    return evalAllowed;
+  }
+
+  // Compiling WebAssembly needs 'wasm-unsafe-eval' under a
+  // Content-Security-Policy, which pages that block eval may not allow either
+  static canCompileWASM() {
+    if (wasmAllowed === null) {
+      try {
+        // the smallest module there is, just the header
+        // eslint-disable-next-line no-new
+        new WebAssembly.Module(Uint8Array.of(0, 0x61, 0x73, 0x6d, 1, 0, 0, 0));
+        wasmAllowed = true;
+      } catch (err) {
+        wasmAllowed = false;
+      }
+    }
+    return wasmAllowed;
+  }
+
+  static describeError(error) {
+    const description = { message: error.message || String(error) };
+    if (error.loc) {
+      description.line = error.loc.first_line;
+      description.column = error.loc.first_column;
+    }
+    return description;
+  }
+
+  // options.transition picks how the previous preset blends into this one,
+  // see getTransitionNames
+  async loadPreset(presetMap, blendTime = 0, options = {}) {
+    let result;
+    try {
+      result = await this.loadPresetMap(presetMap, blendTime, options);
+    } catch (err) {
+      this.events.emit("presetLoadFailed", { preset: presetMap, error: err });
+      throw err;
+    }
+
+    this.events.emit("presetLoaded", { preset: presetMap, blendTime, result });
+    return result;
+  }
+
+  // sequence ({ renderer, rng }) loads the preset into renderSequence's
+  // renderer instead of the live one
+  async loadPresetMap(presetMap, blendTime, options = {}, sequence = null) {
     const preset = JSON.parse(JSON.stringify(presetMap));
+    preset.shapes = preset.shapes || [];
+    preset.waves = preset.waves || [];
+
+    const result = Visualizer.createLoadResult(preset);
+
+    Visualizer.findUnknownVars(this.baseValsDefaults, preset.baseVals).forEach(
+      (key) => result.warnings.push(`Ignoring unknown baseVals key "${key}"`)
+    );
     preset.baseVals = Visualizer.overrideDefaultVars(
       this.baseValsDefaults,
-      preset.baseVals
+      preset.baseVals || {}
     );
     for (let i = 0; i < preset.shapes.length; i++) {
-      preset.shapes[i].baseVals = Visualizer.overrideDefaultVars(
+      Visualizer.findUnknownVars(
         this.shapeBaseValsDefaults,
         preset.shapes[i].baseVals
+      ).forEach((key) =>
+        result.warnings.push(`Ignoring unknown shapes[${i}] key "${key}"`)
+      );
+      preset.shapes[i].baseVals = Visualizer.overrideDefaultVars(
+        this.shapeBaseValsDefaults,
+        preset.shapes[i].baseVals || {}
       );
     }
 
     for (let i = 0; i < preset.waves.length; i++) {
-      preset.waves[i].baseVals = Visualizer.overrideDefaultVars(
+      Visualizer.findUnknownVars(
         this.waveBaseValsDefaults,
         preset.waves[i].baseVals
+      ).forEach((key) =>
+        result.warnings.push(`Ignoring unknown waves[${i}] key "${key}"`)
+      );
+      preset.waves[i].baseVals = Visualizer.overrideDefaultVars(
+        this.waveBaseValsDefaults,
+        preset.waves[i].baseVals || {}
       );
     }
 
-    const forceJS = preset.useJS && !this.opts.onlyUseWASM;
+    preset.userGlobals = Visualizer.findAssignedVars(preset, this.analysisVars);
 
     if (
-      Object.prototype.hasOwnProperty.call(preset, "init_eqs_eel") &&
-      !forceJS
+      options.transition &&
+      !(sequence || this).renderer.hasTransition(options.transition)
     ) {
+      result.warnings.push(
+        `Unknown transition "${options.transition}", using "milkdrop"`
+      );
+    }
+
+    const forceJS = preset.useJS && !this.opts.onlyUseWASM;
+    if (preset.useJS && this.opts.onlyUseWASM) {
+      result.warnings.push("Ignoring useJS because onlyUseWASM is on");
+    }
+
+    const hasEEL = Object.prototype.hasOwnProperty.call(preset, "init_eqs_eel");
+    const hasJS = Object.prototype.hasOwnProperty.call(preset, "init_eqs_str");
+    // with WebAssembly blocked, presets that also have converted JS run that
+    const wasmBlocked =
+      hasEEL && hasJS && !this.opts.onlyUseWASM && !Visualizer.canCompileWASM();
+
+    if (hasEEL && !forceJS && !wasmBlocked) {
       preset.useWASM = true;
-      await this.loadWASMPreset(preset, blendTime);
+      result.runner = "wasm";
+      await this.loadWASMPreset(preset, blendTime, result, options, sequence);
     } else if (!this.opts.onlyUseWASM) {
-      if (Object.prototype.hasOwnProperty.call(preset, "init_eqs_str")) {
-        this.loadJSPreset(preset, blendTime);
+      if (hasJS) {
+        if (wasmBlocked && !forceJS) {
+          result.warnings.push(
+            "WebAssembly is blocked, running the converted JS equations"
+          );
+        }
+        result.runner = "js";
+        this.loadJSPreset(preset, blendTime, result, options, sequence);
       } else {
-        console.warn(
-          "Tried to load a JS preset that doesn't have converted strings"
+        throw new PresetLoadError(
+          "Tried to load a JS preset that doesn't have converted strings",
+          result
         );
       }
     } else {
-      console.warn(
-        "Tried to load a preset that doesn't support WASM with onlyUseWASM on"
+      throw new PresetLoadError(
+        "Tried to load a preset that doesn't support WASM with onlyUseWASM on",
+        result
       );
     }
+
+    return result;
   }
 
-  async loadWASMPreset(preset, blendTime) {
+  static getWASMFunctionSection(name) {
+    if (name === "presetInit" || name === "perFrame") {
+      return "perFrame";
+    } else if (name === "perPixel") {
+      return "perPixel";
+    }
+
+    const match = /^(shapes|waves)_(\d+)_/.exec(name);
+    return match ? `${match[1]}[${match[2]}]` : name;
+  }
+
+  // eel-wasm stops at the first failure, so compile each function on its own
+  // to find every section that is broken
+  static diagnoseWASMError(
+    error,
+    wasmVarPools,
+    wasmFunctions,
+    eelVersion,
+    result
+  ) {
+    const pools = Visualizer.getWASMPoolNames(wasmVarPools);
+
+    Object.keys(wasmFunctions).forEach((name) => {
+      try {
+        compileModule({
+          pools,
+          functions: { [name]: wasmFunctions[name] },
+          eelVersion,
+        });
+      } catch (err) {
+        Visualizer.setSectionError(
+          result,
+          Visualizer.getWASMFunctionSection(name),
+          Visualizer.describeError(err)
+        );
+      }
+    });
+
+    if (!Visualizer.hasLoadErrors(result)) {
+      result.errors.perFrame = Visualizer.describeError(error);
+    }
+
+    return new PresetLoadError(
+      `Failed to compile preset equations: ${error.message || error}`,
+      result
+    );
+  }
+
+  async loadWASMPreset(preset, blendTime, result, options, sequence) {
     const qWasmVars = this.createQVars();
     const tWasmVars = this.createTVars();
 
+    await this.compileWASMPreset(
+      preset,
+      this.createWASMVarPools(preset, qWasmVars, tWasmVars),
+      qWasmVars,
+      tWasmVars,
+      result
+    );
+
+    this.loadRendererPreset(preset, blendTime, result, options, sequence);
+  }
+
+  // Starts the blend to a compiled preset. A warp or comp shader that
+  // doesn't compile falls back to the default one and is reported in result.
+  loadRendererPreset(preset, blendTime, result, options, sequence) {
+    const shaderDiagnostics = sequence
+      ? runWithRNG(sequence.rng, () =>
+          sequence.renderer.loadPreset(preset, blendTime, options)
+        )
+      : this.renderer.loadPreset(preset, blendTime, options);
+    ["warp", "comp"].forEach((shader) => {
+      if (shaderDiagnostics[shader]) {
+        Visualizer.setSectionError(result, shader, shaderDiagnostics[shader]);
+      }
+    });
+  }
+
+  createWASMVarPools(preset, qWasmVars, tWasmVars) {
     const wasmVarPools = {
-      perFrame: { ...qWasmVars, ...this.createPerFramePool(preset.baseVals) },
+      perFrame: {
+        ...qWasmVars,
+        ...this.createPerFramePool(preset.baseVals, preset.userGlobals),
+      },
       perVertex: {
         ...qWasmVars,
-        ...this.createPerPixelPool(preset.baseVals),
+        ...this.createPerPixelPool(preset.baseVals, preset.userGlobals),
       },
     };
 
+    for (let i = 0; i < preset.shapes.length; i++) {
+      wasmVarPools[`shapePerFrame${i}`] = {
+        ...qWasmVars,
+        ...tWasmVars,
+        ...this.createCustomShapePerFramePool(
+          preset.shapes[i].baseVals,
+          preset.userGlobals
+        ),
+      };
+    }
+
+    for (let i = 0; i < preset.waves.length; i++) {
+      if (preset.waves[i].baseVals.enabled !== 0) {
+        wasmVarPools[`wavePerFrame${i}`] = {
+          ...qWasmVars,
+          ...tWasmVars,
+          ...this.createCustomWavePerFramePool(
+            preset.waves[i].baseVals,
+            preset.userGlobals
+          ),
+        };
+      }
+    }
+
+    return wasmVarPools;
+  }
+
+  // Compiles the preset's EEL against wasmVarPools and puts the functions on
+  // the preset. Passing the pools of a loaded preset keeps its q/t, base vals
+  // and user vars, megabufs and regNN are copied from the running module by
+  // updateWASMPresetSection.
+  async compileWASMPreset(preset, wasmVarPools, qWasmVars, tWasmVars, result) {
     const wasmFunctions = {
       presetInit: { pool: "perFrame", code: preset.init_eqs_eel },
       perFrame: { pool: "perFrame", code: preset.frame_eqs_eel },
@@ -497,12 +875,6 @@ export default class Visualizer {
     }
 
     for (let i = 0; i < preset.shapes.length; i++) {
-      wasmVarPools[`shapePerFrame${i}`] = {
-        ...qWasmVars,
-        ...tWasmVars,
-        ...this.createCustomShapePerFramePool(preset.shapes[i].baseVals),
-      };
-
       if (preset.shapes[i].baseVals.enabled !== 0) {
         wasmFunctions[`shapes_${i}_init_eqs`] = {
           pool: `shapePerFrame${i}`,
@@ -517,11 +889,6 @@ export default class Visualizer {
 
     for (let i = 0; i < preset.waves.length; i++) {
       if (preset.waves[i].baseVals.enabled !== 0) {
-        wasmVarPools[`wavePerFrame${i}`] = {
-          ...qWasmVars,
-          ...tWasmVars,
-          ...this.createCustomWavePerFramePool(preset.waves[i].baseVals),
-        };
         wasmFunctions[`waves_${i}_init_eqs`] = {
           pool: `wavePerFrame${i}`,
           code: preset.waves[i].init_eqs_eel,
@@ -543,11 +910,30 @@ export default class Visualizer {
       }
     }
 
-    const mod = await loadModule({
-      pools: wasmVarPools,
-      functions: wasmFunctions,
-      eelVersion: preset.version || 2,
-    });
+    const eelVersion = preset.version || 2;
+    let mod;
+    try {
+      Visualizer.addWASMStateVars(wasmVarPools, wasmFunctions);
+      const { instance } = await WebAssembly.instantiate(
+        exportWASMMemory(
+          compileModule({
+            pools: Visualizer.getWASMPoolNames(wasmVarPools),
+            functions: wasmFunctions,
+            eelVersion,
+          })
+        ),
+        { ...wasmVarPools, shims }
+      );
+      mod = instance;
+    } catch (err) {
+      throw Visualizer.diagnoseWASMError(
+        err,
+        wasmVarPools,
+        wasmFunctions,
+        eelVersion,
+        result || Visualizer.createLoadResult(preset)
+      );
+    }
 
     // eel-wasm returns null if the function was empty
     const handleEmptyFunction = (f) => {
@@ -626,8 +1012,13 @@ export default class Visualizer {
     preset.restore_qs = presetFunctionsMod.exports.restoreQs;
     preset.save_ts = presetFunctionsMod.exports.saveTs;
     preset.restore_ts = presetFunctionsMod.exports.restoreTs;
+    preset.wasm_memory = mod.exports.memory;
+    preset.save_regs = handleEmptyFunction(mod.exports.saveRegs);
+    preset.restore_regs = handleEmptyFunction(mod.exports.restoreRegs);
     if (mod.exports.perPixel) {
       preset.pixel_eqs = mod.exports.perPixel;
+    } else {
+      preset.pixel_eqs = "";
     }
     preset.pixel_eqs_initialize_array = (meshWidth, meshHeight) => {
       const arrPtr = presetFunctionsMod.exports.createFloat32Array(
@@ -681,20 +1072,49 @@ export default class Visualizer {
         preset.waves[i] = Object.assign({}, preset.waves[i], wave);
       }
     }
+  }
 
-    this.renderer.loadPreset(preset, blendTime);
+  compileJSEquations(code, section, result) {
+    try {
+      if (this.interpretEquations) {
+        return compileEquations(code);
+      }
+      // eslint-disable-next-line no-new-func
+      return new Function("a", `${code} return a;`);
+    } catch (err) {
+      Visualizer.setSectionError(
+        result,
+        section,
+        Visualizer.describeError(err)
+      );
+      return null;
+    }
   }
 
-  loadJSPreset(preset, blendTime) {
+  loadJSPreset(
+    preset,
+    blendTime,
+    result = Visualizer.createLoadResult(preset),
+    options = {},
+    sequence = null
+  ) {
     // If init_eqs is already a function, it means we've already prepared the preset to run
     if (typeof preset.init_eqs !== "function") {
-      /* eslint-disable no-param-reassign, no-new-func */
-      preset.init_eqs = new Function("a", `${preset.init_eqs_str} return a;`);
-      preset.frame_eqs = new Function("a", `${preset.frame_eqs_str} return a;`);
+      preset.init_eqs = this.compileJSEquations(
+        preset.init_eqs_str,
+        "perFrame",
+        result
+      );
+      preset.frame_eqs = this.compileJSEquations(
+        preset.frame_eqs_str,
+        "perFrame",
+        result
+      );
       if (preset.pixel_eqs_str && preset.pixel_eqs_str !== "") {
-        preset.pixel_eqs = new Function(
-          "a",
-          `${preset.pixel_eqs_str} return a;`
+        preset.pixel_eqs = this.compileJSEquations(
+          preset.pixel_eqs_str,
+          "perPixel",
+          result
         );
       } else {
         preset.pixel_eqs = "";
@@ -703,13 +1123,15 @@ export default class Visualizer {
       for (let i = 0; i < preset.shapes.length; i++) {
         if (preset.shapes[i].baseVals.enabled !== 0) {
           preset.shapes[i] = Object.assign({}, preset.shapes[i], {
-            init_eqs: new Function(
-              "a",
-              `${preset.shapes[i].init_eqs_str} return a;`
+            init_eqs: this.compileJSEquations(
+              preset.shapes[i].init_eqs_str,
+              `shapes[${i}]`,
+              result
             ),
-            frame_eqs: new Function(
-              "a",
-              `${preset.shapes[i].frame_eqs_str} return a;`
+            frame_eqs: this.compileJSEquations(
+              preset.shapes[i].frame_eqs_str,
+              `shapes[${i}]`,
+              result
             ),
           });
         }
@@ -718,13 +1140,15 @@ export default class Visualizer {
       for (let i = 0; i < preset.waves.length; i++) {
         if (preset.waves[i].baseVals.enabled !== 0) {
           const wave = {
-            init_eqs: new Function(
-              "a",
-              `${preset.waves[i].init_eqs_str} return a;`
+            init_eqs: this.compileJSEquations(
+              preset.waves[i].init_eqs_str,
+              `waves[${i}]`,
+              result
             ),
-            frame_eqs: new Function(
-              "a",
-              `${preset.waves[i].frame_eqs_str} return a;`
+            frame_eqs: this.compileJSEquations(
+              preset.waves[i].frame_eqs_str,
+              `waves[${i}]`,
+              result
             ),
           };
 
@@ -732,9 +1156,10 @@ export default class Visualizer {
             preset.waves[i].point_eqs_str &&
             preset.waves[i].point_eqs_str !== ""
           ) {
-            wave.point_eqs = new Function(
-              "a",
-              `${preset.waves[i].point_eqs_str} return a;`
+            wave.point_eqs = this.compileJSEquations(
+              preset.waves[i].point_eqs_str,
+              `waves[${i}]`,
+              result
             );
           } else {
             wave.point_eqs = "";
@@ -743,9 +1168,177 @@ export default class Visualizer {
           preset.waves[i] = Object.assign({}, preset.waves[i], wave);
         }
       }
-      /* eslint-enable no-param-reassign, no-new-func */
+
+      if (Visualizer.hasLoadErrors(result)) {
+        throw new PresetLoadError("Failed to compile preset equations", result);
+      }
     }
-    this.renderer.loadPreset(preset, blendTime);
+    this.loadRendererPreset(preset, blendTime, result, options, sequence);
+
+    return result;
+  }
+
+  // The equations a section's code replaces, code is a string or for waves
+  // also { frame_eqs, point_eqs }
+  static getSectionEquations(preset, section, code) {
+    if (section === "perFrame") {
+      return { target: preset, eqs: { frame_eqs: code } };
+    } else if (section === "perPixel") {
+      return { target: preset, eqs: { pixel_eqs: code } };
+    }
+
+    const match = /^(shapes|waves)\[(\d+)\]$/.exec(section);
+    const target = match ? preset[match[1]][parseInt(match[2], 10)] : null;
+    if (!target) {
+      throw new Error(`Unknown preset section "${section}"`);
+    }
+    if (target.baseVals.enabled === 0) {
+      throw new Error(`Preset section "${section}" is not enabled`);
+    }
+
+    if (typeof code === "string") {
+      return { target, eqs: { frame_eqs: code } };
+    }
+
+    const keys = match[1] === "waves" ? ["frame_eqs", "point_eqs"] : [];
+    const eqs = {};
+    keys
+      .filter((key) => typeof code[key] === "string")
+      .forEach((key) => {
+        eqs[key] = code[key];
+      });
+    return { target, eqs };
+  }
+
+  // Recompiles one section of the running preset without a reload or blend.
+  // section is "perFrame", "perPixel", "shapes[i]", "waves[i]", "warp" or
+  // "comp". Equations are in the running preset's format (EEL for the wasm
+  // runner, converted JS for the js runner), shaders are GLSL.
+  //
+  // q/t values, user vars, megabufs and regNN carry over and the init
+  // equations don't run again, the preset goes on from its current frame.
+  //
+  // Returns a result shaped like loadPreset's. When the new code fails its
+  // section has errors set and keeps running the old code.
+  async updatePresetSection(section, code) {
+    const preset = this.renderer.preset;
+    if (preset === blankPreset) {
+      throw new Error("No preset is loaded to update");
+    }
+    const result = Visualizer.createLoadResult(preset);
+    result.runner = preset.useWASM ? "wasm" : "js";
+
+    if (section === "warp" || section === "comp") {
+      const diagnostics = this.renderer.updatePresetShader(section, code);
+      if (diagnostics) {
+        Visualizer.setSectionError(result, section, diagnostics);
+      }
+      return result;
+    }
+
+    const { target, eqs } = Visualizer.getSectionEquations(
+      preset,
+      section,
+      code
+    );
+
+    if (preset.useWASM) {
+      await this.updateWASMPresetSection(preset, target, eqs, result);
+    } else {
+      this.updateJSPresetSection(target, eqs, section, result);
+    }
+
+    if (!Visualizer.hasLoadErrors(result)) {
+      this.renderer.updatePresetEquations();
+    }
+
+    return result;
+  }
+
+  async updateWASMPresetSection(preset, target, eqs, result) {
+    const previousEqs = {};
+    Object.keys(eqs).forEach((key) => {
+      previousEqs[`${key}_eel`] = target[`${key}_eel`];
+      target[`${key}_eel`] = eqs[key];
+    });
+
+    // every pool shares the same q and t globals
+    const pools = preset.globalPools;
+    const tPool = Object.keys(pools)
+      .map((pool) => pools[pool])
+      .find((pool) => pool.t1);
+
+    // user vars are in the pools, the new module starts from a copy of the
+    // running one's megabufs and regNN
+    const memory = preset.wasm_memory;
+    preset.save_regs();
+
+    try {
+      await this.compileWASMPreset(
+        preset,
+        pools,
+        Utils.pick(pools.perFrame, this.qs),
+        tPool ? Utils.pick(tPool, this.ts) : this.createTVars(),
+        result
+      );
+    } catch (err) {
+      Object.assign(target, previousEqs);
+      if (!(err instanceof PresetLoadError)) {
+        throw err;
+      }
+      return;
+    }
+
+    copyWASMMemory(memory, preset.wasm_memory);
+    preset.restore_regs();
+  }
+
+  updateJSPresetSection(target, eqs, section, result) {
+    const compiled = {};
+    Object.keys(eqs).forEach((key) => {
+      compiled[`${key}_str`] = eqs[key];
+      // same as loadJSPreset, empty pixel/point equations are skipped
+      if (eqs[key] === "" && key !== "frame_eqs") {
+        compiled[key] = "";
+      } else {
+        compiled[key] = this.compileJSEquations(eqs[key], section, result);
+      }
+    });
+
+    if (!Visualizer.hasLoadErrors(result)) {
+      Object.assign(target, compiled);
+    }
+  }
+
+  // Overrides preset values ({ zoom: 1.02, decay: 0.9, ... }) every frame
+  // without reloading, on top of what the per-frame equations computed.
+  // They're dropped by the next loadPreset unless persist is set.
+  setOverrides(overrides, { persist = false } = {}) {
+    const unknownKeys = Visualizer.findUnknownVars(
+      this.baseValsDefaults,
+      overrides
+    );
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown baseVals keys: ${unknownKeys.join(", ")}`);
+    }
+
+    const invalidKeys = Object.keys(overrides).filter(
+      (key) => typeof overrides[key] !== "number" || !isFinite(overrides[key])
+    );
+    if (invalidKeys.length > 0) {
+      throw new Error(`Overrides must be numbers: ${invalidKeys.join(", ")}`);
+    }
+
+    this.renderer.setOverrides(overrides, persist);
+  }
+
+  // Clears the given keys, or all overrides (and persistence) without keys
+  clearOverrides(keys) {
+    this.renderer.clearOverrides(keys);
+  }
+
+  getOverrides() {
+    return Object.assign({}, this.renderer.overrides);
   }
 
   loadExtraImages(imageData) {
@@ -771,15 +1364,153 @@ export default class Visualizer {
   }
 
   render(opts) {
+    if (this.contextLost) {
+      return null;
+    }
+
     const renderOutput = this.renderer.render(opts);
 
     if (this.outputGl) {
       this.outputGl.drawImage(this.internalCanvas, 0, 0);
     }
 
+    this.events.emit("frameRendered", { frame: this.renderer.frameNum });
+
     return renderOutput;
   }
 
+  // "milkdrop", the built-in GLSL transitions and any registered ones
+  getTransitionNames() {
+    return ["milkdrop", ...Object.keys(this.renderer.transitionSources)];
+  }
+
+  // Adds a GLSL transition for loadPreset in the gl-transitions format:
+  // vec4 transition(vec2 uv) using getFromColor(uv), getToColor(uv),
+  // progress and ratio, plus a random vec4 transitionSeed per blend. Returns
+  // null if it compiled, otherwise its diagnostics.
+  registerTransition(name, glsl) {
+    return this.renderer.registerTransition(name, glsl);
+  }
+
+  getShaderDiagnostics() {
+    return this.renderer.shaderDiagnostics;
+  }
+
+  // Records the output canvas and the connected audio, see Recorder
+  createRecorder(opts) {
+    return new Recorder(this, opts);
+  }
+
+  static async pixelsToBlob(pixels, width, height, mimeType) {
+    const canvas = Utils.createCanvas(width, height);
+    const context = canvas.getContext("2d");
+    const imageData = context.createImageData(width, height);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+
+    if (canvas.convertToBlob) {
+      return canvas.convertToBlob({ type: mimeType });
+    }
+
+    return new Promise((resolve) => canvas.toBlob(resolve, mimeType));
+  }
+
+  // Renders preset against audioFrames ({ timeByteArray, timeByteArrayL,
+  // timeByteArrayR, sampleRate } per frame, sampleRate optional) at a fixed
+  // 1 / fps timestep with a seeded RNG, so the same inputs always produce the
+  // same pixels. Uses its own renderer at the current size, with the live
+  // one's extra images, and its own audio analysis with the same fftSize and
+  // agc options. Frames without a sampleRate are taken to be at 44.1kHz. The
+  // live renderer, its preset, its audio (AGC gain, pushed PCM, a recording)
+  // and its RNG are untouched, and keep working while the sequence renders.
+  //
+  // Each frame is { index, time, width, height, pixels } or, with
+  // format: "blob", { index, time, width, height, blob }. Frames go to
+  // onFrame (awaited) if given, otherwise they're collected and returned.
+  async renderSequence({
+    preset,
+    audioFrames,
+    fps = 60,
+    seed = 12345,
+    format = "pixels",
+    mimeType = "image/png",
+    onFrame,
+  }) {
+    if (this.renderingSequence) {
+      throw new Error("A sequence is already rendering");
+    }
+    this.renderingSequence = true;
+
+    const liveRenderer = this.renderer;
+    const elapsedTime = 1.0 / fps;
+    const frames = [];
+
+    const rng = createRNGContext(seed);
+    const audio = new AudioProcessor(null, {
+      fftSize: this.audio.fftSize,
+      agc: this.opts.agc,
+    });
+    // the blend pattern takes the RNG that is current when it's created
+    const renderer = runWithRNG(
+      rng,
+      () =>
+        new Renderer(
+          this.gl,
+          audio,
+          Object.assign({}, this.opts, {
+            width: liveRenderer.width,
+            height: liveRenderer.height,
+            pixelRatio: liveRenderer.pixelRatio,
+            textureRatio: liveRenderer.textureRatio,
+            meshWidth: liveRenderer.mesh_width,
+            meshHeight: liveRenderer.mesh_height,
+            outputFXAA: liveRenderer.outputFXAA,
+          }),
+          // keep blend/fps events of the sequence away from live listeners
+          new EventEmitter()
+        )
+    );
+
+    try {
+      renderer.loadExtraImages(liveRenderer.extraImages);
+      await renderer.whenImagesLoaded();
+      const result = await this.loadPresetMap(preset, 0, {}, { renderer, rng });
+
+      for (let i = 0; i < audioFrames.length; i++) {
+        // read back right away, a live render() may run at the next await
+        const pixels = runWithRNG(rng, () => {
+          renderer.render({ audioLevels: audioFrames[i], elapsedTime });
+          return renderer.readScreenPixels();
+        });
+
+        const { width, height } = renderer;
+        const frame = { index: i, time: renderer.time, width, height };
+        if (format === "blob") {
+          frame.blob = await Visualizer.pixelsToBlob(
+            pixels,
+            width,
+            height,
+            mimeType
+          );
+        } else {
+          frame.pixels = pixels;
+        }
+
+        if (onFrame) {
+          await onFrame(frame);
+        } else {
+          frames.push(frame);
+        }
+      }
+
+      return { result, frames };
+    } finally {
+      renderer.dispose();
+      audio.dispose();
+      this.renderingSequence = false;
+    }
+  }
+
   launchSongTitleAnim(text) {
     this.renderer.launchSongTitleAnim(text);
   }
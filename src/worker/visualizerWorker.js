@@ -0,0 +1,186 @@
+import "./workerScope";
+import "ecma-proposal-math-extensions";
+import "../presetBase";
+import Visualizer from "../visualizer";
+import PresetLoadError from "../presetLoadError";
+import Utils from "../utils";
+
+// Events whose payloads can be posted as-is. presetLoaded/presetLoadFailed
+// are answered through the loadPreset reply instead, so the proxy can hand
+// back the caller's own preset object.
+const forwardedEvents = [
+  "blendStarted",
+  "blendComplete",
+  "fpsChanged",
+  "beat",
+  "titleAnimFinished",
+  "contextLost",
+  "contextRestored",
+];
+
+let visualizer = null;
+let outputCanvas = null;
+let audioLevels = null;
+
+function createSilentAudioLevels(size) {
+  return {
+    timeByteArray: new Uint8Array(size).fill(128),
+    timeByteArrayL: new Uint8Array(size).fill(128),
+    timeByteArrayR: new Uint8Array(size).fill(128),
+  };
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    result: error instanceof PresetLoadError ? error.result : null,
+  };
+}
+
+function reply(id, payload) {
+  self.postMessage({ type: "reply", id, ...payload });
+}
+
+function init({ canvas, opts }) {
+  outputCanvas = canvas;
+  try {
+    visualizer = new Visualizer(null, outputCanvas, opts);
+  } catch (error) {
+    visualizer = null;
+    self.postMessage({ type: "failed", error: serializeError(error) });
+    return;
+  }
+  audioLevels = createSilentAudioLevels(visualizer.audio.fftSize);
+
+  forwardedEvents.forEach((event) => {
+    visualizer.on(event, (payload = {}) => {
+      // DOM events can't be cloned across threads
+      self.postMessage({
+        type: "event",
+        event,
+        payload: Utils.omit(payload, ["event"]),
+      });
+    });
+  });
+}
+
+async function loadPreset({ id, preset, blendTime, options }) {
+  try {
+    const result = await visualizer.loadPreset(preset, blendTime, options);
+    reply(id, { result, shaderDiagnostics: visualizer.getShaderDiagnostics() });
+  } catch (error) {
+    reply(id, { error: serializeError(error) });
+  }
+}
+
+function setOverrides({ id, overrides, persist }) {
+  try {
+    visualizer.setOverrides(overrides, { persist });
+    reply(id, {});
+  } catch (error) {
+    reply(id, { error: serializeError(error) });
+  }
+}
+
+async function updatePresetSection({ id, section, code }) {
+  try {
+    const result = await visualizer.updatePresetSection(section, code);
+    reply(id, { result, shaderDiagnostics: visualizer.getShaderDiagnostics() });
+  } catch (error) {
+    reply(id, { error: serializeError(error) });
+  }
+}
+
+function registerTransition({ id, name, glsl }) {
+  try {
+    reply(id, { diagnostics: visualizer.registerTransition(name, glsl) });
+  } catch (error) {
+    reply(id, { error: serializeError(error) });
+  }
+}
+
+function render({ audioLevels: frameAudioLevels, elapsedTime }) {
+  if (frameAudioLevels) {
+    audioLevels = frameAudioLevels;
+  }
+
+  try {
+    visualizer.render({ audioLevels, elapsedTime });
+  } finally {
+    // always ack so the proxy doesn't stop sending frames
+    self.postMessage({ type: "rendered" });
+  }
+}
+
+function setRendererSize({ width, height, opts }) {
+  // the embedder gave up control of the canvas, so size it here
+  outputCanvas.width = Math.floor(width);
+  outputCanvas.height = Math.floor(height);
+  visualizer.setRendererSize(width, height, opts);
+}
+
+const handlers = {
+  init,
+  loadPreset,
+  render,
+  setRendererSize,
+  setOverrides,
+  updatePresetSection,
+  registerTransition,
+  clearOverrides: ({ keys }) => {
+    visualizer.clearOverrides(keys);
+  },
+  audio: (data) => {
+    audioLevels = data.audioLevels;
+  },
+  // renders from the pushed samples until byte frames arrive again
+  pcm: ({ left, right, sampleRate }) => {
+    audioLevels = null;
+    visualizer.pushPCM(left, right, sampleRate);
+  },
+  startAudioRecording: ({ opts }) => {
+    visualizer.startAudioRecording(opts);
+  },
+  stopAudioRecording: ({ id }) => {
+    reply(id, { frames: visualizer.stopAudioRecording() });
+  },
+  setInternalMeshSize: ({ width, height }) => {
+    visualizer.setInternalMeshSize(width, height);
+  },
+  setOutputAA: ({ useAA }) => {
+    visualizer.setOutputAA(useAA);
+  },
+  loadExtraImages: ({ imageData }) => {
+    visualizer.loadExtraImages(imageData);
+  },
+  launchSongTitleAnim: ({ text }) => {
+    visualizer.launchSongTitleAnim(text);
+  },
+  dispose: () => {
+    visualizer.dispose();
+    visualizer = null;
+    self.close();
+  },
+};
+
+self.onmessage = ({ data }) => {
+  const handler = handlers[data.type];
+  if (!handler) {
+    console.warn(`Unknown visualizer worker message: ${data.type}`);
+    return;
+  }
+  if (!visualizer && data.type !== "init") {
+    // the proxy waits for requests' replies and each frame's ack
+    if (data.id) {
+      reply(data.id, {
+        error: { name: "Error", message: "No visualizer in the worker" },
+      });
+    } else if (data.type === "render") {
+      self.postMessage({ type: "rendered" });
+    }
+    return;
+  }
+
+  handler(data);
+};
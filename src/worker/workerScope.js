@@ -0,0 +1,6 @@
+// The engine reaches its helpers through `window` (presetBase, rngContext,
+// compiled JS equations). Workers only have `self`, so alias it before any of
+// those modules run. Must be the first import of the worker entry.
+if (typeof window === "undefined") {
+  self.window = self;
+}
@@ -0,0 +1,360 @@
+import AudioProcessor from "../audio/audioProcessor";
+import PresetLoadError from "../presetLoadError";
+import EventEmitter from "../utils/eventEmitter";
+import builtinTransitions from "../rendering/transitions/builtinTransitions";
+
+// Main-thread stand-in for Visualizer when the Renderer runs in a worker
+// (see visualizerWorker.js). The output canvas is transferred to the worker,
+// so the worker sizes it on setRendererSize. Audio is analysed here and each
+// frame's samples are transferred along with the render call.
+export default class WorkerVisualizer {
+  constructor(audioContext, canvas, opts = {}) {
+    this.opts = opts;
+    this.events = new EventEmitter();
+    this.audio = new AudioProcessor(audioContext, { fftSize: opts.fftSize });
+    this.audioNode = null;
+    this.pcmInput = false;
+
+    this.requests = {};
+    this.nextRequestId = 1;
+    this.renderInFlight = false;
+    this.droppedFrames = 0;
+    this.shaderDiagnostics = { warp: null, comp: null };
+    this.transitionNames = ["milkdrop", ...Object.keys(builtinTransitions)];
+    this.disposed = false;
+    // set when the worker couldn't create its Visualizer
+    this.failed = false;
+
+    this.worker = opts.worker || new Worker(opts.workerUrl, { type: "module" });
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    // the rendered ack of the frame in flight may never come, let the next
+    // frame through
+    this.worker.onerror = (event) => {
+      this.renderInFlight = false;
+      this.events.emit("workerError", { message: event.message });
+      this.rejectRequests(
+        new Error(`Visualizer worker error: ${event.message}`)
+      );
+    };
+    // a message that couldn't be deserialized could be any request's reply
+    this.worker.onmessageerror = () => {
+      this.renderInFlight = false;
+      this.events.emit("workerError", { message: "Unreadable worker message" });
+      this.rejectRequests(new Error("Unreadable visualizer worker message"));
+    };
+
+    const workerOpts = Object.assign({}, opts, {
+      pixelRatio: opts.pixelRatio || window.devicePixelRatio || 1,
+    });
+    delete workerOpts.worker;
+    delete workerOpts.workerUrl;
+
+    const offscreen = canvas.transferControlToOffscreen();
+    this.worker.postMessage(
+      { type: "init", canvas: offscreen, opts: workerOpts },
+      [offscreen]
+    );
+  }
+
+  static copyAudioLevels(audioLevels) {
+    return {
+      timeByteArray: audioLevels.timeByteArray.slice(),
+      timeByteArrayL: audioLevels.timeByteArrayL.slice(),
+      timeByteArrayR: audioLevels.timeByteArrayR.slice(),
+      sampleRate: audioLevels.sampleRate,
+    };
+  }
+
+  static audioTransferList(audioLevels) {
+    return [
+      audioLevels.timeByteArray.buffer,
+      audioLevels.timeByteArrayL.buffer,
+      audioLevels.timeByteArrayR.buffer,
+    ];
+  }
+
+  static deserializeError(error) {
+    if (error.result) {
+      return new PresetLoadError(error.message, error.result);
+    }
+
+    const err = new Error(error.message);
+    err.name = error.name;
+    return err;
+  }
+
+  handleMessage(data) {
+    if (data.type === "rendered") {
+      this.renderInFlight = false;
+    } else if (data.type === "failed") {
+      this.failed = true;
+      this.renderInFlight = false;
+      this.events.emit("workerError", { message: data.error.message });
+      this.rejectRequests(WorkerVisualizer.deserializeError(data.error));
+    } else if (data.type === "event") {
+      this.events.emit(data.event, data.payload);
+    } else if (data.type === "reply") {
+      const request = this.requests[data.id];
+      delete this.requests[data.id];
+      if (request) {
+        request.resolve(data);
+      }
+    }
+  }
+
+  request(message) {
+    if (this.disposed) {
+      return Promise.reject(new Error("The visualizer has been disposed"));
+    }
+    if (this.failed) {
+      return Promise.reject(new Error("The visualizer worker failed to start"));
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.requests[id] = { resolve, reject };
+      this.worker.postMessage(Object.assign({ id }, message));
+    });
+  }
+
+  // Fails every request still waiting for a reply, which won't come once the
+  // worker has errored or is being disposed
+  rejectRequests(error) {
+    const requests = Object.values(this.requests);
+    this.requests = {};
+    requests.forEach(({ reject }) => reject(error));
+  }
+
+  // Same events as Visualizer, plus workerError
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
+
+  connectAudio(audioNode) {
+    this.audioNode = audioNode;
+    this.pcmInput = false;
+    this.audio.connectAudio(audioNode);
+  }
+
+  disconnectAudio(audioNode) {
+    this.audio.disconnectAudio(audioNode);
+    if (audioNode === this.audioNode) {
+      this.audioNode = null;
+    }
+  }
+
+  // Sends one frame of byte samples ({ timeByteArray, timeByteArrayL,
+  // timeByteArrayR } and optionally their sampleRate) ahead of render, for
+  // embedders without an AudioNode.
+  // The worker keeps using the latest frame until a newer one arrives.
+  pushAudio(audioLevels) {
+    this.pcmInput = false;
+    const copy = WorkerVisualizer.copyAudioLevels(audioLevels);
+    this.worker.postMessage(
+      { type: "audio", audioLevels: copy },
+      WorkerVisualizer.audioTransferList(copy)
+    );
+  }
+
+  // Float32 samples from -1 to 1, see Visualizer.pushPCM
+  pushPCM(left, right, sampleRate) {
+    const pcm = {
+      left: Float32Array.from(left),
+      right: Float32Array.from(right || left),
+      sampleRate,
+    };
+    this.pcmInput = true;
+    this.worker.postMessage({ type: "pcm", ...pcm }, [
+      pcm.left.buffer,
+      pcm.right.buffer,
+    ]);
+  }
+
+  sampleAudioLevels() {
+    if (!this.audioNode || this.pcmInput) {
+      return null;
+    }
+
+    const audioLevels = {
+      timeByteArray: new Uint8Array(this.audio.fftSize),
+      timeByteArrayL: new Uint8Array(this.audio.fftSize),
+      timeByteArrayR: new Uint8Array(this.audio.fftSize),
+      sampleRate: this.audio.audioContext.sampleRate,
+    };
+    this.audio.analyser.getByteTimeDomainData(audioLevels.timeByteArray);
+    this.audio.analyserL.getByteTimeDomainData(audioLevels.timeByteArrayL);
+    this.audio.analyserR.getByteTimeDomainData(audioLevels.timeByteArrayR);
+    return audioLevels;
+  }
+
+  async loadPreset(presetMap, blendTime = 0, options = {}) {
+    const reply = await this.request({
+      type: "loadPreset",
+      preset: presetMap,
+      blendTime,
+      options,
+    });
+
+    if (reply.error) {
+      const error = WorkerVisualizer.deserializeError(reply.error);
+      this.events.emit("presetLoadFailed", { preset: presetMap, error });
+      throw error;
+    }
+
+    this.shaderDiagnostics = reply.shaderDiagnostics;
+    this.events.emit("presetLoaded", {
+      preset: presetMap,
+      blendTime,
+      result: reply.result,
+    });
+    return reply.result;
+  }
+
+  async updatePresetSection(section, code) {
+    const reply = await this.request({
+      type: "updatePresetSection",
+      section,
+      code,
+    });
+
+    if (reply.error) {
+      throw WorkerVisualizer.deserializeError(reply.error);
+    }
+
+    this.shaderDiagnostics = reply.shaderDiagnostics;
+    return reply.result;
+  }
+
+  getTransitionNames() {
+    return this.transitionNames.slice();
+  }
+
+  // Same as Visualizer.registerTransition, but the shader compiles in the
+  // worker, so the diagnostics come back through the returned promise
+  async registerTransition(name, glsl) {
+    const reply = await this.request({
+      type: "registerTransition",
+      name,
+      glsl,
+    });
+
+    if (reply.error) {
+      throw WorkerVisualizer.deserializeError(reply.error);
+    }
+
+    if (!reply.diagnostics && !this.transitionNames.includes(name)) {
+      this.transitionNames.push(name);
+    }
+    return reply.diagnostics;
+  }
+
+  // Records in the worker, where the audio is analysed, so the promise from
+  // stopAudioRecording resolves to the frames
+  startAudioRecording(opts) {
+    this.worker.postMessage({ type: "startAudioRecording", opts });
+  }
+
+  async stopAudioRecording() {
+    const reply = await this.request({ type: "stopAudioRecording" });
+
+    if (reply.error) {
+      throw WorkerVisualizer.deserializeError(reply.error);
+    }
+    return reply.frames;
+  }
+
+  // Same as Visualizer.setOverrides, but the keys are checked in the worker,
+  // so errors come back through the returned promise
+  async setOverrides(overrides, { persist = false } = {}) {
+    const reply = await this.request({
+      type: "setOverrides",
+      overrides,
+      persist,
+    });
+
+    if (reply.error) {
+      throw WorkerVisualizer.deserializeError(reply.error);
+    }
+  }
+
+  clearOverrides(keys) {
+    this.worker.postMessage({ type: "clearOverrides", keys });
+  }
+
+  // Frames are dropped while the worker is still busy with the previous one,
+  // so a heavy preset lowers the frame rate instead of blocking the page
+  render({ audioLevels, elapsedTime } = {}) {
+    if (this.disposed || this.failed) {
+      return;
+    }
+
+    if (this.renderInFlight) {
+      this.droppedFrames += 1;
+      return;
+    }
+
+    if (audioLevels) {
+      this.pcmInput = false;
+    }
+    const frameAudioLevels = audioLevels
+      ? WorkerVisualizer.copyAudioLevels(audioLevels)
+      : this.sampleAudioLevels();
+
+    this.renderInFlight = true;
+    this.worker.postMessage(
+      { type: "render", audioLevels: frameAudioLevels, elapsedTime },
+      frameAudioLevels
+        ? WorkerVisualizer.audioTransferList(frameAudioLevels)
+        : []
+    );
+  }
+
+  setRendererSize(width, height, opts = {}) {
+    this.worker.postMessage({ type: "setRendererSize", width, height, opts });
+  }
+
+  setInternalMeshSize(width, height) {
+    this.worker.postMessage({ type: "setInternalMeshSize", width, height });
+  }
+
+  setOutputAA(useAA) {
+    this.worker.postMessage({ type: "setOutputAA", useAA });
+  }
+
+  loadExtraImages(imageData) {
+    this.worker.postMessage({ type: "loadExtraImages", imageData });
+  }
+
+  launchSongTitleAnim(text) {
+    this.worker.postMessage({ type: "launchSongTitleAnim", text });
+  }
+
+  getShaderDiagnostics() {
+    return this.shaderDiagnostics;
+  }
+
+  dispose() {
+    if (this.disposed) {
+      return;
+    }
+    this.disposed = true;
+
+    if (this.audioNode) {
+      try {
+        this.disconnectAudio(this.audioNode);
+      } catch (err) {
+        // already disconnected by the caller
+      }
+    }
+    this.audio.dispose();
+
+    // the worker closes itself once the renderer is torn down
+    this.worker.postMessage({ type: "dispose" });
+    this.rejectRequests(new Error("The visualizer has been disposed"));
+    this.events.removeAllListeners();
+  }
+}
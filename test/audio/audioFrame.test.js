@@ -0,0 +1,133 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  encodeAudioFrame,
+  decodeAudioFrame,
+  headerSize,
+} from '../../src/audio/audioFrame.js';
+import AudioFrameReceiver from '../../src/audio/audioFrameReceiver.js';
+
+const left = Float32Array.from([0, 0.5, -0.5, 1, -1, 0.25]);
+const right = Float32Array.from([0.1, -0.1, 0.2, -0.2, 0.3, -0.3]);
+
+function frame(sequence) {
+  return encodeAudioFrame(left, right, { sampleRate: 48000, sequence });
+}
+
+describe('audio frames', () => {
+  test.each([
+    ['uint8', 1 / 128],
+    ['int16', 1 / 32768],
+    ['float32', 1e-7],
+  ])('round trips %s stereo samples', (format, precision) => {
+    const bytes = encodeAudioFrame(left, right, {
+      sampleRate: 44100,
+      sequence: 7,
+      format,
+    });
+    const decoded = decodeAudioFrame(bytes);
+
+    expect(decoded.sequence).toBe(7);
+    expect(decoded.sampleRate).toBe(44100);
+    expect(decoded.channels).toBe(2);
+    expect(decoded.left).toBeInstanceOf(Float32Array);
+    left.forEach((value, i) => {
+      expect(Math.abs(decoded.left[i] - value)).toBeLessThanOrEqual(precision);
+      expect(Math.abs(decoded.right[i] - right[i])).toBeLessThanOrEqual(
+        precision
+      );
+    });
+  });
+
+  test('interleaves 16 bit samples after a 20 byte header', () => {
+    const bytes = encodeAudioFrame(left, right, { sampleRate: 48000 });
+
+    expect(bytes.length).toBe(headerSize + left.length * 2 * 2);
+    expect(String.fromCharCode(...bytes.subarray(0, 4))).toBe('BCAF');
+    const view = new DataView(bytes.buffer);
+    expect(view.getInt16(headerSize + 2, true)).toBe(Math.round(0.1 * 32768));
+  });
+
+  test('a mono frame decodes to the same array for both channels', () => {
+    const bytes = encodeAudioFrame(left, undefined, { sampleRate: 48000 });
+    const decoded = decodeAudioFrame(bytes.buffer);
+
+    expect(bytes.length).toBe(headerSize + left.length * 2);
+    expect(decoded.channels).toBe(1);
+    expect(decoded.right).toBe(decoded.left);
+  });
+
+  test('decodes a frame in the middle of a larger buffer', () => {
+    const bytes = frame(3);
+    const padded = new Uint8Array(bytes.length + 8);
+    padded.set(bytes, 5);
+
+    const decoded = decodeAudioFrame(padded.subarray(5, 5 + bytes.length));
+    expect(decoded.sequence).toBe(3);
+    expect(decoded.left[1]).toBeCloseTo(0.5, 4);
+  });
+
+  test('rejects what is not a whole frame', () => {
+    const bytes = frame(0);
+
+    expect(() => decodeAudioFrame(new Uint8Array(8))).toThrow(
+      'Not an audio frame'
+    );
+    expect(() => decodeAudioFrame(bytes.subarray(0, bytes.length - 1))).toThrow(
+      'should be'
+    );
+    const future = bytes.slice();
+    future[4] = 2;
+    expect(() => decodeAudioFrame(future)).toThrow('version 2');
+    expect(() =>
+      encodeAudioFrame(left, right, { sampleRate: 48000, format: 'int24' })
+    ).toThrow('sample format int24');
+  });
+});
+
+describe('AudioFrameReceiver', () => {
+  test('counts the frames missing from the sequence', () => {
+    const receiver = new AudioFrameReceiver();
+
+    expect(receiver.receive(frame(10)).dropped).toBe(0);
+    expect(receiver.receive(frame(11)).dropped).toBe(0);
+    expect(receiver.receive(frame(14)).dropped).toBe(2);
+    expect(receiver.getStats()).toEqual({
+      received: 3,
+      dropped: 2,
+      outOfOrder: 0,
+      restarts: 0,
+    });
+  });
+
+  test('drops late and repeated frames', () => {
+    const receiver = new AudioFrameReceiver();
+    receiver.receive(frame(1));
+    receiver.receive(frame(3));
+
+    expect(receiver.receive(frame(2))).toBeNull();
+    expect(receiver.receive(frame(3))).toBeNull();
+    expect(receiver.receive(frame(4)).dropped).toBe(0);
+    expect(receiver.getStats().outOfOrder).toBe(2);
+    // 2 was counted as dropped when 3 arrived
+    expect(receiver.getStats().dropped).toBe(1);
+  });
+
+  test('follows the sequence number around 2^32', () => {
+    const receiver = new AudioFrameReceiver();
+    receiver.receive(frame(0xfffffffe));
+
+    expect(receiver.receive(frame(0xffffffff)).dropped).toBe(0);
+    expect(receiver.receive(frame(1)).dropped).toBe(1);
+    expect(receiver.receive(frame(0xffffffff))).toBeNull();
+  });
+
+  test('takes a sequence far behind as a restarted sender', () => {
+    const receiver = new AudioFrameReceiver({ maxReorder: 8 });
+    receiver.receive(frame(5000));
+
+    expect(receiver.receive(frame(0)).dropped).toBe(0);
+    expect(receiver.receive(frame(1)).dropped).toBe(0);
+    expect(receiver.getStats().restarts).toBe(1);
+    expect(receiver.getStats().dropped).toBe(0);
+  });
+});
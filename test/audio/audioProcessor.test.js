@@ -0,0 +1,326 @@
+import 'ecma-proposal-math-extensions';
+import { describe, test, expect } from '@jest/globals';
+import AudioProcessor from '../../src/audio/audioProcessor.js';
+import AudioLevels from '../../src/audio/audioLevels.js';
+
+// A full-scale sine of the given frequency, as the analyser's unsigned bytes
+function sineBytes(size, hz, sampleRate = 44100) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    bytes[i] =
+      128 + Math.round(127 * Math.sin((2 * Math.PI * hz * i) / sampleRate));
+  }
+  return bytes;
+}
+
+describe('AudioProcessor', () => {
+  test('defaults to 1024 samples', () => {
+    const audio = new AudioProcessor(null);
+
+    expect(audio.fftSize).toBe(1024);
+    expect(audio.numSamps).toBe(512);
+  });
+
+  test.each([256, 2048, 8192])(
+    'sizes every buffer from fftSize %i',
+    (fftSize) => {
+      const audio = new AudioProcessor(null, { fftSize });
+      const bytes = sineBytes(fftSize, 440);
+      audio.updateAudio(bytes, bytes, bytes);
+
+      expect(audio.numSamps).toBe(fftSize / 2);
+      expect(audio.timeArray.length).toBe(fftSize);
+      expect(audio.timeArrayL.length).toBe(fftSize / 2);
+      expect(audio.timeArrayR.length).toBe(fftSize / 2);
+      expect(audio.freqArray.length).toBe(fftSize / 2);
+      expect(audio.freqArrayL.length).toBe(fftSize / 2);
+    }
+  );
+
+  test('puts a tone in the same place at every size', () => {
+    [512, 1024, 4096].forEach((fftSize) => {
+      const audio = new AudioProcessor(null, { fftSize });
+      const bytes = sineBytes(fftSize, 1000);
+      audio.updateAudio(bytes, bytes, bytes);
+
+      const peak = audio.freqArray.indexOf(Math.max(...audio.freqArray));
+      expect(Math.abs((peak * 44100) / fftSize - 1000)).toBeLessThan(
+        44100 / fftSize
+      );
+    });
+  });
+
+  test.each([0, 100, 1000, 32, 65536, 1024.5, '1024'])(
+    'rejects fftSize %p',
+    (fftSize) => {
+      expect(() => new AudioProcessor(null, { fftSize })).toThrow(
+        'FFT size must be a power of two'
+      );
+    }
+  );
+
+  test('keeps the newest samples of longer input', () => {
+    const audio = new AudioProcessor(null, { fftSize: 64 });
+    const bytes = Uint8Array.from({ length: 100 }, (_, i) => i);
+    audio.updateAudio(bytes, bytes, bytes);
+
+    expect(Array.from(audio.timeByteArray)).toEqual(
+      Array.from(bytes.subarray(36))
+    );
+  });
+
+  test('shifts shorter input in at the end', () => {
+    const audio = new AudioProcessor(null, { fftSize: 64 });
+    const first = Array.from({ length: 64 }, (_, i) => i);
+    const second = Array.from({ length: 16 }, (_, i) => 200 + i);
+    audio.updateAudio(first, first, first);
+    audio.updateAudio(second, second, second);
+
+    expect(Array.from(audio.timeByteArrayL)).toEqual([
+      ...first.slice(16),
+      ...second,
+    ]);
+  });
+});
+
+describe('AudioProcessor.pushPCM', () => {
+  function sineFloats(size, hz, amplitude, sampleRate = 44100) {
+    return Float32Array.from(
+      { length: size },
+      (_, i) => amplitude * Math.sin((2 * Math.PI * hz * i) / sampleRate)
+    );
+  }
+
+  test('keeps quiet passages that bytes round away', () => {
+    const quiet = sineFloats(1024, 1000, 0.003);
+
+    const bytes = new AudioProcessor(null);
+    const rounded = Uint8Array.from(quiet, (x) => 128 + Math.round(x * 128));
+    bytes.updateAudio(rounded, rounded, rounded);
+    expect(Math.max(...bytes.freqArray)).toBe(0);
+
+    const pcm = new AudioProcessor(null);
+    pcm.pushPCM(quiet, quiet);
+    pcm.sampleAudio();
+    expect(pcm.timeArrayL).toBeInstanceOf(Float32Array);
+    expect(Math.max(...pcm.freqArray)).toBeGreaterThan(0);
+    expect(pcm.timeArray[10]).toBeCloseTo(quiet[10] * 128, 5);
+  });
+
+  test('matches byte input for full-scale samples', () => {
+    const bytes = sineBytes(1024, 440);
+    const floats = Float32Array.from(bytes, (x) => (x - 128) / 128);
+
+    const fromBytes = new AudioProcessor(null);
+    fromBytes.updateAudio(bytes, bytes, bytes);
+    const fromPCM = new AudioProcessor(null);
+    fromPCM.pushPCM(floats, floats);
+    fromPCM.sampleAudio();
+
+    expect(Array.from(fromPCM.timeArray)).toEqual(
+      Array.from(fromBytes.timeArray)
+    );
+    fromPCM.freqArray.forEach((value, i) => {
+      expect(value).toBeCloseTo(fromBytes.freqArray[i], 3);
+    });
+  });
+
+  test('chunks accumulate and right defaults to left', () => {
+    const audio = new AudioProcessor(null, { fftSize: 64 });
+    audio.pushPCM(new Float32Array(48).fill(0.5));
+    audio.pushPCM(new Float32Array(32).fill(-0.25));
+    audio.sampleAudio();
+
+    expect(audio.timeByteArraySignedR[0]).toBe(64);
+    expect(audio.timeByteArraySignedR[31]).toBe(64);
+    expect(audio.timeByteArraySignedR[32]).toBe(-32);
+    expect(audio.timeByteArraySignedL[63]).toBe(-32);
+  });
+
+  test('byte input switches back to bytes', () => {
+    const audio = new AudioProcessor(null);
+    audio.pushPCM(new Float32Array(1024));
+    const bytes = sineBytes(1024, 440);
+    audio.updateAudio(bytes, bytes, bytes);
+
+    expect(audio.pcmInput).toBe(false);
+    expect(audio.timeArrayL).toBeInstanceOf(Int8Array);
+  });
+
+  test('moves the bands to the pushed sample rate', () => {
+    const audio = new AudioProcessor(null);
+    const levels = new AudioLevels(audio);
+    const stops44k = levels.stops.slice();
+
+    audio.pushPCM(new Float32Array(1024), new Float32Array(1024), 96000);
+    audio.sampleAudio();
+    levels.updateAudioLevels(60, 1);
+
+    expect(levels.sampleRate).toBe(96000);
+    levels.stops.forEach((bin, i) => {
+      expect(bin).toBeLessThan(stops44k[i]);
+    });
+  });
+});
+
+describe('AudioProcessor sample rates', () => {
+  test('byte input without a rate is taken as 44.1kHz', () => {
+    const audio = new AudioProcessor(null);
+    const bytes = sineBytes(1024, 440);
+    audio.updateAudio(bytes, bytes, bytes, 48000);
+    audio.updateAudio(bytes, bytes, bytes);
+
+    expect(audio.sampleRate).toBe(44100);
+  });
+
+  test('a tone lands in the same bin whatever the input rate', () => {
+    const peakHz = (sampleRate) => {
+      const audio = new AudioProcessor(null, { fftSize: 4096 });
+      const bytes = sineBytes(4096, 1000, sampleRate);
+      audio.updateAudio(bytes, bytes, bytes, sampleRate);
+      const peak = audio.freqArray.indexOf(Math.max(...audio.freqArray));
+      return (peak * audio.sampleRate) / audio.fftSize;
+    };
+
+    [22050, 44100, 48000, 96000].forEach((sampleRate) => {
+      expect(Math.abs(peakHz(sampleRate) - 1000)).toBeLessThan(
+        sampleRate / 4096
+      );
+    });
+  });
+
+  test('resamples buffered PCM when a short chunk changes the rate', () => {
+    const audio = new AudioProcessor(null, { fftSize: 2048 });
+    const tone = (length, sampleRate, offset = 0) =>
+      Float32Array.from({ length }, (_, i) =>
+        Math.sin((2 * Math.PI * 500 * (i + offset)) / sampleRate)
+      );
+
+    audio.pushPCM(tone(2048, 44100), undefined, 44100);
+    // continues the same tone at 48kHz
+    const continued = tone(256, 48000, (2048 * 48000) / 44100);
+    audio.pushPCM(continued, undefined, 48000);
+
+    expect(audio.sampleRate).toBe(48000);
+    const expected = tone(2048, 48000, (2048 * 48000) / 44100 + 256 - 2048);
+    audio.pcmL.forEach((value, i) => {
+      // the oldest samples had nothing to be stretched from
+      if (i > 200) {
+        expect(value).toBeCloseTo(expected[i], 1);
+      }
+    });
+  });
+
+  test('the band edges follow the input rate', () => {
+    const audio = new AudioProcessor(null);
+    const levels = new AudioLevels(audio);
+    const bytes = sineBytes(1024, 440);
+
+    [32000, 44100, 48000, 96000].forEach((sampleRate) => {
+      audio.updateAudio(bytes, bytes, bytes, sampleRate);
+      levels.updateAudioLevels(60, 1);
+
+      const bucketHz = sampleRate / 1024;
+      expect((levels.stops[0] + 1) * bucketHz).toBeCloseTo(320, -2);
+      expect((levels.stops[1] + 1) * bucketHz).toBeCloseTo(2800, -2);
+    });
+  });
+});
+
+describe('AudioLevels', () => {
+  test('band edges stay at the same frequencies', () => {
+    const edgesHz = (fftSize) => {
+      const levels = new AudioLevels(new AudioProcessor(null, { fftSize }));
+      return levels.stops.map((bin) => ((bin + 1) * 44100) / fftSize);
+    };
+
+    const reference = edgesHz(1024);
+    [2048, 4096].forEach((fftSize) => {
+      edgesHz(fftSize).forEach((hz, i) => {
+        expect(Math.abs(hz - reference[i])).toBeLessThan(44100 / 1024);
+      });
+    });
+  });
+
+  test('bands stay within the spectrum', () => {
+    const audio = new AudioProcessor(null, { fftSize: 64 });
+    const levels = new AudioLevels(audio);
+
+    levels.stops.forEach((bin) => {
+      expect(bin).toBeLessThan(audio.numSamps);
+    });
+  });
+});
+
+describe('AudioProcessor agc', () => {
+  // RMS of the mono samples, from -1 to 1
+  const rms = (audio) =>
+    Math.sqrt(
+      audio.timeArray.reduce((sum, x) => sum + x * x, 0) / audio.fftSize
+    ) / 128;
+
+  function settle(audio, amplitude, seconds = 10) {
+    const tone = Float32Array.from(
+      { length: audio.fftSize },
+      (_, i) => amplitude * Math.sin((2 * Math.PI * 440 * i) / 44100)
+    );
+    for (let t = 0; t < seconds; t += 1 / 60) {
+      audio.pushPCM(tone);
+      audio.sampleAudio(1 / 60);
+    }
+  }
+
+  test('brings quiet and loud input to the same level', () => {
+    const quiet = new AudioProcessor(null, { fftSize: 256, agc: true });
+    const loud = new AudioProcessor(null, { fftSize: 256, agc: true });
+    settle(quiet, 0.05, 20);
+    settle(loud, 0.9, 20);
+
+    expect(rms(quiet)).toBeCloseTo(0.25, 2);
+    expect(rms(loud)).toBeCloseTo(0.25, 2);
+  });
+
+  test('scales the spectrum with the waves', () => {
+    const plain = new AudioProcessor(null);
+    const agc = new AudioProcessor(null, { agc: { target: 0.5 } });
+    settle(plain, 0.1, 1);
+    settle(agc, 0.1, 1);
+
+    const gain = agc.autoGain.gain;
+    expect(gain).toBeGreaterThan(1);
+    const peak = plain.freqArray.indexOf(Math.max(...plain.freqArray));
+    expect(agc.freqArray[peak]).toBeCloseTo(plain.freqArray[peak] * gain, 0);
+  });
+
+  test('keeps byte input from wrapping around', () => {
+    const audio = new AudioProcessor(null, {
+      agc: { minGain: 4, maxGain: 4 },
+    });
+    const bytes = sineBytes(1024, 440);
+    audio.updateAudio(bytes, bytes, bytes);
+
+    expect(audio.timeArray).toBeInstanceOf(Float32Array);
+    expect(Math.max(...audio.timeArray)).toBe(128);
+    expect(Math.min(...audio.timeArray)).toBe(-128);
+    expect(audio.timeArray[1]).toBeCloseTo((bytes[1] - 128) * 4);
+  });
+
+  test('measures loudness without agc too', () => {
+    const plain = new AudioProcessor(null, { fftSize: 256 });
+    settle(plain, 0.5);
+
+    expect(plain.loudness).toBeCloseTo(0.5 / Math.SQRT2, 2);
+    expect(plain.timeArray).toBeInstanceOf(Float32Array);
+    expect(rms(plain)).toBeCloseTo(0.5 / Math.SQRT2, 2);
+  });
+
+  test('holds the gain through silence', () => {
+    const audio = new AudioProcessor(null, { fftSize: 256, agc: true });
+    settle(audio, 0.5);
+    const gain = audio.autoGain.gain;
+    settle(audio, 0, 20);
+
+    expect(audio.autoGain.gain).toBe(gain);
+    expect(audio.loudness).toBeLessThan(0.001);
+  });
+});
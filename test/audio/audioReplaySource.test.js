@@ -0,0 +1,147 @@
+import 'ecma-proposal-math-extensions';
+import { describe, test, expect } from '@jest/globals';
+import AudioProcessor from '../../src/audio/audioProcessor.js';
+import AudioLevels from '../../src/audio/audioLevels.js';
+import AudioReplaySource from '../../src/audio/audioReplaySource.js';
+
+// What the renderer does with each frame's audio
+function analyse(audio, levels, { audioLevels, elapsedTime }, frame) {
+  audio.updateAudio(
+    audioLevels.timeByteArray,
+    audioLevels.timeByteArrayL,
+    audioLevels.timeByteArrayR,
+    audioLevels.sampleRate,
+    elapsedTime
+  );
+  levels.updateAudioLevels(1 / elapsedTime, frame);
+  audio.recordLevels(levels);
+  return {
+    bass: levels.bass,
+    mid_att: levels.mid_att,
+    treb: levels.treb,
+  };
+}
+
+function liveFrame(i) {
+  const bytes = (hz) =>
+    Uint8Array.from({ length: 1024 }, (_, j) =>
+      Math.round(
+        128 + 100 * Math.sin((2 * Math.PI * hz * (i * 735 + j)) / 44100)
+      )
+    );
+  return {
+    elapsedTime: i % 2 === 0 ? 1 / 60 : 1 / 50,
+    audioLevels: {
+      timeByteArray: bytes(60 + i),
+      timeByteArrayL: bytes(60 + i),
+      timeByteArrayR: bytes(3000 - i * 10),
+      sampleRate: 48000,
+    },
+  };
+}
+
+describe('audio recording and replay', () => {
+  test('records frames in the fixture format', () => {
+    const audio = new AudioProcessor(null);
+    const levels = new AudioLevels(audio);
+    audio.startRecording();
+    for (let i = 0; i < 3; i++) {
+      analyse(audio, levels, liveFrame(i), i + 1);
+    }
+    const frames = JSON.parse(JSON.stringify(audio.stopRecording()));
+
+    expect(frames.length).toBe(3);
+    expect(frames[0].time).toBeCloseTo(1 / 60);
+    expect(frames[2].time).toBeCloseTo(2 / 60 + 1 / 50);
+    expect(frames[1].sampleRate).toBe(48000);
+    expect(frames[1].timeByteArrayR).toEqual(
+      Array.from(liveFrame(1).audioLevels.timeByteArrayR)
+    );
+    expect(Object.keys(frames[2].levels)).toEqual([
+      'bass',
+      'bass_att',
+      'mid',
+      'mid_att',
+      'treb',
+      'treb_att',
+    ]);
+    expect(audio.recording).toBeNull();
+  });
+
+  test('replays the session to the same levels', () => {
+    const live = new AudioProcessor(null, { agc: true });
+    const liveLevels = new AudioLevels(live);
+    live.startRecording();
+    const expected = [];
+    for (let i = 0; i < 40; i++) {
+      expected.push(analyse(live, liveLevels, liveFrame(i), i + 1));
+    }
+    const frames = JSON.parse(JSON.stringify(live.stopRecording()));
+
+    const audio = new AudioProcessor(null, { agc: true });
+    const levels = new AudioLevels(audio);
+    const replay = new AudioReplaySource(frames);
+    for (let i = 0; i < 40; i++) {
+      const frame = replay.next();
+      expect(frame.audioLevels.timeByteArray).toBeInstanceOf(Uint8Array);
+      expect(frame.elapsedTime).toBeCloseTo(liveFrame(i).elapsedTime, 10);
+      const replayed = analyse(audio, levels, frame, i + 1);
+      expect(replayed.bass).toBeCloseTo(expected[i].bass, 5);
+      expect(replayed.mid_att).toBeCloseTo(expected[i].mid_att, 5);
+      expect(replayed.treb).toBeCloseTo(expected[i].treb, 5);
+    }
+    expect(replay.done).toBe(true);
+    expect(replay.next()).toBeNull();
+  });
+
+  test('keeps the newest maxFrames, timed from the first kept', () => {
+    const audio = new AudioProcessor(null);
+    const levels = new AudioLevels(audio);
+    audio.startRecording({ maxFrames: 4 });
+    for (let i = 0; i < 10; i++) {
+      analyse(audio, levels, liveFrame(i), i + 1);
+    }
+    const frames = audio.stopRecording();
+
+    expect(frames.length).toBe(4);
+    expect(frames[0].timeByteArrayR).toEqual(
+      Array.from(liveFrame(6).audioLevels.timeByteArrayR)
+    );
+    expect(new AudioReplaySource(frames).next().elapsedTime).toBeCloseTo(
+      liveFrame(6).elapsedTime
+    );
+  });
+
+  test('stores pushed PCM as bytes', () => {
+    const audio = new AudioProcessor(null, { fftSize: 64 });
+    audio.startRecording();
+    audio.pushPCM(new Float32Array(64).fill(0.5), new Float32Array(64));
+    audio.sampleAudio(1 / 60);
+    const [frame] = audio.stopRecording();
+
+    expect(frame.timeByteArrayL[0]).toBe(192);
+    expect(frame.timeByteArrayR[0]).toBe(128);
+    expect(frame.timeByteArray[0]).toBe(160);
+    expect(frame.sampleRate).toBe(44100);
+  });
+
+  test('loops a fixture without sample rates', () => {
+    const fixture = [0.02, 0.04].map((time) => ({
+      time,
+      timeByteArray: [128, 129],
+      timeByteArrayL: [128, 129],
+      timeByteArrayR: [128, 129],
+    }));
+    const replay = new AudioReplaySource(fixture, { loop: true });
+
+    const elapsed = [];
+    for (let i = 0; i < 5; i++) {
+      elapsed.push(replay.next().elapsedTime);
+    }
+    expect(elapsed.map((x) => Math.round(x * 1000))).toEqual([
+      20, 20, 20, 20, 20,
+    ]);
+    expect(replay.done).toBe(false);
+    expect(() => new AudioReplaySource([])).toThrow('at least one frame');
+  });
+});
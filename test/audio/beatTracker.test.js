@@ -0,0 +1,78 @@
+import { describe, test, expect } from '@jest/globals';
+import BeatTracker from '../../src/audio/beatTracker.js';
+
+// Feeds the tracker a spectrum of low noise with a loud bass hit every beat
+function track({ bpm, fps = 60, seconds = 20, silent = false }) {
+  const audio = { freqArray: new Float32Array(512) };
+  const tracker = new BeatTracker(audio);
+  const period = 60 / bpm;
+
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  const beats = [];
+  let nextHit = 0.13;
+  for (let frame = 0; frame < fps * seconds; frame++) {
+    const time = frame / fps;
+    const hit = !silent && time >= nextHit;
+    if (hit) {
+      nextHit += period;
+    }
+    for (let i = 0; i < audio.freqArray.length; i++) {
+      audio.freqArray[i] = random() * 0.2 + (hit ? (i < 100 ? 2 : 0.4) : 0);
+    }
+
+    tracker.update(time);
+    if (tracker.beat) {
+      beats.push(time);
+    }
+    expect(tracker.beat_phase).toBeGreaterThanOrEqual(0);
+    expect(tracker.beat_phase).toBeLessThan(1);
+  }
+
+  return { tracker, beats };
+}
+
+describe('BeatTracker', () => {
+  test.each([
+    [120, 60],
+    [90, 60],
+    [128, 30],
+    [100, 144],
+  ])('finds %i bpm at %i fps', (bpm, fps) => {
+    const { tracker } = track({ bpm, fps });
+
+    expect(Math.abs(tracker.bpm - bpm)).toBeLessThanOrEqual(2);
+  });
+
+  test('beats land once per period', () => {
+    const { beats } = track({ bpm: 120 });
+    const lastBeats = beats.filter((time) => time > 10);
+
+    expect(lastBeats.length).toBeGreaterThanOrEqual(19);
+    expect(lastBeats.length).toBeLessThanOrEqual(21);
+    for (let i = 1; i < lastBeats.length; i++) {
+      expect(lastBeats[i] - lastBeats[i - 1]).toBeCloseTo(0.5, 1);
+    }
+  });
+
+  test('stays at 0 without onsets', () => {
+    const { tracker, beats } = track({ bpm: 120, silent: true });
+
+    expect(tracker.bpm).toBe(0);
+    expect(tracker.beat_phase).toBe(0);
+    expect(beats.length).toBeLessThan(5);
+  });
+
+  test('ignores frames without a spectrum', () => {
+    const tracker = new BeatTracker({ freqArray: new Float32Array(0) });
+    tracker.update(0);
+    tracker.update(1 / 60);
+
+    expect(tracker.beat).toBe(0);
+    expect(tracker.bpm).toBe(0);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, test, expect } from '@jest/globals';
+import PCMRingBuffer from '../../src/audio/pcmRingBuffer.js';
+
+function sine(hz, sampleRate, from, length) {
+  return Float32Array.from({ length }, (_, i) =>
+    Math.sin((2 * Math.PI * hz * (from + i)) / sampleRate)
+  );
+}
+
+// Pushes chunkSeconds of a 440Hz tone at inputRate for every chunkSeconds
+// of 128-frame blocks read at 48kHz; drift > 1 makes the producer faster
+function stream(
+  buffer,
+  { seconds, inputRate, chunkSeconds = 1 / 30, drift = 1 }
+) {
+  const blocks = [];
+  let pushed = 0;
+  let blockDebt = 0;
+  for (let t = 0; t < seconds; t += chunkSeconds) {
+    const length = Math.round(chunkSeconds * inputRate * drift);
+    const chunk = sine(440, inputRate * drift, pushed, length);
+    buffer.push(chunk, chunk, inputRate);
+    pushed += length;
+
+    blockDebt += (chunkSeconds * 48000) / 128;
+    while (blockDebt >= 1) {
+      const left = new Float32Array(128);
+      const right = new Float32Array(128);
+      buffer.read(left, right);
+      blocks.push(left);
+      blockDebt -= 1;
+    }
+  }
+  return blocks;
+}
+
+describe('PCMRingBuffer', () => {
+  test('resamples chunks into one continuous stream', () => {
+    const buffer = new PCMRingBuffer(48000, { maxCorrection: 0 });
+    const blocks = stream(buffer, { seconds: 2, inputRate: 44100 });
+
+    const output = new Float32Array(blocks.length * 128);
+    blocks.forEach((block, i) => output.set(block, i * 128));
+    // skip the silence while the buffer first fills
+    const start = output.findIndex((x) => x !== 0);
+    const played = output.subarray(start + 1);
+
+    // the same 440Hz tone, with no jumps between chunks
+    let maxStep = 0;
+    for (let i = 1; i < played.length; i++) {
+      maxStep = Math.max(maxStep, Math.abs(played[i] - played[i - 1]));
+    }
+    expect(maxStep).toBeLessThan((2 * Math.PI * 440) / 48000 + 1e-3);
+    expect(maxStep).toBeGreaterThan((2 * Math.PI * 440) / 48000 - 1e-3);
+    expect(buffer.getStats().underruns).toBe(0);
+    expect(buffer.getStats().overflows).toBe(0);
+  });
+
+  test('starts playing once targetLatency is buffered', () => {
+    const buffer = new PCMRingBuffer(48000, { targetLatency: 0.05 });
+    const left = new Float32Array(128);
+    const right = new Float32Array(128);
+
+    buffer.push(new Float32Array(1000).fill(0.5));
+    buffer.read(left, right);
+    expect(left[0]).toBe(0);
+    expect(buffer.getStats().buffering).toBe(true);
+
+    buffer.push(new Float32Array(2000).fill(0.5));
+    buffer.read(left, right);
+    expect(left[0]).toBeCloseTo(0.5);
+    expect(right[127]).toBeCloseTo(0.5);
+    expect(buffer.getStats().underruns).toBe(0);
+  });
+
+  test('counts an underrun and buffers again when it runs dry', () => {
+    const buffer = new PCMRingBuffer(48000, { targetLatency: 0.01 });
+    const left = new Float32Array(128);
+    const right = new Float32Array(128);
+
+    buffer.push(new Float32Array(600).fill(0.25));
+    for (let i = 0; i < 5; i++) {
+      buffer.read(left, right);
+    }
+
+    const stats = buffer.getStats();
+    expect(stats.underruns).toBe(1);
+    expect(stats.buffering).toBe(true);
+    expect(stats.latency).toBe(0);
+    // what was left, then silence. The last sample pushed stays back to be
+    // interpolated with the next chunk.
+    expect(left[599 - 4 * 128 - 1]).toBeCloseTo(0.25);
+    expect(left[599 - 4 * 128]).toBe(0);
+  });
+
+  test('drops the oldest samples past maxLatency', () => {
+    const buffer = new PCMRingBuffer(48000, {
+      targetLatency: 0.05,
+      maxLatency: 0.2,
+    });
+
+    for (let i = 0; i < 10; i++) {
+      buffer.push(new Float32Array(4800).fill(i / 10));
+    }
+
+    const stats = buffer.getStats();
+    expect(stats.overflows).toBeGreaterThan(0);
+    expect(stats.latency).toBeLessThanOrEqual(0.2);
+
+    const left = new Float32Array(128);
+    buffer.read(left, new Float32Array(128));
+    expect(left[0]).toBeGreaterThan(0.5);
+  });
+
+  test.each([1.005, 0.995])(
+    'follows a producer clock off by a factor of %p',
+    (drift) => {
+      const buffer = new PCMRingBuffer(48000, { targetLatency: 0.08 });
+      stream(buffer, { seconds: 60, inputRate: 48000, drift });
+
+      const stats = buffer.getStats();
+      expect(stats.underruns).toBe(0);
+      expect(stats.overflows).toBe(0);
+      expect(Math.abs(stats.averageLatency - 0.08)).toBeLessThan(0.02);
+      expect(Math.sign(stats.correction)).toBe(Math.sign(drift - 1));
+    }
+  );
+});
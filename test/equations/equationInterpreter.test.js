@@ -0,0 +1,82 @@
+import { describe, test, expect } from '@jest/globals';
+import './windowGlobal.js';
+import '../../src/presetBase.js';
+import compileEquations from '../../src/equations/equationInterpreter.js';
+
+// What loadJSPreset does when eval is allowed
+function compileNative(code) {
+  // eslint-disable-next-line no-new-func
+  return new Function('a', `${code} return a;`);
+}
+
+function vars() {
+  return {
+    time: 2.5,
+    frame: 75,
+    bass: 1.2,
+    treb: 0.7,
+    x: 0.25,
+    y: 0.75,
+    q1: 0.5,
+    megabuf: new Array(1000).fill(0),
+    gmegabuf: new Array(1000).fill(0),
+  };
+}
+
+// shaped like the converter's output
+const converted = [
+  'a.zoom=1.01+.02*Math.sin(a.time*1.3);a.rot+=.01*a.bass;a.wave_r=.5+.5*Math.cos(a.frame/30);',
+  'a.q2=a.bass>a.treb?1:0;.00001<Math.abs(a.q2)?a.dx=.01:a.dy=-.01;',
+  'for(var b=a.index=0;500>b;b++)a.megabuf[Math.floor(a.index)]=a.index*.5,a.gmegabuf[Math.floor(a.index)]=-a.index,a.index+=1;a.q3=a.megabuf[Math.floor(200)];',
+  'var b,d=0;a.n=1;do{d+=1;a.n*=1.5;b=a.n-100;}while(.00001<Math.abs(b>0?0:1)&&1048576>d);a.steps=d;',
+  'if(.00001<Math.abs(a.x>a.y?1:0)){a.m=1}else 0;a["new"]=Math.max(Math.min(a.time*10,20),2);',
+  'a.r=2E3*(a.x-a.y)/1E3;a.s=-(a.x*-a.y)+ +a.q1;a.t=(a.u=3,a.u*2);a.v=a.w||a.q1&&4;',
+  'var b=0,c=5;for(;c>0;c--)b+=c;a.sum=b;var e=a.frame;a.pre=++e;a.post=e++;a.e=e;',
+];
+
+describe('equationInterpreter', () => {
+  test.each(converted)('runs like new Function: %s', (code) => {
+    expect(compileEquations(code)(vars())).toEqual(compileNative(code)(vars()));
+  });
+
+  test('calls the presetBase functions', () => {
+    const code =
+      'a.d=div(a.x,0);a.p=pow(-2,.5);a.sq=sqr(a.y)+sqrt(-4);a.b=above(a.x,a.y)+bnot(0);';
+    const a = compileEquations(code)(vars());
+
+    expect(a).toEqual(compileNative(code)(vars()));
+    expect(a.d).toBe(0);
+    expect(a.sq).toBeCloseTo(2.5625);
+  });
+
+  test('keeps vars local to each run', () => {
+    const eqs = compileEquations('var b;b=(b||0)+1;a.b=b;');
+
+    expect(eqs(vars()).b).toBe(1);
+    expect(eqs(vars()).b).toBe(1);
+  });
+
+  test('reports where the code is wrong', () => {
+    expect(() => compileEquations('a.x=1;\na.y=(2;')).toThrow(
+      expect.objectContaining({
+        name: 'SyntaxError',
+        loc: { first_line: 2, first_column: 6 },
+      })
+    );
+    expect(() => compileEquations('a.x=1 a.y=2')).toThrow('Unexpected token');
+    expect(() => compileEquations('a.x=`1`')).toThrow('Unexpected character');
+  });
+
+  test('refuses undeclared assignments and the constructor', () => {
+    expect(() => compileEquations('foo=1;')).toThrow("Can't assign to foo");
+    expect(() =>
+      compileEquations('a.f=a.megabuf.constructor;')(vars())
+    ).toThrow('constructor');
+    expect(() =>
+      compileEquations('a.f=a.megabuf["__proto__"];')(vars())
+    ).toThrow('__proto__');
+    expect(() => compileEquations('a.x=nope(1);')(vars())).toThrow(
+      'nope is not defined'
+    );
+  });
+});
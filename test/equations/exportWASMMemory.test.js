@@ -0,0 +1,73 @@
+import { describe, test, expect } from '@jest/globals';
+import { compileModule, shims } from 'eel-wasm';
+import exportWASMMemory, {
+  copyWASMMemory,
+} from '../../src/equations/exportWASMMemory.js';
+
+async function instantiate(functions) {
+  const pools = {
+    main: { x: new WebAssembly.Global({ value: 'f64', mutable: true }, 0) },
+  };
+  const bytes = compileModule({
+    pools: { main: new Set(['x']) },
+    functions,
+  });
+  const { instance } = await WebAssembly.instantiate(exportWASMMemory(bytes), {
+    ...pools,
+    shims,
+  });
+  return { instance, x: pools.main.x };
+}
+
+describe('exportWASMMemory', () => {
+  test('exports the memory megabuf and gmegabuf live in', async () => {
+    const { instance, x } = await instantiate({
+      write: { pool: 'main', code: 'megabuf(5) = 3; gmegabuf(7) = 4;' },
+    });
+
+    instance.exports.write();
+    const copy = await instantiate({
+      read: { pool: 'main', code: 'x = megabuf(5) + gmegabuf(7);' },
+    });
+    new Uint8Array(copy.instance.exports.memory.buffer).set(
+      new Uint8Array(instance.exports.memory.buffer)
+    );
+    copy.instance.exports.read();
+
+    expect(instance.exports.memory).toBeInstanceOf(WebAssembly.Memory);
+    expect(copy.x.value).toBe(7);
+    expect(x.value).toBe(0);
+  });
+
+  test('adds an export section to modules without functions', async () => {
+    const { instance } = await instantiate({
+      empty: { pool: 'main', code: '' },
+    });
+
+    expect(Object.keys(instance.exports)).toEqual(['memory']);
+  });
+});
+
+describe('copyWASMMemory', () => {
+  function memory(initial, maximum, value) {
+    const mem = new WebAssembly.Memory({ initial, maximum });
+    new Uint8Array(mem.buffer).fill(value);
+    return mem;
+  }
+
+  test('grows the target to what the source grew to', () => {
+    const to = memory(1, 4, 0);
+    copyWASMMemory(memory(3, 4, 7), to);
+
+    expect(to.buffer.byteLength).toBe(3 * 65536);
+    expect(new Uint8Array(to.buffer)[3 * 65536 - 1]).toBe(7);
+  });
+
+  test('copies what fits under the maximum', () => {
+    const to = memory(1, 1, 0);
+    copyWASMMemory(memory(2, 2, 7), to);
+
+    expect(to.buffer.byteLength).toBe(65536);
+    expect(new Uint8Array(to.buffer)[65535]).toBe(7);
+  });
+});
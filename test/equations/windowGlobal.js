@@ -0,0 +1,3 @@
+// presetBase puts its functions on window, which node doesn't have. Imported
+// before presetBase, so it's set when presetBase runs.
+global.window = global;
@@ -0,0 +1,172 @@
+import { describe, test, expect } from '@jest/globals';
+import translateShader from '../../src/milkdrop/hlslTranslator.js';
+
+function body(glsl) {
+  const start = glsl.indexOf('{', glsl.indexOf('shader_body')) + 1;
+  return glsl
+    .substring(start, glsl.lastIndexOf('}'))
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+}
+
+describe('translateShader', () => {
+  test('returns nothing for an empty shader', () => {
+    expect(translateShader('')).toEqual({ glsl: '', unsupported: [] });
+  });
+
+  test('rewrites HLSL types, functions and literals', () => {
+    const { glsl, unsupported } = translateShader(
+      [
+        'shader_body',
+        '{',
+        '  float2 d = uv - 0.5f;',
+        '  float3 c = lerp(tex2D(sampler_fw_main, uv).xyz, 1, frac(time));',
+        '  ret = saturate(c * 2) + atan2(d.y, d.x) * M_PI;',
+        '}',
+      ].join('\n')
+    );
+    expect(unsupported).toEqual([]);
+    expect(body(glsl)).toEqual([
+      'vec2 d = uv - 0.5;',
+      'vec3 c = mix(texture(sampler_fw_main, uv).xyz, vec3(1.0), fract(time));',
+      'ret = clamp(c * 2.0, 0.0, 1.0) + atan(d.y, d.x) * 3.14159265359;',
+    ]);
+  });
+
+  test('expands MilkDrop helpers', () => {
+    const { glsl } = translateShader(
+      'shader_body { ret = GetBlur1(uv) * lum(GetMain(uv)) * _qa.x; }'
+    );
+    expect(body(glsl)).toEqual([
+      'ret = ((texture(sampler_blur1, uv).xyz * scale1) + bias1) * ' +
+        'dot(texture(sampler_main, uv).xyz, vec3(0.32, 0.49, 0.29)) * _qa.x;',
+    ]);
+  });
+
+  test('keeps integer literals where GLSL needs ints', () => {
+    const { glsl } = translateShader(
+      [
+        'shader_body {',
+        '  int n = 3;',
+        '  for (int i = 0; i < 4; i++) { ret += 1; }',
+        '}',
+      ].join('\n')
+    );
+    expect(body(glsl)).toEqual([
+      'int n = 3;',
+      'for (int i = 0; i < 4; i++) { ret += 1.0; }',
+    ]);
+  });
+
+  test('spells out casts, truncation and scalar broadcasts', () => {
+    const { glsl } = translateShader(
+      [
+        'shader_body {',
+        '  float3 a = 0;',
+        '  float3 b = tex2D(sampler_main, uv);',
+        '  ret = (float3)(rad * 2) + a + b;',
+        '  ret = mul(ret.xy, float2x2(1, 0, 0, 1)).xyx;',
+        '}',
+      ].join('\n')
+    );
+    expect(body(glsl)).toEqual([
+      'vec3 a = vec3(0.0);',
+      'vec3 b = texture(sampler_main, uv).xyz;',
+      'ret = vec3(rad * 2.0) + a + b;',
+      'ret = (mat2(1.0, 0.0, 0.0, 1.0) * ret.xy).xyx;',
+    ]);
+  });
+
+  test('broadcasts scalar lerp end points to the vector type', () => {
+    const { glsl } = translateShader(
+      [
+        'shader_body {',
+        '  float2 d = uv * 2;',
+        '  d = lerp(0, d, rad);',
+        '  ret = lerp(ret, 0.5, bass);',
+        '  ret = lerp(GetMain(uv), 1, q1);',
+        '  ret = lerp(ret * 2, 1, q1);',
+        '  ret = lerp(foo(ret), 1, q1);',
+        '  ret = lum(ret);',
+        '}',
+      ].join('\n')
+    );
+    expect(body(glsl)).toEqual([
+      'vec2 d = uv * 2.0;',
+      'd = mix(vec2(0.0), d, rad);',
+      'ret = mix(ret, vec3(0.5), bass);',
+      'ret = mix(texture(sampler_main, uv).xyz, vec3(1.0), q1);',
+      'ret = mix(ret * 2.0, vec3(1.0), q1);',
+      // the type of a call isn't known
+      'ret = mix(foo(ret), 1.0, q1);',
+      'ret = vec3(dot(ret, vec3(0.32, 0.49, 0.29)));',
+    ]);
+  });
+
+  test('keeps lum a float and widens it where a vector is expected', () => {
+    const { glsl } = translateShader(
+      [
+        'shader_body {',
+        '  float l = lum(ret);',
+        '  if (lum(ret) > 0.5) { ret *= lum(ret); }',
+        '  float3 c = lum(ret) * 2;',
+        '  ret = lerp(ret, lum(ret), q1);',
+        '}',
+      ].join('\n')
+    );
+    const dot = 'dot(ret, vec3(0.32, 0.49, 0.29))';
+    expect(body(glsl)).toEqual([
+      `float l = ${dot};`,
+      `if (${dot} > 0.5) { ret *= ${dot}; }`,
+      `vec3 c = vec3(${dot} * 2.0);`,
+      `ret = mix(ret, vec3(${dot}), q1);`,
+    ]);
+  });
+
+  test('declares user textures as uniforms', () => {
+    const { glsl } = translateShader(
+      [
+        'sampler sampler_rand00;',
+        'float4 texsize_rand00;',
+        'shader_body { ret = tex2D(sampler_rand00, uv).xyz; }',
+      ].join('\n')
+    );
+    expect(glsl.split('shader_body')[0].trim().split('\n')).toEqual([
+      'uniform sampler2D sampler_rand00;',
+      'uniform vec4 texsize_rand00;',
+    ]);
+  });
+
+  test('renames identifiers reserved in GLSL', () => {
+    const { glsl } = translateShader(
+      'shader_body { float3 texture = GetPixel(uv); ret = texture; }'
+    );
+    expect(body(glsl)).toEqual([
+      'vec3 _texture = texture(sampler_main, uv).xyz; ret = _texture;',
+    ]);
+  });
+
+  test('reports unsupported constructs with their lines', () => {
+    const { unsupported } = translateShader(
+      [
+        'shader_body',
+        '{',
+        '  // texCUBE( in a comment is fine',
+        '  ret = texCUBE(sampler_main, float3(uv, 0)).xyz;',
+        '  clip(ret.x);',
+        '}',
+      ].join('\n')
+    );
+    expect(unsupported.map(({ construct, line }) => [construct, line])).toEqual([
+      ['cube textures', 4],
+      ['clip()', 5],
+    ]);
+  });
+
+  test('reports a missing shader_body', () => {
+    const { glsl, unsupported } = translateShader('ret = 1;');
+    expect(glsl).toBe('');
+    expect(unsupported[0].construct).toBe('shader_body');
+  });
+});
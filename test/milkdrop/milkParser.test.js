@@ -0,0 +1,108 @@
+import { describe, test, expect } from '@jest/globals';
+import parseMilk from '../../src/milkdrop/milkParser.js';
+
+const milk2 = [
+  'MILKDROP_PRESET_VERSION=201',
+  'PSVERSION=2',
+  'PSVERSION_WARP=2',
+  'PSVERSION_COMP=2',
+  '[preset00]',
+  'fRating=3.000000',
+  'fDecay=0.980000',
+  'nWaveMode=7',
+  'bAdditiveWaves=1',
+  'nMotionVectorsX=12.000000',
+  'zoom=1.010000',
+  'wavecode_0_enabled=1',
+  'wavecode_0_bSpectrum=1',
+  'wave_0_per_point1=x=sample;',
+  'wave_0_per_point2=y=value1;',
+  'shapecode_1_enabled=1',
+  'shapecode_1_thickOutline=1',
+  'shape_1_per_frame1=rad = 0.2;',
+  'per_frame_init_1=q1=0;',
+  'per_frame_1=zoom = zoom + 0.01*bass;',
+  'per_frame_2=rot = rot + 0.01;',
+  'per_frame_4=skipped = 1;',
+  'per_pixel_1=zoom=zoom+rad*0.1;',
+  'warp_1=`shader_body',
+  'warp_2=`{',
+  'warp_3=`    ret = tex2D(sampler_main, uv).xyz;',
+  'warp_4=`}',
+  'comp_1=`shader_body { ret = tex2D(sampler_main, uv).xyz; }',
+].join('\r\n');
+
+describe('parseMilk', () => {
+  test('maps [preset00] keys to baseVals', () => {
+    const preset = parseMilk(milk2);
+    expect(preset.milkVersion).toBe(201);
+    expect(preset.version).toBe(2);
+    expect(preset.baseVals).toEqual({
+      rating: 3,
+      decay: 0.98,
+      wave_mode: 7,
+      additivewave: 1,
+      mv_x: 12,
+      zoom: 1.01,
+    });
+  });
+
+  test('joins numbered equation lines and stops at the first gap', () => {
+    const preset = parseMilk(milk2);
+    expect(preset.init_eqs_eel).toBe('q1=0;');
+    expect(preset.frame_eqs_eel).toBe('zoom = zoom + 0.01*bass;\nrot = rot + 0.01;');
+    expect(preset.pixel_eqs_eel).toBe('zoom=zoom+rad*0.1;');
+  });
+
+  test('reads shapecode/wavecode sections', () => {
+    const preset = parseMilk(milk2);
+    expect(preset.shapes).toHaveLength(4);
+    expect(preset.waves).toHaveLength(4);
+    expect(preset.shapes[1].baseVals).toEqual({ enabled: 1, thickoutline: 1 });
+    expect(preset.shapes[1].frame_eqs_eel).toBe('rad = 0.2;');
+    expect(preset.waves[0].baseVals).toEqual({ enabled: 1, spectrum: 1 });
+    expect(preset.waves[0].point_eqs_eel).toBe('x=sample;\ny=value1;');
+  });
+
+  test('keeps MilkDrop 2 shader text with indentation', () => {
+    const preset = parseMilk(milk2);
+    expect(preset.warp_hlsl).toBe(
+      'shader_body\n{\n    ret = tex2D(sampler_main, uv).xyz;\n}'
+    );
+    expect(preset.comp_hlsl).toBe(
+      'shader_body { ret = tex2D(sampler_main, uv).xyz; }'
+    );
+  });
+
+  test('translates MilkDrop 2 shaders to GLSL', () => {
+    const preset = parseMilk(milk2);
+    expect(preset.warp).toContain('ret = texture(sampler_main, uv).xyz;');
+    expect(preset.comp).toContain('ret = texture(sampler_main, uv).xyz;');
+    expect(preset.unsupportedHlsl).toEqual({ warp: [], comp: [] });
+  });
+
+  test('leaves shaders it cannot translate empty', () => {
+    const preset = parseMilk(
+      milk2.replace('comp_1=`shader_body {', 'comp_1=`shader_body { clip(-1);')
+    );
+    expect(preset.comp).toBe('');
+    expect(preset.unsupportedHlsl.comp).toEqual([
+      expect.objectContaining({ construct: 'clip()', line: 1 }),
+    ]);
+  });
+
+  test('ignores shaders in MilkDrop 1 presets', () => {
+    const preset = parseMilk(
+      ['[preset00]', 'fDecay=0.9', 'warp_1=`shader_body { }'].join('\n')
+    );
+    expect(preset.milkVersion).toBe(100);
+    expect(preset.version).toBe(1);
+    expect(preset.psVersion).toBe(0);
+    expect(preset.warp_hlsl).toBe('');
+    expect(preset.baseVals.decay).toBe(0.9);
+  });
+
+  test('rejects text without any preset keys', () => {
+    expect(() => parseMilk('hello')).toThrow('Not a MilkDrop preset');
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, test, expect } from '@jest/globals';
+import parseMilk from '../../src/milkdrop/milkParser.js';
+import serializeMilk from '../../src/milkdrop/milkSerializer.js';
+
+const preset = {
+  baseVals: {
+    zoom: 1.01,
+    rating: 3,
+    wave_mode: 7,
+    decay: 0.98,
+    nechowrap_x: 1,
+    wave_x: 0.1234567,
+  },
+  init_eqs_eel: 'q1 = 0;',
+  frame_eqs_eel: 'zoom = zoom + 0.01*bass;\nrot = rot + 0.01;',
+  pixel_eqs_eel: '',
+  waves: [
+    {
+      baseVals: { enabled: 1, spectrum: 1, thick: 1 },
+      init_eqs_eel: '',
+      frame_eqs_eel: '',
+      point_eqs_eel: 'x = sample;\ny = value1;',
+    },
+  ],
+  shapes: [
+    {
+      baseVals: { enabled: 1, thickoutline: 1, rad: 0.2 },
+      init_eqs_eel: '',
+      frame_eqs_eel: 'ang = time;',
+    },
+  ],
+  warp: ' shader_body { \n  ret = texture(sampler_main, uv).xyz * decay;\n }',
+  comp: '',
+};
+
+describe('serializeMilk', () => {
+  test('writes MilkDrop keys and numbered lines', () => {
+    const lines = serializeMilk(preset).split('\r\n');
+    expect(lines.slice(0, 5)).toEqual([
+      'MILKDROP_PRESET_VERSION=201',
+      'PSVERSION=3',
+      'PSVERSION_WARP=3',
+      'PSVERSION_COMP=0',
+      '[preset00]',
+    ]);
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'fRating=3',
+        'fDecay=0.980000',
+        'nWaveMode=7',
+        'zoom=1.010000',
+        'wave_x=0.1234567',
+        'nechowrap_x=1',
+        'wavecode_0_bSpectrum=1',
+        'wavecode_0_bDrawThick=1',
+        'wave_0_per_point2=y = value1;',
+        'shapecode_0_thickOutline=1',
+        'shape_0_per_frame1=ang = time;',
+        'per_frame_2=rot = rot + 0.01;',
+        'warp_2=`  ret = tex2D(sampler_main, uv).xyz * decay;',
+      ])
+    );
+  });
+
+  test('round-trips through parseMilk', () => {
+    const parsed = parseMilk(serializeMilk(preset));
+    expect(parsed.baseVals).toEqual(preset.baseVals);
+    expect(parsed.init_eqs_eel).toBe(preset.init_eqs_eel);
+    expect(parsed.frame_eqs_eel).toBe(preset.frame_eqs_eel);
+    expect(parsed.waves[0].baseVals).toEqual(preset.waves[0].baseVals);
+    expect(parsed.waves[0].point_eqs_eel).toBe(preset.waves[0].point_eqs_eel);
+    expect(parsed.shapes[0].baseVals).toEqual(preset.shapes[0].baseVals);
+    expect(parsed.shapes[0].frame_eqs_eel).toBe(
+      preset.shapes[0].frame_eqs_eel
+    );
+    expect(parsed.warp).toContain(
+      'ret = texture(sampler_main, uv).xyz * decay;'
+    );
+    expect(parsed.comp).toBe('');
+  });
+
+  test('writes a parsed preset back out unchanged', () => {
+    const text = serializeMilk(preset);
+    expect(serializeMilk(parseMilk(text))).toBe(text);
+  });
+
+  test('keeps the original HLSL of parsed presets', () => {
+    const hlsl = 'shader_body\n{\n    ret = GetBlur1(uv);\n}';
+    const parsed = parseMilk(
+      serializeMilk(Object.assign({}, preset, { warp_hlsl: hlsl }))
+    );
+    expect(parsed.warp_hlsl).toBe(hlsl);
+  });
+
+  test('writes MilkDrop 1 presets without shaders', () => {
+    const text = serializeMilk(Object.assign({}, preset, { milkVersion: 100 }));
+    expect(text.startsWith('[preset00]\r\n')).toBe(true);
+    expect(text).not.toContain('warp_1=');
+
+    const eel1 = { baseVals: {}, shapes: [], waves: [], version: 1 };
+    expect(parseMilk(serializeMilk(eel1)).version).toBe(1);
+  });
+
+  test('writes the EEL version of presets without a milkVersion', () => {
+    const eel2 = { baseVals: {}, shapes: [], waves: [], version: 2 };
+    const parsed = parseMilk(serializeMilk(eel2));
+    expect(parsed.milkVersion).toBe(201);
+    expect(parsed.version).toBe(2);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, test, expect } from '@jest/globals';
+import validatePreset from '../../src/milkdrop/presetValidator.js';
+
+function createPreset(overrides = {}) {
+  return {
+    baseVals: { zoom: 1.01, decay: 0.98, rating: 3 },
+    init_eqs_eel: 'q1 = 0;',
+    frame_eqs_eel: 'zoom = zoom + 0.01*bass;',
+    pixel_eqs_eel: '',
+    init_eqs_str: 'a.q1 = 0;',
+    frame_eqs_str: 'a.zoom = a.zoom + 0.01*a.bass;',
+    pixel_eqs_str: '',
+    shapes: [],
+    waves: [],
+    warp: ' shader_body { \n  ret = texture(sampler_main, uv).xyz;\n }',
+    comp: '',
+    ...overrides,
+  };
+}
+
+describe('validatePreset', () => {
+  test('passes a valid preset', () => {
+    expect(validatePreset(createPreset())).toEqual([]);
+  });
+
+  test('flags unknown baseVals keys with a suggestion', () => {
+    const issues = validatePreset(
+      createPreset({ baseVals: { zoon: 1, nechowrap_x: 1 } })
+    );
+    expect(issues).toEqual([
+      {
+        severity: 'error',
+        section: 'baseVals',
+        message: 'Unknown baseVals key "zoon", did you mean "zoom"?',
+        line: null,
+        column: null,
+      },
+    ]);
+  });
+
+  test('flags missing equations for the runner that loads the preset', () => {
+    const preset = createPreset({
+      shapes: [{ baseVals: { enabled: 1 }, init_eqs_eel: '' }],
+    });
+    const issues = validatePreset(preset);
+    expect(issues).toContainEqual(
+      expect.objectContaining({
+        severity: 'error',
+        section: 'shapes[0]',
+        message: 'Missing frame_eqs_eel',
+      })
+    );
+    expect(issues).toContainEqual(
+      expect.objectContaining({
+        severity: 'warning',
+        message: expect.stringContaining('the js runner'),
+      })
+    );
+  });
+
+  test('ignores disabled shapes and waves', () => {
+    const preset = createPreset({
+      shapes: [{ baseVals: { enabled: 0 }, frame_eqs_eel: 'x = (' }],
+      waves: [{ baseVals: {} }],
+    });
+    expect(validatePreset(preset)).toEqual([]);
+  });
+
+  test('reports EEL that does not compile with its position', () => {
+    const issues = validatePreset(
+      createPreset({ frame_eqs_eel: 'zoom = 1;\nrot = (0.1;' })
+    );
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      severity: 'error',
+      section: 'perFrame',
+      line: 2,
+    });
+    expect(issues[0].message).toMatch(/^frame_eqs_eel: /);
+  });
+
+  test('syntax-checks warp and comp shaders', () => {
+    const issues = validatePreset(
+      createPreset({
+        warp: ' shader_body { \n  ret = tex2D(sampler_main, uv).xyz;\n }',
+        comp: ' shader_body { \n  ret = vec3(uv.x, uv.y, 0.0;\n }',
+      })
+    );
+    expect(issues).toEqual([
+      {
+        severity: 'error',
+        section: 'warp',
+        message: 'tex2D() is HLSL, not GLSL',
+        line: 2,
+        column: null,
+      },
+      {
+        severity: 'error',
+        section: 'comp',
+        message: 'Unmatched "}"',
+        line: 3,
+        column: null,
+      },
+    ]);
+  });
+
+  test('reports what translateShader cannot support', () => {
+    const issues = validatePreset(
+      createPreset({
+        warp: ' shader_body { \n  clip(uv.x - 0.5);\n  ret = tex1D(sampler_main, uv.x).xyz;\n }',
+        comp: 'ret = texture(sampler_main, uv).xyz;',
+      })
+    );
+    expect(issues).toEqual([
+      {
+        severity: 'error',
+        section: 'warp',
+        message: "clip() can't be translated to GLSL",
+        line: 2,
+        column: null,
+      },
+      {
+        severity: 'error',
+        section: 'warp',
+        message: "1D textures can't be translated to GLSL",
+        line: 3,
+        column: null,
+      },
+    ]);
+  });
+});
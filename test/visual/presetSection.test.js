@@ -0,0 +1,152 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getBrowser, closeBrowser, createPage } from './utils/puppeteer.js';
+import TestServer from './utils/testServer.js';
+
+describe('updatePresetSection', () => {
+  let testServer;
+  let serverUrl;
+
+  beforeAll(async () => {
+    testServer = new TestServer();
+    await testServer.start();
+    serverUrl = testServer.getUrl();
+    await getBrowser();
+  });
+
+  afterAll(async () => {
+    await closeBrowser();
+    await testServer.stop();
+  });
+
+  test('keeps megabufs, regs and user vars of WASM presets', async () => {
+    const page = await createPage();
+
+    try {
+      await page.goto(`${serverUrl}/test-wasm.html`, { waitUntil: 'domcontentloaded' });
+      await page.addScriptTag({
+        type: 'module',
+        content: "import butterchurn from '/dist/butterchurn.js'; window.butterchurn = butterchurn;",
+      });
+      await page.waitForFunction(() => window.butterchurn);
+
+      const qs = await page.evaluate(async () => {
+        const visualizer = window.butterchurn.createVisualizer(null, document.getElementById('canvas'), {
+          width: 64,
+          height: 48,
+          deterministic: true,
+        });
+        const timeByteArray = new Uint8Array(1024).fill(128);
+        const render = () =>
+          visualizer.render({
+            elapsedTime: 1 / 60,
+            audioLevels: { timeByteArray, timeByteArrayL: timeByteArray, timeByteArrayR: timeByteArray },
+          });
+
+        await visualizer.loadPreset(
+          {
+            ...window.base.default['_Mig_085'],
+            init_eqs_eel: 'megabuf(5) = 3; gmegabuf(6) = 4; reg07 = 5; counter = 1;',
+            frame_eqs_eel: 'counter = counter + 1;',
+          },
+          0
+        );
+        render();
+
+        const result = await visualizer.updatePresetSection(
+          'perFrame',
+          'q1 = megabuf(5); q2 = gmegabuf(6); q3 = reg07; q4 = counter;'
+        );
+        render();
+
+        const { q1, q2, q3, q4 } = visualizer.renderer.presetEquationRunner.mdVSQAfterFrame;
+        return { errors: result.errors.perFrame, q1, q2, q3, q4 };
+      });
+
+      // the frame equations ran on load and for the first frame, the init
+      // equations don't run again
+      expect(qs).toEqual({ errors: null, q1: 3, q2: 4, q3: 5, q4: 3 });
+    } finally {
+      await page.close();
+    }
+  });
+
+  test('copies what fits of a memory that grew past the new one', async () => {
+    const page = await createPage();
+
+    try {
+      await page.goto(`${serverUrl}/test-wasm.html`, { waitUntil: 'domcontentloaded' });
+      await page.addScriptTag({
+        type: 'module',
+        content: "import butterchurn from '/dist/butterchurn.js'; window.butterchurn = butterchurn;",
+      });
+      await page.waitForFunction(() => window.butterchurn);
+
+      const qs = await page.evaluate(async () => {
+        const visualizer = window.butterchurn.createVisualizer(null, document.getElementById('canvas'), {
+          width: 64,
+          height: 48,
+          deterministic: true,
+        });
+        const timeByteArray = new Uint8Array(1024).fill(128);
+        const render = () =>
+          visualizer.render({
+            elapsedTime: 1 / 60,
+            audioLevels: { timeByteArray, timeByteArrayL: timeByteArray, timeByteArrayR: timeByteArray },
+          });
+
+        await visualizer.loadPreset(
+          { ...window.base.default['_Mig_085'], init_eqs_eel: 'megabuf(5) = 3;', frame_eqs_eel: '' },
+          0
+        );
+        render();
+
+        // stands in for a memory that grew a page past the new module's
+        const memory = visualizer.renderer.preset.wasm_memory;
+        const pages = memory.buffer.byteLength / 65536 + 1;
+        const grown = new WebAssembly.Memory({ initial: pages, maximum: pages });
+        new Uint8Array(grown.buffer).set(new Uint8Array(memory.buffer));
+        new Float64Array(grown.buffer)[6] = 9;
+        visualizer.renderer.preset.wasm_memory = grown;
+
+        const result = await visualizer.updatePresetSection('perFrame', 'q1 = megabuf(5); q2 = megabuf(6);');
+        render();
+
+        const { q1, q2 } = visualizer.renderer.presetEquationRunner.mdVSQAfterFrame;
+        return { errors: result.errors.perFrame, q1, q2 };
+      });
+
+      expect(qs).toEqual({ errors: null, q1: 3, q2: 9 });
+    } finally {
+      await page.close();
+    }
+  });
+
+  test('refuses to update before a preset is loaded', async () => {
+    const page = await createPage();
+
+    try {
+      await page.goto(`${serverUrl}/test-wasm.html`, { waitUntil: 'domcontentloaded' });
+      await page.addScriptTag({
+        type: 'module',
+        content: "import butterchurn from '/dist/butterchurn.js'; window.butterchurn = butterchurn;",
+      });
+      await page.waitForFunction(() => window.butterchurn);
+
+      const message = await page.evaluate(async () => {
+        const visualizer = window.butterchurn.createVisualizer(null, document.getElementById('canvas'), {
+          width: 64,
+          height: 48,
+        });
+
+        return visualizer.updatePresetSection('perFrame', 'q1 = 1;').then(
+          () => null,
+          (err) => err.message
+        );
+      });
+
+      expect(message).toBe('No preset is loaded to update');
+    } finally {
+      await page.close();
+    }
+  });
+});
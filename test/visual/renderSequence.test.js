@@ -0,0 +1,74 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { getBrowser, closeBrowser, createPage } from './utils/puppeteer.js';
+import TestServer from './utils/testServer.js';
+
+describe('renderSequence', () => {
+  let testServer;
+  let serverUrl;
+
+  beforeAll(async () => {
+    testServer = new TestServer();
+    await testServer.start();
+    serverUrl = testServer.getUrl();
+    await getBrowser();
+  });
+
+  afterAll(async () => {
+    await closeBrowser();
+    await testServer.stop();
+  });
+
+  test('leaves calls made on the live visualizer while it renders in place', async () => {
+    const page = await createPage();
+
+    try {
+      await page.goto(`${serverUrl}/test-wasm.html`, { waitUntil: 'domcontentloaded' });
+      await page.addScriptTag({
+        type: 'module',
+        content: "import butterchurn from '/dist/butterchurn.js'; window.butterchurn = butterchurn;",
+      });
+      await page.waitForFunction(() => window.butterchurn);
+
+      const state = await page.evaluate(async () => {
+        const presets = window.base.default;
+        const visualizer = window.butterchurn.createVisualizer(null, document.getElementById('canvas'), {
+          width: 64,
+          height: 48,
+          deterministic: true,
+        });
+        const timeByteArray = new Uint8Array(1024).fill(128);
+        const audioFrames = [0, 1, 2].map(() => ({
+          timeByteArray,
+          timeByteArrayL: timeByteArray,
+          timeByteArrayR: timeByteArray,
+        }));
+        await visualizer.loadPreset(presets['_Mig_085'], 0);
+        const liveRenderer = visualizer.renderer;
+
+        const { frames } = await visualizer.renderSequence({
+          preset: presets['Flexi - mindblob mix'],
+          audioFrames,
+          onFrame: async (frame) => {
+            if (frame.index === 0) {
+              await visualizer.loadPreset({ ...presets['Aderrasi - Potion of Spirits'], frame_eqs_eel: 'q2 = 7;' }, 0);
+              visualizer.setOverrides({ zoom: 1.5 });
+              visualizer.render({ elapsedTime: 1 / 60, audioLevels: audioFrames[0] });
+            }
+          },
+        });
+
+        return {
+          frames: frames.length,
+          sameRenderer: visualizer.renderer === liveRenderer,
+          zoom: visualizer.getOverrides().zoom,
+          q2: visualizer.renderer.presetEquationRunner.mdVSQAfterFrame.q2,
+        };
+      });
+
+      // onFrame gets the frames instead of them being collected
+      expect(state).toEqual({ frames: 0, sameRenderer: true, zoom: 1.5, q2: 7 });
+    } finally {
+      await page.close();
+    }
+  });
+});
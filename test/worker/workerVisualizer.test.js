@@ -0,0 +1,134 @@
+import { describe, test, expect } from '@jest/globals';
+import WorkerVisualizer from '../../src/worker/workerVisualizer.js';
+
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  reply(data) {
+    this.onmessage({ data: Object.assign({ type: 'reply' }, data) });
+  }
+}
+
+function createVisualizer() {
+  const worker = new FakeWorker();
+  const canvas = { transferControlToOffscreen: () => ({}) };
+  const visualizer = new WorkerVisualizer(null, canvas, {
+    worker,
+    pixelRatio: 1,
+  });
+  return { visualizer, worker };
+}
+
+function lastRequestId(worker) {
+  return worker.messages[worker.messages.length - 1].id;
+}
+
+describe('WorkerVisualizer requests', () => {
+  test('resolve with the reply for their id', async () => {
+    const { visualizer, worker } = createVisualizer();
+    const loading = visualizer.loadPreset({});
+    worker.reply({
+      id: lastRequestId(worker),
+      result: { runner: 'wasm' },
+      shaderDiagnostics: { warp: null, comp: null },
+    });
+
+    await expect(loading).resolves.toEqual({ runner: 'wasm' });
+  });
+
+  test('are rejected when the visualizer is disposed', async () => {
+    const { visualizer } = createVisualizer();
+    const loading = visualizer.loadPreset({});
+    const updating = visualizer.updatePresetSection('perFrame', '');
+    visualizer.dispose();
+
+    await expect(loading).rejects.toThrow('disposed');
+    await expect(updating).rejects.toThrow('disposed');
+    await expect(visualizer.loadPreset({})).rejects.toThrow('disposed');
+    await expect(visualizer.setOverrides({ zoom: 1 })).rejects.toThrow(
+      'disposed'
+    );
+  });
+
+  test('are rejected when the worker fails', async () => {
+    const { visualizer, worker } = createVisualizer();
+    const errors = [];
+    visualizer.on('workerError', (error) => errors.push(error));
+    const loading = visualizer.loadPreset({});
+    worker.onerror({ message: 'out of memory' });
+
+    await expect(loading).rejects.toThrow('out of memory');
+    expect(errors).toEqual([{ message: 'out of memory' }]);
+
+    const reloading = visualizer.loadPreset({});
+    worker.onmessageerror({});
+    await expect(reloading).rejects.toThrow('Unreadable');
+  });
+
+  test('fail with the error the worker replies with', async () => {
+    const { visualizer, worker } = createVisualizer();
+    const loading = visualizer.loadPreset({});
+    worker.reply({
+      id: lastRequestId(worker),
+      error: { name: 'Error', message: 'No visualizer in the worker' },
+    });
+
+    await expect(loading).rejects.toThrow('No visualizer');
+  });
+
+  test('of stopAudioRecording resolve to the frames or fail', async () => {
+    const { visualizer, worker } = createVisualizer();
+    const stopped = visualizer.stopAudioRecording();
+    worker.reply({ id: lastRequestId(worker), frames: [1, 2] });
+    await expect(stopped).resolves.toEqual([1, 2]);
+
+    const failed = visualizer.stopAudioRecording();
+    worker.reply({
+      id: lastRequestId(worker),
+      error: { name: 'Error', message: 'No visualizer in the worker' },
+    });
+    await expect(failed).rejects.toThrow('No visualizer');
+  });
+});
+
+describe('WorkerVisualizer render', () => {
+  function renders(worker) {
+    return worker.messages.filter(({ type }) => type === 'render').length;
+  }
+
+  test('sends the next frame after a worker error', () => {
+    const { visualizer, worker } = createVisualizer();
+    visualizer.render();
+    visualizer.render();
+    expect(renders(worker)).toBe(1);
+    expect(visualizer.droppedFrames).toBe(1);
+
+    worker.onerror({ message: 'render failed' });
+    visualizer.render();
+    expect(renders(worker)).toBe(2);
+  });
+
+  test('stops when the worker failed to start', async () => {
+    const { visualizer, worker } = createVisualizer();
+    const errors = [];
+    visualizer.on('workerError', (error) => errors.push(error));
+    const loading = visualizer.loadPreset({});
+    worker.onmessage({
+      data: { type: 'failed', error: { name: 'Error', message: 'no webgl2' } },
+    });
+
+    await expect(loading).rejects.toThrow('no webgl2');
+    await expect(visualizer.loadPreset({})).rejects.toThrow('failed to start');
+    expect(errors).toEqual([{ message: 'no webgl2' }]);
+
+    visualizer.render();
+    expect(renders(worker)).toBe(0);
+    expect(visualizer.droppedFrames).toBe(0);
+  });
+});